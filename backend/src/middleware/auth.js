@@ -46,6 +46,7 @@ async function authenticate(req, res, next) {
         email: true,
         firstName: true,
         lastName: true,
+        primaryCurrency: true,
         isActive: true
       }
     });
@@ -62,8 +63,23 @@ async function authenticate(req, res, next) {
   }
 }
 
+// Admin middleware (after authenticate): users listed in ADMIN_EMAILS
+function requireAdmin(req, res, next) {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !admins.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  next();
+}
+
 module.exports = {
   generateToken,
   verifyToken,
-  authenticate
+  authenticate,
+  requireAdmin
 };
@@ -0,0 +1,266 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { ALERT_TYPES } = require('../services/alertEngine');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validate the condition object against the alert type
+function validateCondition(condition, { req }) {
+  const type = req.body.type;
+
+  if (type === 'price_above' || type === 'price_below') {
+    if (!(parseFloat(condition.target) > 0)) {
+      throw new Error('condition.target must be a positive price');
+    }
+  }
+
+  if (type === 'percent_change') {
+    if (!(parseFloat(condition.percent) > 0)) {
+      throw new Error('condition.percent must be a positive number');
+    }
+    if (condition.direction && !['up', 'down', 'any'].includes(condition.direction)) {
+      throw new Error('condition.direction must be up, down or any');
+    }
+    if (condition.basePrice !== undefined && !(parseFloat(condition.basePrice) > 0)) {
+      throw new Error('condition.basePrice must be a positive price');
+    }
+  }
+
+  return true;
+}
+
+// Keep only the known condition fields, as numbers
+function normalizeCondition(type, condition) {
+  if (type === 'percent_change') {
+    return {
+      percent: parseFloat(condition.percent),
+      direction: condition.direction || 'any',
+      ...(condition.basePrice !== undefined && { basePrice: parseFloat(condition.basePrice) })
+    };
+  }
+  return { target: parseFloat(condition.target) };
+}
+
+function serializeAlert(alert) {
+  let condition;
+  try {
+    condition = JSON.parse(alert.condition);
+  } catch (error) {
+    condition = {};
+  }
+  return { ...alert, condition };
+}
+
+// GET /api/alerts - List alerts
+router.get('/', async (req, res) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.active !== undefined) where.isActive = req.query.active === 'true';
+    if (req.query.symbol) where.symbol = req.query.symbol.toUpperCase();
+
+    const alerts = await prisma.alert.findMany({
+      where,
+      include: { _count: { select: { triggers: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(alerts.map(a => ({
+      ...serializeAlert(a),
+      triggerCount: a._count.triggers
+    })));
+  } catch (error) {
+    console.error('[Alerts List Error]', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// GET /api/alerts/history - Trigger history across all alerts
+router.get('/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const triggers = await prisma.alertTrigger.findMany({
+      where: { alert: { userId: req.user.id } },
+      orderBy: { triggeredAt: 'desc' },
+      take: limit
+    });
+
+    res.json(triggers.map(serializeAlert));
+  } catch (error) {
+    console.error('[Alert History Error]', error);
+    res.status(500).json({ error: 'Failed to fetch alert history' });
+  }
+});
+
+// POST /api/alerts - Create alert
+router.post('/', [
+  body('symbol').trim().toUpperCase().notEmpty(),
+  body('type').isIn(ALERT_TYPES),
+  body('condition').isObject().custom(validateCondition),
+  body('message').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { symbol, type, condition, message } = req.body;
+
+    const alert = await prisma.alert.create({
+      data: {
+        userId: req.user.id,
+        symbol,
+        type,
+        condition: JSON.stringify(normalizeCondition(type, condition)),
+        message
+      }
+    });
+
+    res.status(201).json(serializeAlert(alert));
+  } catch (error) {
+    console.error('[Alert Create Error]', error);
+    res.status(500).json({ error: 'Failed to create alert' });
+  }
+});
+
+// GET /api/alerts/:id - Get alert with its trigger history
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await prisma.alert.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { triggers: { orderBy: { triggeredAt: 'desc' } } }
+    });
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      ...serializeAlert(alert),
+      triggers: alert.triggers.map(serializeAlert)
+    });
+  } catch (error) {
+    console.error('[Alert Get Error]', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+// PUT /api/alerts/:id - Update alert (changing the rule re-arms it)
+router.put('/:id', [
+  body('symbol').optional().trim().toUpperCase().notEmpty(),
+  body('type').optional().isIn(ALERT_TYPES),
+  body('condition').optional().isObject(),
+  body('message').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.alert.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const { symbol, type, condition, message } = req.body;
+    const data = {};
+
+    if (message !== undefined) data.message = message;
+
+    if (symbol !== undefined || type !== undefined || condition !== undefined) {
+      const nextType = type || existing.type;
+      const nextCondition = condition || serializeAlert(existing).condition;
+
+      try {
+        validateCondition(nextCondition, { req: { body: { type: nextType } } });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      data.symbol = symbol || existing.symbol;
+      data.type = nextType;
+      data.condition = JSON.stringify(normalizeCondition(nextType, nextCondition));
+      data.isTriggered = false;
+      data.triggeredAt = null;
+    }
+
+    const alert = await prisma.alert.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json(serializeAlert(alert));
+  } catch (error) {
+    console.error('[Alert Update Error]', error);
+    res.status(500).json({ error: 'Failed to update alert' });
+  }
+});
+
+// POST /api/alerts/:id/pause - Stop evaluating an alert
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const { count } = await prisma.alert.updateMany({
+      where: { id: req.params.id, userId: req.user.id },
+      data: { isActive: false }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Alert Pause Error]', error);
+    res.status(500).json({ error: 'Failed to pause alert' });
+  }
+});
+
+// POST /api/alerts/:id/resume - Resume and re-arm an alert
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const { count } = await prisma.alert.updateMany({
+      where: { id: req.params.id, userId: req.user.id },
+      data: { isActive: true, isTriggered: false, triggeredAt: null }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Alert Resume Error]', error);
+    res.status(500).json({ error: 'Failed to resume alert' });
+  }
+});
+
+// DELETE /api/alerts/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.alert.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Delete Alert Error]', error);
+    res.status(500).json({ error: 'Failed to delete alert' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const netWorth = require('../services/netWorth');
+const fx = require('../services/fx');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Valuation dates are whole days
+function valuationDate(value) {
+  return new Date((value ? new Date(value) : new Date()).toISOString().split('T')[0]);
+}
+
+function checkCategory(kind, category) {
+  return netWorth.CATEGORIES[kind]?.includes(category)
+    ? null
+    : `Category must be one of: ${(netWorth.CATEGORIES[kind] || []).join(', ')}`;
+}
+
+// GET /api/assets - Manual assets and liabilities with their latest value, in the primary currency
+router.get('/', async (req, res) => {
+  try {
+    const currency = req.user.primaryCurrency;
+    const summary = await netWorth.getManualSummary(req.user.id, currency);
+
+    res.json({ currency, ...summary });
+  } catch (error) {
+    console.error('[Assets List Error]', error);
+    res.status(500).json({ error: 'Failed to fetch assets' });
+  }
+});
+
+// POST /api/assets - Create a manual asset or liability, optionally with its first valuation
+router.post('/', [
+  body('name').trim().notEmpty(),
+  body('kind').isIn(netWorth.ASSET_KINDS),
+  body('category').trim().notEmpty(),
+  body('currency').optional().isIn(fx.SUPPORTED_CURRENCIES),
+  body('value').optional().isFloat({ min: 0 }),
+  body('date').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, kind, category, currency, value, date, notes } = req.body;
+
+    const categoryError = checkCategory(kind, category);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
+    }
+
+    const asset = await prisma.manualAsset.create({
+      data: {
+        userId: req.user.id,
+        name,
+        kind,
+        category,
+        currency: currency || req.user.primaryCurrency,
+        notes,
+        ...(value !== undefined && {
+          valuations: { create: { date: valuationDate(date), value: parseFloat(value) } }
+        })
+      },
+      include: { valuations: true }
+    });
+
+    res.status(201).json(asset);
+  } catch (error) {
+    console.error('[Asset Create Error]', error);
+    res.status(500).json({ error: 'Failed to create asset' });
+  }
+});
+
+// GET /api/assets/net-worth - Net worth history: portfolios plus manual assets, less liabilities (?days=)
+router.get('/net-worth', [
+  query('days').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = parseInt(req.query.days) || 365;
+    res.json(await netWorth.getNetWorthHistory(req.user.id, days));
+  } catch (error) {
+    console.error('[Net Worth Error]', error);
+    res.status(500).json({ error: 'Failed to get net worth history' });
+  }
+});
+
+// GET /api/assets/:id - One asset with its valuation history
+router.get('/:id', async (req, res) => {
+  try {
+    const asset = await prisma.manualAsset.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { valuations: { orderBy: { date: 'desc' } } }
+    });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json(asset);
+  } catch (error) {
+    console.error('[Asset Get Error]', error);
+    res.status(500).json({ error: 'Failed to fetch asset' });
+  }
+});
+
+// PUT /api/assets/:id - Update name, category or notes (kind and currency are fixed)
+router.put('/:id', [
+  body('name').optional().trim().notEmpty(),
+  body('category').optional().trim().notEmpty(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.manualAsset.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const { name, category, notes } = req.body;
+    const data = {};
+
+    if (name !== undefined) data.name = name;
+    if (notes !== undefined) data.notes = notes;
+    if (category !== undefined) {
+      const categoryError = checkCategory(existing.kind, category);
+      if (categoryError) {
+        return res.status(400).json({ error: categoryError });
+      }
+      data.category = category;
+    }
+
+    const asset = await prisma.manualAsset.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json(asset);
+  } catch (error) {
+    console.error('[Asset Update Error]', error);
+    res.status(500).json({ error: 'Failed to update asset' });
+  }
+});
+
+// DELETE /api/assets/:id - Delete an asset and its valuations
+router.delete('/:id', async (req, res) => {
+  try {
+    const asset = await prisma.manualAsset.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    await prisma.manualAsset.delete({ where: { id: asset.id } });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Asset Delete Error]', error);
+    res.status(500).json({ error: 'Failed to delete asset' });
+  }
+});
+
+// POST /api/assets/:id/valuations - Record a valuation (replaces one on the same day)
+router.post('/:id/valuations', [
+  body('value').isFloat({ min: 0 }),
+  body('date').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const asset = await prisma.manualAsset.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const date = valuationDate(req.body.date);
+    const value = parseFloat(req.body.value);
+    const { notes } = req.body;
+
+    const valuation = await prisma.assetValuation.upsert({
+      where: { assetId_date: { assetId: asset.id, date } },
+      update: { value, notes },
+      create: { assetId: asset.id, date, value, notes }
+    });
+
+    res.status(201).json(valuation);
+  } catch (error) {
+    console.error('[Asset Valuation Error]', error);
+    res.status(500).json({ error: 'Failed to record valuation' });
+  }
+});
+
+// DELETE /api/assets/:id/valuations/:valuationId
+router.delete('/:id/valuations/:valuationId', async (req, res) => {
+  try {
+    const asset = await prisma.manualAsset.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const { count } = await prisma.assetValuation.deleteMany({
+      where: { id: req.params.valuationId, assetId: asset.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Valuation not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Delete Asset Valuation Error]', error);
+    res.status(500).json({ error: 'Failed to delete valuation' });
+  }
+});
+
+module.exports = router;
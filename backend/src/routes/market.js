@@ -1,6 +1,10 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
+const { authenticate, requireAdmin } = require('../middleware/auth');
 const stockData = require('../services/stockData');
+const instruments = require('../services/instruments');
+const providers = require('../services/providers');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -30,7 +34,11 @@ router.get('/quote/:symbol', async (req, res) => {
       peRatio: quote.peRatio,
       week52High: quote.week52High,
       week52Low: quote.week52Low,
-      dividendYield: quote.dividendYield
+      dividendYield: quote.dividendYield,
+      type: quote.instrumentType,
+      // Bonds: price above is per unit of face including accrued interest
+      quotedPrice: quote.quotedPrice,
+      accruedInterest: quote.accruedInterest
     });
   } catch (error) {
     console.error('[Quote Error]', error.message);
@@ -61,7 +69,8 @@ router.get('/quotes', async (req, res) => {
           name: q.name,
           price: q.price,
           change: q.changeAmount,
-          changePercent: q.changePercent
+          changePercent: q.changePercent,
+          type: q.instrumentType
         };
       }
       return { symbol, error: 'Failed to fetch' };
@@ -135,31 +144,123 @@ router.get('/indices', async (req, res) => {
   }
 });
 
-// GET /api/market/search?q=apple
+// GET /api/market/search?q=apple&type=etf - Stocks, ETFs, mutual funds and crypto
 router.get('/search', async (req, res) => {
   try {
-    const yahooFinance = require('yahoo-finance2').default;
     const query = req.query.q;
+    const type = req.query.type;
     if (!query || query.length < 1) {
       return res.json([]);
     }
 
-    const results = await yahooFinance.search(query);
+    const matches = await stockData.searchSymbols(query, { type });
 
-    const stocks = results.quotes
-      .filter(q => q.quoteType === 'EQUITY')
-      .slice(0, 10)
-      .map(q => ({
-        symbol: q.symbol,
-        name: q.shortname || q.longname,
-        exchange: q.exchange
-      }));
-
-    res.json(stocks);
+    res.json(matches);
   } catch (error) {
     console.error('[Search Error]', error);
     res.status(500).json({ error: 'Search failed' });
   }
 });
 
+// GET /api/market/providers/health - Circuit state, success rate, latency percentiles
+// and remaining budget per data provider (admins only)
+router.get('/providers/health', authenticate, requireAdmin, (req, res) => {
+  try {
+    const list = providers.describeProviders();
+    const active = list.filter(p => p.active);
+
+    res.json({
+      status: active.length === 0 ? 'down'
+        : active.some(p => p.health.circuit !== 'closed') ? 'degraded' : 'ok',
+      offline: providers.isOffline(),
+      providers: list
+    });
+  } catch (error) {
+    console.error('[Provider Health Error]', error);
+    res.status(500).json({ error: 'Failed to get provider health' });
+  }
+});
+
+// GET /api/market/instruments/:symbol - Instrument type and pricing conventions
+router.get('/instruments/:symbol', async (req, res) => {
+  try {
+    const instrument = await instruments.getInstrument(req.params.symbol);
+    res.json({
+      ...instrument,
+      accruedInterest: instruments.accruedInterest(instrument)
+    });
+  } catch (error) {
+    console.error('[Instrument Error]', error.message);
+    res.status(500).json({ error: 'Failed to fetch instrument' });
+  }
+});
+
+// PUT /api/market/instruments/:symbol - Set a symbol's type, bond terms and (for
+// instruments without a feed, such as bonds) its latest price. These are shared by
+// every user holding the symbol (admins only)
+router.put('/instruments/:symbol', authenticate, requireAdmin, [
+  body('type').isIn(Object.keys(instruments.INSTRUMENT_TYPES)),
+  body('name').optional().trim().notEmpty(),
+  body('couponRate').optional().isFloat({ min: 0, max: 100 }),
+  body('couponFrequency').optional().isIn([1, 2, 4, 12]),
+  body('maturityDate').optional().isISO8601(),
+  body('price').optional().isFloat({ gt: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const symbol = req.params.symbol.toUpperCase();
+    const { type, name } = req.body;
+
+    if (type === 'bond' && (req.body.couponRate === undefined || !req.body.maturityDate)) {
+      return res.status(400).json({ error: 'Bonds need a coupon rate and maturity date' });
+    }
+
+    const data = {
+      assetClass: type,
+      ...(name && { name }),
+      couponRate: type === 'bond' ? parseFloat(req.body.couponRate) : null,
+      couponFrequency: type === 'bond' ? parseInt(req.body.couponFrequency) || 2 : null,
+      maturityDate: type === 'bond' ? new Date(req.body.maturityDate) : null
+    };
+
+    await prisma.stockMetadata.upsert({
+      where: { symbol },
+      update: data,
+      create: { symbol, ...data }
+    });
+
+    // Recorded as a quote in the instrument's own convention (percent of par for bonds)
+    if (req.body.price !== undefined) {
+      const price = parseFloat(req.body.price);
+      const previous = await prisma.stockQuote.findUnique({ where: { symbol } });
+      const quoteData = {
+        name: name || previous?.name || symbol,
+        price,
+        previousClose: previous?.price ?? price,
+        changeAmount: previous ? price - previous.price : 0,
+        changePercent: previous?.price > 0 ? ((price - previous.price) / previous.price) * 100 : 0
+      };
+
+      await prisma.stockQuote.upsert({
+        where: { symbol },
+        update: quoteData,
+        create: { symbol, ...quoteData }
+      });
+    }
+
+    const instrument = await instruments.getInstrument(symbol);
+    res.json({
+      ...instrument,
+      accruedInterest: instruments.accruedInterest(instrument)
+    });
+  } catch (error) {
+    console.error('[Instrument Update Error]', error);
+    res.status(500).json({ error: 'Failed to update instrument' });
+  }
+});
+
 module.exports = router;
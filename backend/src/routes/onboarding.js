@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
+const fx = require('../services/fx');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,7 +16,9 @@ router.get('/status', authenticate, async (req, res) => {
         onboardingCompleted: true,
         investmentGoal: true,
         riskTolerance: true,
-        primaryCurrency: true
+        primaryCurrency: true,
+        shortTermTaxRate: true,
+        longTermTaxRate: true
       }
     });
 
@@ -24,7 +27,9 @@ router.get('/status', authenticate, async (req, res) => {
       preferences: {
         investmentGoal: user.investmentGoal,
         riskTolerance: user.riskTolerance,
-        primaryCurrency: user.primaryCurrency
+        primaryCurrency: user.primaryCurrency,
+        shortTermTaxRate: user.shortTermTaxRate,
+        longTermTaxRate: user.longTermTaxRate
       }
     });
   } catch (error) {
@@ -37,7 +42,7 @@ router.get('/status', authenticate, async (req, res) => {
 router.post('/preferences', authenticate, [
   body('investmentGoal').isIn(['growth', 'balanced', 'income']),
   body('riskTolerance').isIn(['conservative', 'moderate', 'aggressive']),
-  body('primaryCurrency').isIn(['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'])
+  body('primaryCurrency').isIn(fx.SUPPORTED_CURRENCIES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -74,6 +79,34 @@ router.post('/preferences', authenticate, [
   }
 });
 
+// PUT /api/onboarding/tax-rates - Marginal rates (percent) used for tax savings estimates
+router.put('/tax-rates', authenticate, [
+  body('shortTermTaxRate').optional().isFloat({ min: 0, max: 100 }),
+  body('longTermTaxRate').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = {};
+    if (req.body.shortTermTaxRate !== undefined) data.shortTermTaxRate = parseFloat(req.body.shortTermTaxRate);
+    if (req.body.longTermTaxRate !== undefined) data.longTermTaxRate = parseFloat(req.body.longTermTaxRate);
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data,
+      select: { shortTermTaxRate: true, longTermTaxRate: true }
+    });
+
+    res.json({ success: true, ...user });
+  } catch (error) {
+    console.error('[Tax Rates Save Error]', error);
+    res.status(500).json({ error: 'Failed to save tax rates' });
+  }
+});
+
 // POST /api/onboarding/skip
 router.post('/skip', authenticate, async (req, res) => {
   try {
@@ -1,9 +1,24 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
 const stockData = require('../services/stockData');
 const portfolioSnapshot = require('../services/portfolioSnapshot');
+const taxLots = require('../services/taxLots');
+const ledger = require('../services/ledger');
+const csvImport = require('../services/csvImport');
+const exporter = require('../services/exporter');
+const performance = require('../services/performance');
+const benchmarks = require('../services/benchmarks');
+const risk = require('../services/risk');
+const allocation = require('../services/allocation');
+const rebalance = require('../services/rebalance');
+const income = require('../services/income');
+const corporateActions = require('../services/corporateActions');
+const fx = require('../services/fx');
+const tax = require('../services/tax');
+const netWorth = require('../services/netWorth');
+const instruments = require('../services/instruments');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,6 +26,253 @@ const prisma = new PrismaClient();
 // All routes require authentication
 router.use(authenticate);
 
+const EXPORT_FORMATS = ['json', 'csv', 'ofx'];
+const EXPORT_DATASETS = ['holdings', 'transactions', 'snapshots'];
+const EXPORT_INCLUDE = {
+  holdings: true,
+  transactions: { orderBy: { executedAt: 'asc' } },
+  corporateActions: true,
+  targets: true,
+  snapshots: { orderBy: { date: 'asc' } }
+};
+
+// Render portfolios in the requested export format as a file download
+async function sendExport(res, { portfolios, format, dataset, filename }) {
+  const date = new Date().toISOString().split('T')[0];
+  const base = `${filename}-${date}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}-${dataset}.csv"`);
+    return res.send(exporter.portfoliosToCsv(portfolios, dataset));
+  }
+
+  if (format === 'ofx') {
+    const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+    const quotes = symbols.length > 0 ? await stockData.getQuotes(symbols) : {};
+    res.setHeader('Content-Type', 'application/x-ofx');
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.ofx"`);
+    return res.send(exporter.toOfx(portfolios, quotes));
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${base}.json"`);
+  res.json(exporter.buildDocument(portfolios));
+}
+
+// Whole shares and fractions down to a millionth that a reinvested dividend buys
+function dripShares(amount, price) {
+  return Math.floor((amount / price) * 1e6) / 1e6;
+}
+
+// Last stored close on or before a date, fetching history first when there is none
+async function closeOn(symbol, date) {
+  const days = Math.ceil((Date.now() - new Date(date).getTime()) / (24 * 60 * 60 * 1000)) + 7;
+  try {
+    await stockData.getHistoricalData(symbol, { days });
+  } catch (err) {
+    console.log(`[Corporate Actions] Historical fetch for ${symbol}:`, err.message);
+  }
+
+  const row = await prisma.stockHistory.findFirst({
+    where: { symbol, date: { lte: new Date(date) } },
+    orderBy: { date: 'desc' }
+  });
+  return row?.close || null;
+}
+
+function exportSlug(name) {
+  return `wealthpilot-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'portfolio'}`;
+}
+
+// Sum realized gain/loss and the cost basis of everything sold, in the reporting currency
+async function getRealizedGains(portfolios, currency, converter) {
+  const result = await prisma.transaction.groupBy({
+    by: ['portfolioId'],
+    where: { portfolioId: { in: portfolios.map(p => p.id) }, type: { in: ['sell', 'merger_cash'] } },
+    _sum: { realizedGain: true, costBasis: true }
+  });
+
+  const currencies = Object.fromEntries(portfolios.map(p => [p.id, p.currency]));
+  return result.reduce((totals, r) => ({
+    realizedGain: totals.realizedGain + converter.convert(r._sum.realizedGain || 0, currencies[r.portfolioId], currency),
+    soldCostBasis: totals.soldCostBasis + converter.convert(r._sum.costBasis || 0, currencies[r.portfolioId], currency)
+  }), { realizedGain: 0, soldCostBasis: 0 });
+}
+
+// Realized gains for a tax year across the user's portfolios (wash sales look at all of them),
+// listing every lot or only one portfolio's, sent as JSON or a Form 8949-style CSV
+async function sendGainsReport(req, res, portfolio = null) {
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+  const currency = portfolio ? portfolio.currency : req.user.primaryCurrency;
+  const { start, end } = tax.yearRange(year);
+  const washWindow = tax.WASH_SALE_DAYS * 24 * 60 * 60 * 1000;
+
+  const portfolios = await prisma.portfolio.findMany({
+    where: { userId: req.user.id },
+    select: { id: true, name: true, currency: true }
+  });
+  const portfolioIds = portfolios.map(p => p.id);
+
+  // Earlier years are replayed too: a wash sale there can move basis into lots sold this year
+  const sales = await prisma.taxLotSale.findMany({
+    where: { lot: { portfolioId: { in: portfolioIds } }, soldAt: { lt: end } },
+    include: { lot: true, transaction: { select: { symbol: true } } },
+    orderBy: { soldAt: 'asc' }
+  });
+
+  const buys = sales.length > 0
+    ? await prisma.transaction.findMany({
+      where: {
+        portfolioId: { in: portfolioIds },
+        type: 'buy',
+        executedAt: {
+          gte: new Date(sales[0].soldAt.getTime() - washWindow),
+          lte: new Date(sales[sales.length - 1].soldAt.getTime() + washWindow)
+        }
+      },
+      orderBy: { executedAt: 'asc' }
+    })
+    : [];
+
+  const cashMergers = await prisma.transaction.findMany({
+    where: { portfolioId: { in: portfolioIds }, type: 'merger_cash', executedAt: { gte: start, lt: end } }
+  });
+
+  const since = sales.length > 0 ? sales[0].soldAt : undefined;
+  const { converter } = await getFxContext(portfolios, [], currency, { since });
+
+  const report = tax.buildGainsReport({ sales, buys, cashMergers, portfolios }, {
+    year,
+    currency,
+    converter,
+    portfolioId: portfolio ? portfolio.id : null
+  });
+
+  const missingRates = [...converter.missing];
+
+  if (req.query.format === 'csv') {
+    const name = portfolio ? exportSlug(portfolio.name) : 'wealthpilot';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-form-8949-${year}.csv"`);
+    if (missingRates.length > 0) res.setHeader('X-Missing-FX-Rates', missingRates.join(','));
+    return res.send(tax.gainsToCsv(report));
+  }
+
+  res.json({ ...report, missingRates });
+}
+
+// Trading currency per symbol and a converter between those, the portfolios' and the reporting currency
+async function getFxContext(portfolios, symbols, currency, options = {}) {
+  const symbolCurrencies = await fx.getSymbolCurrencies(symbols);
+  const converter = await fx.getConverter([
+    currency,
+    ...portfolios.map(p => p.currency),
+    ...Object.values(symbolCurrencies)
+  ], options);
+
+  return { symbolCurrencies, converter };
+}
+
+// Holdings at live prices in the portfolio's currency; a holding without a quote stays at cost
+function valueHoldings(portfolio, quotes, symbolCurrencies, converter) {
+  return portfolio.holdings.map(h => {
+    const rate = converter.rate(symbolCurrencies[h.symbol], portfolio.currency);
+    const fallbackPrice = h.avgCostBasis / rate;
+    const quote = quotes[h.symbol] || { price: fallbackPrice, previousClose: fallbackPrice, changeAmount: 0, changePercent: 0, name: h.symbol };
+    const currentValue = h.shares * quote.price * rate;
+    const costBasis = h.shares * h.avgCostBasis;
+
+    return {
+      id: h.id,
+      symbol: h.symbol,
+      name: quote.name,
+      shares: h.shares,
+      avgCostBasis: h.avgCostBasis,
+      tradingCurrency: symbolCurrencies[h.symbol],
+      currentPrice: quote.price,
+      previousClose: quote.previousClose,
+      currentValue,
+      costBasis,
+      dayGain: h.shares * (quote.changeAmount || 0) * rate,
+      dayGainPercent: quote.changePercent || 0,
+      totalGain: currentValue - costBasis,
+      totalGainPercent: costBasis > 0 ? ((currentValue - costBasis) / costBasis) * 100 : 0
+    };
+  });
+}
+
+// Snapshot history for the account (primary currency) or one portfolio (its currency),
+// backfilled when sparse, with optional benchmark comparison. Currencies converted
+// without rates are listed in missingRates, or in X-Missing-FX-Rates for the bare history
+async function sendPerformance(req, res, portfolio = null) {
+  const days = parseInt(req.query.days) || 365;
+  const period = req.query.period || 'ALL';
+  const benchmarkList = req.query.benchmarks ? benchmarks.parseBenchmarks(req.query.benchmarks) : [];
+
+  const periodStart = performance.getPeriodStart(period);
+  const requestedDays = periodStart
+    ? Math.ceil((new Date() - new Date(periodStart)) / (1000 * 60 * 60 * 24))
+    : days;
+
+  const missingRates = new Set();
+  const loadHistory = () => (portfolio
+    ? portfolioSnapshot.getPortfolioHistory(portfolio.id, requestedDays)
+    : portfolioSnapshot.getPerformanceHistory(req.user.id, requestedDays, { missingRates }));
+
+  const portfolios = portfolio ? [portfolio] : await prisma.portfolio.findMany({
+    where: { userId: req.user.id },
+    select: { id: true, currency: true }
+  });
+
+  let snapshots = await loadHistory();
+
+  if (snapshots.length < 30) {
+    // The backfill replays the whole ledger, so positions already closed need prices too
+    const traded = await prisma.transaction.findMany({
+      where: { portfolioId: { in: portfolios.map(p => p.id) }, symbol: { not: ledger.CASH_SYMBOL } },
+      distinct: ['symbol'],
+      select: { symbol: true }
+    });
+    const symbols = traded.map(t => t.symbol);
+
+    for (const symbol of symbols) {
+      const hasData = await stockData.hasRecentData(symbol);
+      if (!hasData) {
+        console.log(`[Performance] Fetching historical data for ${symbol}...`);
+        await stockData.getHistoricalData(symbol, { forceRefresh: true });
+      }
+    }
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+    snapshots = await loadHistory();
+  }
+
+  await portfolioSnapshot.recordDailySnapshot(req.user.id);
+
+  const history = snapshots.map(s => ({
+    date: s.date,
+    value: s.totalValue,
+    cost: s.totalCost,
+    dayGain: s.dayGain,
+    totalGain: s.totalValue - s.totalCost,
+    totalGainPercent: s.totalCost > 0 ? ((s.totalValue - s.totalCost) / s.totalCost) * 100 : 0
+  }));
+
+  if (benchmarkList.length === 0) {
+    if (missingRates.size > 0) res.setHeader('X-Missing-FX-Rates', [...missingRates].join(','));
+    return res.json(history);
+  }
+
+  const comparison = await benchmarks.compareBenchmarks(
+    portfolios.map(p => p.id),
+    snapshots.map(s => s.date),
+    benchmarkList,
+    { currency: portfolio ? portfolio.currency : req.user.primaryCurrency, missingRates }
+  );
+
+  res.json({ performance: history, ...comparison, missingRates: [...missingRates] });
+}
+
 // GET /api/portfolios - List all portfolios
 router.get('/', async (req, res) => {
   try {
@@ -41,7 +303,7 @@ router.get('/', async (req, res) => {
 router.post('/', [
   body('name').trim().notEmpty(),
   body('description').optional().trim(),
-  body('currency').optional().isIn(['USD', 'EUR', 'GBP', 'CAD'])
+  body('currency').optional().isIn(fx.SUPPORTED_CURRENCIES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -56,7 +318,7 @@ router.post('/', [
         userId: req.user.id,
         name,
         description,
-        currency: currency || 'USD'
+        currency: currency || req.user.primaryCurrency
       }
     });
 
@@ -73,61 +335,88 @@ router.post('/', [
 // NOTE: Specific routes MUST come before /:id catch-all routes
 // These are moved here from below to fix routing
 
-// GET /api/portfolios/summary/all - Get summary of all portfolios
+// GET /api/portfolios/summary/all - Get summary of all portfolios, in the user's primary currency
 router.get('/summary/all', async (req, res) => {
   try {
+    const currency = req.user.primaryCurrency;
     const portfolios = await prisma.portfolio.findMany({
       where: { userId: req.user.id },
       include: { holdings: true }
     });
 
+    // Manual assets and liabilities count toward net worth, not returns
+    const manual = await netWorth.getManualSummary(req.user.id, currency);
+    const otherAssets = { manualAssets: manual.assets, liabilities: manual.liabilities };
+
     if (portfolios.length === 0) {
       return res.json({
+        currency,
         totalValue: 0,
         totalCost: 0,
+        cashBalance: 0,
+        ...otherAssets,
+        netWorth: manual.assets - manual.liabilities,
         dayGain: 0,
         dayGainPercent: 0,
+        unrealizedGain: 0,
+        realizedGain: 0,
         totalReturn: 0,
         totalReturnPercent: 0,
         holdingsCount: 0,
-        topHoldings: []
+        topHoldings: [],
+        missingRates: manual.missingRates
       });
     }
 
     const allHoldings = portfolios.flatMap(p => p.holdings);
+    const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+    const missingRates = new Set(manual.missingRates);
+    const { symbolCurrencies, converter } = await getFxContext(portfolios, symbols, currency, { missingRates });
+
+    const { realizedGain, soldCostBasis } = await getRealizedGains(portfolios, currency, converter);
+    const cashBalance = portfolios.reduce((sum, p) => sum + converter.convert(p.cashBalance, p.currency, currency), 0);
+
     if (allHoldings.length === 0) {
       return res.json({
+        currency,
         totalValue: 0,
         totalCost: 0,
+        cashBalance,
+        ...otherAssets,
+        netWorth: cashBalance + manual.assets - manual.liabilities,
         dayGain: 0,
         dayGainPercent: 0,
-        totalReturn: 0,
-        totalReturnPercent: 0,
+        unrealizedGain: 0,
+        realizedGain,
+        totalReturn: realizedGain,
+        totalReturnPercent: soldCostBasis > 0 ? (realizedGain / soldCostBasis) * 100 : 0,
         holdingsCount: 0,
-        topHoldings: []
+        topHoldings: [],
+        missingRates: [...missingRates]
       });
     }
 
-    const symbols = [...new Set(allHoldings.map(h => h.symbol))];
     const quotes = await stockData.getQuotes(symbols);
 
+    // Cost basis is in each portfolio's currency, quotes in the symbol's trading currency
     const aggregated = {};
-    allHoldings.forEach(h => {
+    portfolios.forEach(p => p.holdings.forEach(h => {
       if (!aggregated[h.symbol]) {
         aggregated[h.symbol] = { symbol: h.symbol, shares: 0, totalCost: 0 };
       }
       aggregated[h.symbol].shares += h.shares;
-      aggregated[h.symbol].totalCost += h.shares * h.avgCostBasis;
-    });
+      aggregated[h.symbol].totalCost += converter.convert(h.shares * h.avgCostBasis, p.currency, currency);
+    }));
 
     let totalValue = 0;
     let totalCost = 0;
     let totalDayGain = 0;
 
     const holdingsWithPrices = Object.values(aggregated).map(h => {
-      const quote = quotes[h.symbol] || { price: h.totalCost / h.shares, changeAmount: 0, changePercent: 0, name: h.symbol };
-      const currentValue = h.shares * quote.price;
-      const dayGain = h.shares * (quote.changeAmount || 0);
+      const rate = converter.rate(symbolCurrencies[h.symbol], currency);
+      const quote = quotes[h.symbol] || { price: h.totalCost / h.shares / rate, changeAmount: 0, changePercent: 0, name: h.symbol };
+      const currentValue = h.shares * quote.price * rate;
+      const dayGain = h.shares * (quote.changeAmount || 0) * rate;
 
       totalValue += currentValue;
       totalCost += h.totalCost;
@@ -137,6 +426,7 @@ router.get('/summary/all', async (req, res) => {
         symbol: h.symbol,
         name: quote.name,
         shares: h.shares,
+        tradingCurrency: symbolCurrencies[h.symbol],
         currentPrice: quote.price,
         currentValue,
         costBasis: h.totalCost,
@@ -149,15 +439,27 @@ router.get('/summary/all', async (req, res) => {
 
     holdingsWithPrices.sort((a, b) => b.currentValue - a.currentValue);
 
+    // Total return includes gains already realized by selling
+    const unrealizedGain = totalValue - totalCost;
+    const totalReturn = unrealizedGain + realizedGain;
+    const investedCost = totalCost + soldCostBasis;
+
     res.json({
+      currency,
       totalValue,
       totalCost,
+      cashBalance,
+      ...otherAssets,
+      netWorth: totalValue + cashBalance + manual.assets - manual.liabilities,
       dayGain: totalDayGain,
       dayGainPercent: totalCost > 0 ? (totalDayGain / totalCost) * 100 : 0,
-      totalReturn: totalValue - totalCost,
-      totalReturnPercent: totalCost > 0 ? ((totalValue - totalCost) / totalCost) * 100 : 0,
+      unrealizedGain,
+      realizedGain,
+      totalReturn,
+      totalReturnPercent: investedCost > 0 ? (totalReturn / investedCost) * 100 : 0,
       holdingsCount: allHoldings.length,
-      topHoldings: holdingsWithPrices.slice(0, 5)
+      topHoldings: holdingsWithPrices.slice(0, 5),
+      missingRates: [...missingRates]
     });
   } catch (error) {
     console.error('[Portfolio Summary Error]', error);
@@ -205,7 +507,7 @@ router.post('/refresh-history', async (req, res) => {
       await stockData.getHistoricalData(symbol, { forceRefresh: true });
     }
 
-    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id, 365);
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
 
     res.json({ success: true, message: `Refreshed data for ${symbols.length} symbols` });
   } catch (error) {
@@ -214,63 +516,388 @@ router.post('/refresh-history', async (req, res) => {
   }
 });
 
-// GET /api/portfolios/performance - Get portfolio performance history
+// GET /api/portfolios/performance - Get portfolio performance history (?period=&days=&benchmarks=SPY,SPY:60/AGG:40)
 router.get('/performance', async (req, res) => {
   try {
-    const days = parseInt(req.query.days) || 365;
-    const period = req.query.period || 'ALL';
+    await sendPerformance(req, res);
+  } catch (error) {
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Performance History Error]', error);
+    res.status(500).json({ error: 'Failed to get performance history' });
+  }
+});
+
+// GET /api/portfolios/returns - Time- and money-weighted returns across all portfolios, in the primary currency (?period=)
+router.get('/returns', [
+  query('period').optional().isIn(performance.PERIODS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const periodDays = {
-      '1D': 1,
-      '1W': 7,
-      '1M': 30,
-      'YTD': Math.ceil((new Date() - new Date(new Date().getFullYear(), 0, 1)) / (1000 * 60 * 60 * 24)),
-      'ALL': 365
-    };
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id },
+      select: { id: true }
+    });
+
+    const missingRates = new Set();
+    const returns = await performance.getReturns(portfolios.map(p => p.id), req.query.period || null, {
+      currency: req.user.primaryCurrency,
+      missingRates
+    });
+    res.json({ ...returns, missingRates: [...missingRates] });
+  } catch (error) {
+    console.error('[Returns Error]', error);
+    res.status(500).json({ error: 'Failed to calculate returns' });
+  }
+});
 
-    const requestedDays = periodDays[period] || days;
+// GET /api/portfolios/allocation/all - Market value by sector, industry, country, asset class and market cap
+router.get('/allocation/all', async (req, res) => {
+  try {
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id },
+      include: { holdings: true }
+    });
 
-    let snapshots = await portfolioSnapshot.getPerformanceHistory(req.user.id, requestedDays);
+    res.json(await allocation.getAllocation(portfolios.flatMap(p => p.holdings), {
+      currency: req.user.primaryCurrency,
+      portfolioCurrencies: Object.fromEntries(portfolios.map(p => [p.id, p.currency]))
+    }));
+  } catch (error) {
+    console.error('[Allocation Error]', error);
+    res.status(500).json({ error: 'Failed to get allocation' });
+  }
+});
 
-    if (snapshots.length < 30) {
-      const portfolios = await prisma.portfolio.findMany({
-        where: { userId: req.user.id },
-        include: { holdings: true }
-      });
+// GET /api/portfolios/income - Dividend income by month, symbol and portfolio, in the primary currency (?from=&to=&portfolioId=)
+router.get('/income', [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('portfolioId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currency = req.user.primaryCurrency;
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id, ...(req.query.portfolioId && { id: req.query.portfolioId }) },
+      select: { id: true, name: true, currency: true }
+    });
 
-      const allHoldings = portfolios.flatMap(p => p.holdings);
-      const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+    const executedAt = {};
+    if (req.query.from) executedAt.gte = new Date(req.query.from);
+    if (req.query.to) executedAt.lte = new Date(req.query.to);
 
-      for (const symbol of symbols) {
-        const hasData = await stockData.hasRecentData(symbol);
-        if (!hasData) {
-          console.log(`[Performance] Fetching historical data for ${symbol}...`);
-          await stockData.getHistoricalData(symbol, { forceRefresh: true });
-        }
-      }
+    const dividends = await prisma.transaction.findMany({
+      where: {
+        portfolioId: { in: portfolios.map(p => p.id) },
+        type: 'dividend',
+        ...(Object.keys(executedAt).length > 0 && { executedAt })
+      },
+      orderBy: { executedAt: 'desc' }
+    });
+
+    const reinvestments = await prisma.transaction.findMany({
+      where: { relatedId: { in: dividends.map(d => d.id) } },
+      select: { relatedId: true }
+    });
+
+    // Each payment converts at the rate of the day it was received
+    const oldest = dividends.length > 0 ? dividends[dividends.length - 1].executedAt : undefined;
+    const { converter } = await getFxContext(portfolios, [], currency, { since: oldest });
+    const currencies = Object.fromEntries(portfolios.map(p => [p.id, p.currency]));
+    const converted = dividends.map(d => ({
+      ...d,
+      amount: converter.convert(d.amount || 0, currencies[d.portfolioId], currency, performance.dayKey(d.executedAt))
+    }));
+
+    const names = Object.fromEntries(portfolios.map(p => [p.id, p.name]));
+    const report = income.summarizeIncome(converted, names, new Set(reinvestments.map(r => r.relatedId)));
 
-      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id, 365);
-      snapshots = await portfolioSnapshot.getPerformanceHistory(req.user.id, requestedDays);
+    res.json({ currency, ...report, dividends, missingRates: [...converter.missing] });
+  } catch (error) {
+    console.error('[Income Error]', error);
+    res.status(500).json({ error: 'Failed to get income report' });
+  }
+});
+
+// GET /api/portfolios/income/forecast - Projected dividend income for the next 12 months, in the primary currency (?portfolioId=)
+router.get('/income/forecast', [
+  query('portfolioId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id, ...(req.query.portfolioId && { id: req.query.portfolioId }) },
+      include: { holdings: true }
+    });
+
+    const currency = req.user.primaryCurrency;
+    const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+    const { symbolCurrencies, converter } = await getFxContext(portfolios, symbols, currency);
+
+    // One position per symbol across portfolios
+    const bySymbol = {};
+    for (const p of portfolios) {
+      for (const h of p.holdings) {
+        const position = bySymbol[h.symbol] || (bySymbol[h.symbol] = { symbol: h.symbol, shares: 0, costBasis: 0 });
+        position.shares += h.shares;
+        position.costBasis += converter.convert(h.shares * h.avgCostBasis, p.currency, currency);
+      }
     }
 
-    await portfolioSnapshot.recordDailySnapshot(req.user.id);
+    const quotes = symbols.length > 0 ? await stockData.getQuotes(symbols) : {};
+    const dividendInfo = {};
+    for (const symbol of symbols) {
+      const info = await stockData.getDividendInfo(symbol);
+      dividendInfo[symbol] = { ...info, dividend: converter.convert(info.dividend || 0, symbolCurrencies[symbol], currency) };
+    }
 
-    const performance = snapshots.map(s => ({
-      date: s.date,
-      value: s.totalValue,
-      cost: s.totalCost,
-      dayGain: s.dayGain,
-      totalGain: s.totalValue - s.totalCost,
-      totalGainPercent: s.totalCost > 0 ? ((s.totalValue - s.totalCost) / s.totalCost) * 100 : 0
+    const positions = Object.values(bySymbol).map(p => ({
+      ...p,
+      value: quotes[p.symbol]?.price
+        ? p.shares * converter.convert(quotes[p.symbol].price, symbolCurrencies[p.symbol], currency)
+        : p.costBasis
     }));
 
-    res.json(performance);
+    const history = await prisma.transaction.findMany({
+      where: { portfolioId: { in: portfolios.map(p => p.id) }, type: 'dividend', symbol: { in: symbols } },
+      select: { symbol: true, executedAt: true }
+    });
+
+    res.json({ currency, ...income.forecastIncome(positions, dividendInfo, history), missingRates: [...converter.missing] });
   } catch (error) {
-    console.error('[Performance History Error]', error);
-    res.status(500).json({ error: 'Failed to get performance history' });
+    console.error('[Income Forecast Error]', error);
+    res.status(500).json({ error: 'Failed to forecast income' });
+  }
+});
+
+// GET /api/portfolios/tax/gains - Realized gains for a tax year across all portfolios, in the primary currency (?year=&format=json|csv)
+router.get('/tax/gains', [
+  query('year').optional().isInt({ min: 1900, max: 2100 }),
+  query('format').optional().isIn(['json', 'csv'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await sendGainsReport(req, res);
+  } catch (error) {
+    console.error('[Tax Report Error]', error);
+    res.status(500).json({ error: 'Failed to get realized gains report' });
+  }
+});
+
+// GET /api/portfolios/tax/harvest - Open positions with losses worth harvesting, in the primary currency (?minLoss=&minLossPercent=)
+router.get('/tax/harvest', [
+  query('minLoss').optional().isFloat({ min: 0 }),
+  query('minLossPercent').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currency = req.user.primaryCurrency;
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id },
+      include: { holdings: true }
+    });
+
+    const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
+    const [lots, user] = await Promise.all([
+      prisma.taxLot.findMany({
+        where: { portfolioId: { in: portfolios.map(p => p.id) }, remainingShares: { gt: taxLots.SHARE_EPSILON } },
+        orderBy: { acquiredAt: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { shortTermTaxRate: true, longTermTaxRate: true }
+      })
+    ]);
+
+    const { symbolCurrencies, converter } = await getFxContext(portfolios, symbols, currency);
+    const quotes = symbols.length > 0 ? await stockData.getQuotes(symbols) : {};
+
+    // Lots are priced at their holding's live valuation
+    const positions = portfolios.flatMap(p => valueHoldings(p, quotes, symbolCurrencies, converter).map(h => ({
+      portfolioId: p.id,
+      portfolioName: p.name,
+      currency: p.currency,
+      symbol: h.symbol,
+      sector: p.holdings.find(x => x.id === h.id)?.sector,
+      price: h.shares > 0 ? h.currentValue / h.shares : 0,
+      lots: lots.filter(l => l.portfolioId === p.id && l.symbol === h.symbol)
+    })));
+
+    const recentBuys = await prisma.transaction.findMany({
+      where: {
+        portfolioId: { in: portfolios.map(p => p.id) },
+        type: 'buy',
+        symbol: { in: symbols },
+        executedAt: { gte: new Date(Date.now() - tax.WASH_SALE_DAYS * 24 * 60 * 60 * 1000) }
+      },
+      orderBy: { executedAt: 'desc' }
+    });
+
+    const metadataRows = await prisma.stockMetadata.findMany({ where: { symbol: { in: symbols } } });
+    const sectors = [...new Set(metadataRows.map(m => m.sector).filter(Boolean))];
+    const candidates = sectors.length > 0
+      ? await prisma.stockMetadata.findMany({
+        where: { sector: { in: sectors } },
+        select: { symbol: true, name: true, sector: true, assetClass: true, marketCap: true }
+      })
+      : [];
+
+    const opportunities = tax.findHarvestOpportunities(positions, {
+      recentBuys,
+      metadata: Object.fromEntries(metadataRows.map(m => [m.symbol, m])),
+      candidates,
+      rates: { short: user.shortTermTaxRate, long: user.longTermTaxRate },
+      minLoss: parseFloat(req.query.minLoss) || 0,
+      minLossPercent: parseFloat(req.query.minLossPercent) || 0,
+      currency,
+      converter
+    });
+
+    res.json({ ...opportunities, missingRates: [...converter.missing] });
+  } catch (error) {
+    console.error('[Tax Harvest Error]', error);
+    res.status(500).json({ error: 'Failed to find tax-loss harvesting opportunities' });
+  }
+});
+
+// GET /api/portfolios/export/all - Export every portfolio (?format=json|csv|ofx&dataset=...)
+router.get('/export/all', [
+  query('format').optional().isIn(EXPORT_FORMATS),
+  query('dataset').optional().isIn(EXPORT_DATASETS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.id },
+      include: EXPORT_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    await sendExport(res, {
+      portfolios,
+      format: req.query.format || 'json',
+      dataset: req.query.dataset || 'transactions',
+      filename: 'wealthpilot-account'
+    });
+  } catch (error) {
+    console.error('[Export Error]', error);
+    res.status(500).json({ error: 'Failed to export portfolios' });
+  }
+});
+
+// POST /api/portfolios/import/json - Restore portfolios from a JSON export
+router.post('/import/json', [
+  body('format').equals('wealthpilot-export'),
+  body('portfolios').isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = exporter.parseDocument(req.body);
+    const existingNames = new Set((await prisma.portfolio.findMany({
+      where: { userId: req.user.id },
+      select: { name: true }
+    })).map(p => p.name));
+
+    // One transaction for the whole document: a portfolio whose ledger doesn't
+    // replay rolls back every portfolio restored before it
+    const restored = await prisma.$transaction(async (tx) => {
+      const results = [];
+
+      for (const p of document.portfolios) {
+        // Never merge into an existing portfolio; restore alongside it instead
+        let name = p.name;
+        for (let n = 1; existingNames.has(name); n++) {
+          name = `${p.name} (Restored${n > 1 ? ` ${n}` : ''})`;
+        }
+        existingNames.add(name);
+
+        const portfolio = await tx.portfolio.create({
+          data: {
+            userId: req.user.id,
+            name,
+            description: p.description,
+            currency: p.currency,
+            lotMethod: p.lotMethod,
+            preventOverdraft: p.preventOverdraft
+          }
+        });
+
+        await tx.transaction.createMany({
+          data: p.transactions.map(t => ({ ...t, portfolioId: portfolio.id }))
+        });
+        await tx.corporateAction.createMany({
+          data: p.corporateActions.map(a => ({ ...a, portfolioId: portfolio.id }))
+        });
+
+        await tx.targetAllocation.createMany({
+          data: p.targets.map(t => ({ ...t, portfolioId: portfolio.id }))
+        });
+
+        await ledger.rebuildPortfolio(tx, portfolio.id);
+
+        for (const h of p.holdings.filter(h => h.sector || h.notes)) {
+          await tx.holding.updateMany({
+            where: { portfolioId: portfolio.id, symbol: h.symbol },
+            data: { sector: h.sector, notes: h.notes }
+          });
+        }
+
+        const { count: snapshots } = await tx.portfolioSnapshot.createMany({
+          data: p.snapshots.map(s => ({ ...s, userId: req.user.id, portfolioId: portfolio.id })),
+          skipDuplicates: true
+        });
+
+        results.push({ id: portfolio.id, name, transactions: p.transactions.length, snapshots });
+      }
+
+      return results;
+    }, ledger.REBUILD_TX_OPTIONS);
+
+    res.status(201).json({ success: true, portfolios: restored });
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT' || error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[JSON Import Error]', error);
+    res.status(500).json({ error: 'Failed to import export document' });
   }
 });
 
+// GET /api/portfolios/import/profiles - Broker CSV layouts supported by the importer
+router.get('/import/profiles', (req, res) => {
+  res.json(csvImport.listProfiles());
+});
+
 // GET /api/portfolios/:id - Get single portfolio (MUST be after specific routes)
 router.get('/:id', async (req, res) => {
   try {
@@ -299,11 +926,53 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// PATCH /api/portfolios/:id - Update portfolio settings
+router.patch('/:id', [
+  body('name').optional().trim().notEmpty(),
+  body('description').optional().trim(),
+  body('lotMethod').optional().isIn(taxLots.LOT_METHODS),
+  body('preventOverdraft').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { name, description, lotMethod } = req.body;
+    const preventOverdraft = req.body.preventOverdraft === undefined
+      ? undefined
+      : req.body.preventOverdraft === true || req.body.preventOverdraft === 'true';
+
+    const updated = await prisma.portfolio.update({
+      where: { id: portfolio.id },
+      data: { name, description, lotMethod, preventOverdraft }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Portfolio name already exists' });
+    }
+    console.error('[Portfolio Update Error]', error);
+    res.status(500).json({ error: 'Failed to update portfolio' });
+  }
+});
+
 // POST /api/portfolios/:id/holdings - Add holding
 router.post('/:id/holdings', [
   body('symbol').trim().toUpperCase().notEmpty(),
-  body('shares').isFloat({ min: 0.0001 }),
-  body('avgCostBasis').isFloat({ min: 0 })
+  body('shares').isFloat({ gt: 0 }),
+  body('avgCostBasis').isFloat({ min: 0 }),
+  body('executedAt').optional().isISO8601()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -320,61 +989,53 @@ router.post('/:id/holdings', [
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
-    const { symbol, shares, avgCostBasis, sector, notes } = req.body;
+    const { symbol, sector, notes, executedAt } = req.body;
 
-    // Check if holding exists
-    const existing = await prisma.holding.findUnique({
-      where: {
-        portfolioId_symbol: {
-          portfolioId: req.params.id,
-          symbol
-        }
+    // Bond prices are entered as percent of par
+    const instrument = await instruments.getInstrument(symbol);
+    const shares = instruments.roundQuantity(parseFloat(req.body.shares), instrument);
+    const price = instruments.unitPrice(parseFloat(req.body.avgCostBasis), instrument);
+
+    // Record the buy; the holding and its tax lots are rebuilt from the ledger
+    const { transaction, holdings } = await ledger.withRebuild(portfolio.id, (tx) => tx.transaction.create({
+      data: {
+        portfolioId: portfolio.id,
+        symbol,
+        type: 'buy',
+        shares,
+        price,
+        amount: shares * price,
+        executedAt: executedAt ? new Date(executedAt) : new Date()
       }
-    });
+    }));
 
-    let holding;
-    if (existing) {
-      // Update existing holding (average cost basis)
-      const totalShares = existing.shares + shares;
-      const totalCost = (existing.shares * existing.avgCostBasis) + (shares * avgCostBasis);
-      const newAvgCost = totalCost / totalShares;
+    // A backdated buy is held under whatever later corporate actions turned it into
+    const actions = await prisma.corporateAction.findMany({ where: { portfolioId: portfolio.id } });
+    const heldSymbol = corporateActions.splitFactor(actions, symbol, transaction.executedAt, { followMergers: true }).symbol;
+    let holding = holdings.find(h => h.symbol === heldSymbol) || null;
+
+    // Fill the sector from the company profile when the form leaves it blank
+    let metadata = null;
+    if (holding && !sector) {
+      try {
+        metadata = await stockData.enrichMetadata(heldSymbol);
+      } catch (err) {
+        console.log(`[Holdings] Metadata enrichment for ${heldSymbol}:`, err.message);
+      }
+    }
 
+    // No holding left when the shares were since sold or merged away for cash
+    const resolvedSector = holding && (sector || holding.sector || metadata?.sector || null);
+    if (holding && (resolvedSector !== holding.sector || notes)) {
       holding = await prisma.holding.update({
-        where: { id: existing.id },
-        data: {
-          shares: totalShares,
-          avgCostBasis: newAvgCost,
-          sector: sector || existing.sector,
-          notes: notes || existing.notes
-        }
-      });
-    } else {
-      // Create new holding
-      holding = await prisma.holding.create({
+        where: { id: holding.id },
         data: {
-          portfolioId: req.params.id,
-          symbol,
-          shares,
-          avgCostBasis,
-          sector,
-          notes
+          sector: resolvedSector,
+          notes: notes || holding.notes
         }
       });
     }
 
-    // Create transaction
-    await prisma.transaction.create({
-      data: {
-        portfolioId: req.params.id,
-        symbol,
-        type: 'buy',
-        shares,
-        price: avgCostBasis,
-        amount: shares * avgCostBasis,
-        executedAt: new Date()
-      }
-    });
-
     // Fetch historical data immediately for new symbol
     try {
       const hasData = await stockData.hasRecentData(symbol);
@@ -383,23 +1044,25 @@ router.post('/:id/holdings', [
         await stockData.getHistoricalData(symbol, { forceRefresh: true });
       }
       // Generate portfolio snapshots
-      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id, 365);
+      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
       console.log(`[Holdings] Historical data ready for ${symbol}`);
     } catch (err) {
       console.log(`[Holdings] Historical fetch for ${symbol}:`, err.message);
     }
 
-    res.status(201).json(holding);
+    res.status(201).json(holding || { transaction });
   } catch (error) {
+    if (error.code === 'INSUFFICIENT_CASH') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('[Add Holding Error]', error);
     res.status(500).json({ error: 'Failed to add holding' });
   }
 });
 
-// DELETE /api/portfolios/:id/holdings/:holdingId
-router.delete('/:id/holdings/:holdingId', async (req, res) => {
+// GET /api/portfolios/:id/lots - Open tax lots (optionally for one symbol)
+router.get('/:id/lots', async (req, res) => {
   try {
-    // Verify portfolio ownership
     const portfolio = await prisma.portfolio.findFirst({
       where: { id: req.params.id, userId: req.user.id }
     });
@@ -408,19 +1071,1269 @@ router.delete('/:id/holdings/:holdingId', async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
-    await prisma.holding.delete({
-      where: { id: req.params.holdingId }
+    const where = { portfolioId: portfolio.id, remainingShares: { gt: taxLots.SHARE_EPSILON } };
+    if (req.query.symbol) where.symbol = req.query.symbol.toUpperCase();
+
+    const lots = await prisma.taxLot.findMany({
+      where,
+      orderBy: [{ symbol: 'asc' }, { acquiredAt: 'asc' }]
     });
 
-    res.json({ success: true });
+    const now = new Date();
+    res.json(lots.map(lot => ({
+      ...lot,
+      holdingPeriod: taxLots.getHoldingPeriod(lot.acquiredAt, now)
+    })));
   } catch (error) {
-    console.error('[Delete Holding Error]', error);
-    res.status(500).json({ error: 'Failed to delete holding' });
+    console.error('[Tax Lots Error]', error);
+    res.status(500).json({ error: 'Failed to get tax lots' });
   }
 });
 
-// GET /api/portfolios/:id/analytics - Get portfolio analytics with live prices
-router.get('/:id/analytics', async (req, res) => {
+// GET /api/portfolios/:id/tax/gains - Realized gains for a tax year in one portfolio (?year=&format=json|csv)
+router.get('/:id/tax/gains', [
+  query('year').optional().isInt({ min: 1900, max: 2100 }),
+  query('format').optional().isIn(['json', 'csv'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    await sendGainsReport(req, res, portfolio);
+  } catch (error) {
+    console.error('[Tax Report Error]', error);
+    res.status(500).json({ error: 'Failed to get realized gains report' });
+  }
+});
+
+// GET /api/portfolios/:id/performance - Performance history for one portfolio (?period=&days=&benchmarks=)
+router.get('/:id/performance', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    await sendPerformance(req, res, portfolio);
+  } catch (error) {
+    if (error.code === 'INVALID_BENCHMARK') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Portfolio Performance Error]', error);
+    res.status(500).json({ error: 'Failed to get performance history' });
+  }
+});
+
+// GET /api/portfolios/:id/returns - Time- and money-weighted returns for one portfolio (?period=)
+router.get('/:id/returns', [
+  query('period').optional().isIn(performance.PERIODS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const missingRates = new Set();
+    const returns = await performance.getReturns([portfolio.id], req.query.period || null, {
+      currency: portfolio.currency,
+      missingRates
+    });
+    res.json({ ...returns, missingRates: [...missingRates] });
+  } catch (error) {
+    console.error('[Returns Error]', error);
+    res.status(500).json({ error: 'Failed to calculate returns' });
+  }
+});
+
+// GET /api/portfolios/:id/allocation - Allocation breakdowns for one portfolio
+router.get('/:id/allocation', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { holdings: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    res.json(await allocation.getAllocation(portfolio.holdings, {
+      currency: portfolio.currency,
+      portfolioCurrencies: { [portfolio.id]: portfolio.currency }
+    }));
+  } catch (error) {
+    console.error('[Allocation Error]', error);
+    res.status(500).json({ error: 'Failed to get allocation' });
+  }
+});
+
+// GET /api/portfolios/:id/targets - Target allocation
+router.get('/:id/targets', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const targets = await prisma.targetAllocation.findMany({
+      where: { portfolioId: portfolio.id },
+      orderBy: { targetPercent: 'desc' }
+    });
+
+    res.json(targets);
+  } catch (error) {
+    console.error('[Get Targets Error]', error);
+    res.status(500).json({ error: 'Failed to get target allocation' });
+  }
+});
+
+// PUT /api/portfolios/:id/targets - Replace the target allocation
+router.put('/:id/targets', [
+  body('targets').isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const targets = rebalance.validateTargets(req.body.targets);
+
+    await prisma.$transaction([
+      prisma.targetAllocation.deleteMany({ where: { portfolioId: portfolio.id } }),
+      prisma.targetAllocation.createMany({
+        data: targets.map(t => ({ portfolioId: portfolio.id, ...t }))
+      })
+    ]);
+
+    const saved = await prisma.targetAllocation.findMany({
+      where: { portfolioId: portfolio.id },
+      orderBy: { targetPercent: 'desc' }
+    });
+
+    res.json(saved);
+  } catch (error) {
+    if (error.code === 'INVALID_TARGETS') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Update Targets Error]', error);
+    res.status(500).json({ error: 'Failed to update target allocation' });
+  }
+});
+
+// GET /api/portfolios/:id/rebalance - Proposed trades to return to target (?avoidGains=true&fractional=true)
+router.get('/:id/rebalance', [
+  query('avoidGains').optional().isBoolean().toBoolean(),
+  query('fractional').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { holdings: true, targets: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    // Valued in the portfolio's currency so the plan lines up with its cash and lot costs
+    const missingRates = new Set();
+    const positions = await allocation.getPositions(portfolio.holdings, {
+      currency: portfolio.currency,
+      portfolioCurrencies: { [portfolio.id]: portfolio.currency },
+      missingRates
+    });
+    const lots = await prisma.taxLot.findMany({
+      where: { portfolioId: portfolio.id, remainingShares: { gt: taxLots.SHARE_EPSILON } }
+    });
+
+    // Targeted symbols that aren't held yet still need a price to buy
+    const held = new Set(positions.map(p => p.symbol));
+    const missing = portfolio.targets
+      .filter(t => t.type === 'symbol' && !held.has(t.key))
+      .map(t => t.key);
+    const quotes = missing.length > 0 ? await stockData.getQuotes(missing) : {};
+    const { symbolCurrencies, converter } = await getFxContext([portfolio], missing, portfolio.currency, { missingRates });
+    const prices = Object.fromEntries(Object.entries(quotes).map(([symbol, q]) => [
+      symbol,
+      converter.convert(q.price, symbolCurrencies[symbol], portfolio.currency)
+    ]));
+
+    const plan = rebalance.planRebalance({
+      positions,
+      cashBalance: portfolio.cashBalance,
+      targets: portfolio.targets,
+      lots,
+      prices
+    }, {
+      avoidGains: req.query.avoidGains || false,
+      fractional: req.query.fractional || false,
+      lotMethod: portfolio.lotMethod
+    });
+
+    res.json({ ...plan, missingRates: [...missingRates] });
+  } catch (error) {
+    if (error.code === 'INVALID_TARGETS') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Rebalance Error]', error);
+    res.status(500).json({ error: 'Failed to build rebalancing plan' });
+  }
+});
+
+// GET /api/portfolios/:id/risk - Risk metrics (?days=365&benchmark=SPY&riskFreeRate=4&confidence=95)
+router.get('/:id/risk', [
+  query('days').optional().isInt({ min: 30, max: 3650 }).toInt(),
+  query('benchmark').optional().trim().toUpperCase().matches(/^[A-Z0-9.^=-]{1,15}$/),
+  query('riskFreeRate').optional().isFloat({ min: -5, max: 25 }).toFloat(),
+  query('confidence').optional().isFloat({ min: 50, max: 99.9 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { holdings: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const riskFreeRate = req.query.riskFreeRate ?? parseFloat(process.env.RISK_FREE_RATE || '0');
+
+    const report = await risk.getPortfolioRisk(portfolio, {
+      days: req.query.days || 365,
+      benchmark: req.query.benchmark || 'SPY',
+      riskFreeRate: riskFreeRate / 100,
+      confidence: (req.query.confidence || 95) / 100
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('[Portfolio Risk Error]', error);
+    res.status(500).json({ error: 'Failed to calculate risk metrics' });
+  }
+});
+
+// GET /api/portfolios/:id/cash - Cash balance and every movement that changed it
+router.get('/:id/cash', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { transactions: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { cashBalance, contributions, entries } = ledger.replayCash(portfolio.transactions);
+
+    res.json({
+      cashBalance,
+      preventOverdraft: portfolio.preventOverdraft,
+      implicitContributions: contributions.reduce((sum, c) => sum + c.amount, 0),
+      // Newest first, each with the balance after it
+      movements: entries.reverse().map(e => ({
+        id: e.transaction.id,
+        type: e.transaction.type,
+        symbol: e.transaction.symbol,
+        amount: e.change,
+        implicitContribution: e.contribution,
+        balance: e.balance,
+        relatedId: e.transaction.relatedId,
+        notes: e.transaction.notes,
+        executedAt: e.transaction.executedAt
+      }))
+    });
+  } catch (error) {
+    console.error('[Cash Ledger Error]', error);
+    res.status(500).json({ error: 'Failed to get cash ledger' });
+  }
+});
+
+// POST /api/portfolios/:id/cash - Record a deposit, withdrawal, fee, interest or transfer to another
+// portfolio (converted into the destination's currency when they differ)
+router.post('/:id/cash', [
+  body('type').isIn(['deposit', 'withdrawal', 'fee', 'interest', 'transfer']),
+  body('amount').isFloat({ min: 0.01 }),
+  body('toPortfolioId').if(body('type').equals('transfer')).isString().notEmpty(),
+  body('executedAt').optional().isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { type, notes } = req.body;
+    const amount = parseFloat(req.body.amount);
+    const executedAt = req.body.executedAt ? new Date(req.body.executedAt) : new Date();
+    const movement = { symbol: ledger.CASH_SYMBOL, amount, notes, executedAt };
+
+    if (type !== 'transfer') {
+      const { transaction, cashBalance } = await ledger.withRebuild(portfolio.id, (tx) => tx.transaction.create({
+        data: { ...movement, portfolioId: portfolio.id, type }
+      }));
+
+      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+      return res.status(201).json({ transaction, cashBalance });
+    }
+
+    const destination = await prisma.portfolio.findFirst({
+      where: { id: req.body.toPortfolioId, userId: req.user.id }
+    });
+
+    if (!destination) {
+      return res.status(404).json({ error: 'Destination portfolio not found' });
+    }
+    if (destination.id === portfolio.id) {
+      return res.status(400).json({ error: 'Cannot transfer cash to the same portfolio' });
+    }
+
+    // The incoming leg is in the destination's currency, at that day's rate
+    let incomingAmount = amount;
+    if (destination.currency !== portfolio.currency) {
+      const missingRates = new Set();
+      const converter = await fx.getConverter([portfolio.currency, destination.currency], { since: executedAt, missingRates });
+      if (missingRates.size > 0) {
+        return res.status(400).json({
+          error: `No exchange rate between ${portfolio.currency} and ${destination.currency}; record a withdrawal and a deposit instead`
+        });
+      }
+      incomingAmount = Math.round(converter.convert(amount, portfolio.currency, destination.currency, performance.dayKey(executedAt)) * 100) / 100;
+    }
+
+    // Both legs are written together and point at each other
+    let incoming = null;
+    const { transaction, rebuilds } = await ledger.withRebuildAll([portfolio.id, destination.id], async (tx) => {
+      const outgoing = await tx.transaction.create({
+        data: { ...movement, portfolioId: portfolio.id, type: 'transfer_out' }
+      });
+      incoming = await tx.transaction.create({
+        data: { ...movement, amount: incomingAmount, portfolioId: destination.id, type: 'transfer_in', relatedId: outgoing.id }
+      });
+      return tx.transaction.update({ where: { id: outgoing.id }, data: { relatedId: incoming.id } });
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.status(201).json({
+      transaction,
+      incoming,
+      cashBalance: rebuilds[portfolio.id].cashBalance,
+      destinationCashBalance: rebuilds[destination.id].cashBalance
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_CASH') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Cash Movement Error]', error);
+    res.status(500).json({ error: 'Failed to record cash movement' });
+  }
+});
+
+// GET /api/portfolios/:id/actions - Corporate actions and what each did to the position
+router.get('/:id/actions', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const actions = await prisma.corporateAction.findMany({
+      where: { portfolioId: portfolio.id },
+      include: { transaction: true },
+      orderBy: { effectiveDate: 'desc' }
+    });
+
+    res.json(actions.map(a => ({ ...a, result: a.result ? JSON.parse(a.result) : null })));
+  } catch (error) {
+    console.error('[Corporate Actions Error]', error);
+    res.status(500).json({ error: 'Failed to get corporate actions' });
+  }
+});
+
+// POST /api/portfolios/:id/actions - Record a split, reverse split, ticker change, spin-off or merger
+router.post('/:id/actions', [
+  body('type').isIn(corporateActions.ACTION_TYPES),
+  body('symbol').trim().toUpperCase().notEmpty(),
+  body('newSymbol').optional().trim().toUpperCase(),
+  body('ratio').optional().isFloat({ gt: 0 }),
+  body('cashPerShare').optional().isFloat({ min: 0 }),
+  body('costBasisPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('newSharePrice').optional().isFloat({ gt: 0 }),
+  body('effectiveDate').isISO8601(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { transactions: true, corporateActions: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const action = corporateActions.validateAction(req.body);
+
+    // Shares held going into the effective date, after any earlier actions
+    const sharesHeld = ledger.sharesHeldBefore(portfolio.transactions, action.symbol, action.effectiveDate, {
+      lotMethod: portfolio.lotMethod,
+      actions: portfolio.corporateActions
+    });
+
+    if (sharesHeld <= taxLots.SHARE_EPSILON) {
+      const date = action.effectiveDate.toISOString().split('T')[0];
+      return res.status(400).json({ error: `No ${action.symbol} shares held on ${date}` });
+    }
+
+    // Gain recognized on merger cash depends on what the new shares were worth that day
+    let newSharePrice = req.body.newSharePrice !== undefined ? parseFloat(req.body.newSharePrice) : null;
+    if (action.type === 'stock_merger' && action.cashPerShare > 0 && !newSharePrice) {
+      newSharePrice = await closeOn(action.newSymbol, action.effectiveDate);
+      if (!newSharePrice) {
+        const date = action.effectiveDate.toISOString().split('T')[0];
+        return res.status(400).json({ error: `No ${action.newSymbol} price for ${date}; provide newSharePrice` });
+      }
+    }
+
+    let created = null;
+    const { transaction, holdings } = await ledger.withRebuild(portfolio.id, async (tx) => {
+      // Cash paid out is a ledger entry of its own so it reaches the cash balance and realized gains
+      let payout = null;
+      if (action.type === 'cash_merger') {
+        payout = await tx.transaction.create({
+          data: {
+            portfolioId: portfolio.id,
+            symbol: action.symbol,
+            type: 'sell',
+            shares: sharesHeld,
+            price: action.cashPerShare,
+            amount: sharesHeld * action.cashPerShare,
+            notes: `Cash merger at $${action.cashPerShare} per share`,
+            executedAt: action.effectiveDate,
+            lotMethod: portfolio.lotMethod === 'SPECIFIC' ? 'FIFO' : portfolio.lotMethod
+          }
+        });
+      } else if (action.type === 'stock_merger' && action.cashPerShare > 0) {
+        payout = await tx.transaction.create({
+          data: {
+            portfolioId: portfolio.id,
+            symbol: action.symbol,
+            type: 'merger_cash',
+            price: newSharePrice,
+            amount: sharesHeld * action.cashPerShare,
+            notes: `Cash from ${action.symbol} merger into ${action.newSymbol}`,
+            executedAt: action.effectiveDate
+          }
+        });
+      }
+
+      created = await tx.corporateAction.create({
+        data: {
+          ...action,
+          portfolioId: portfolio.id,
+          transactionId: payout?.id || null,
+          notes: req.body.notes
+        }
+      });
+
+      return payout;
+    });
+
+    if (action.newSymbol) {
+      try {
+        if (!(await stockData.hasRecentData(action.newSymbol))) {
+          await stockData.getHistoricalData(action.newSymbol, { forceRefresh: true });
+        }
+      } catch (err) {
+        console.log(`[Corporate Actions] Historical fetch for ${action.newSymbol}:`, err.message);
+      }
+    }
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    const stored = await prisma.corporateAction.findUnique({ where: { id: created.id } });
+
+    res.status(201).json({
+      action: { ...stored, result: stored.result ? JSON.parse(stored.result) : null },
+      transaction,
+      holdings: holdings.filter(h => h.symbol === action.symbol || h.symbol === action.newSymbol)
+    });
+  } catch (error) {
+    if (['INVALID_ACTION', 'INSUFFICIENT_SHARES', 'INVALID_LOT_SELECTION'].includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Corporate Action Error]', error);
+    res.status(500).json({ error: 'Failed to record corporate action' });
+  }
+});
+
+// DELETE /api/portfolios/:id/actions/:actionId - Remove a corporate action and replay the ledger
+router.delete('/:id/actions/:actionId', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const action = await prisma.corporateAction.findFirst({
+      where: { id: req.params.actionId, portfolioId: portfolio.id }
+    });
+
+    if (!action) {
+      return res.status(404).json({ error: 'Corporate action not found' });
+    }
+
+    await ledger.withRebuild(portfolio.id, async (tx) => {
+      await tx.corporateAction.delete({ where: { id: action.id } });
+      if (action.transactionId) {
+        await tx.transaction.delete({ where: { id: action.transactionId } });
+      }
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Corporate Action Delete Error]', error);
+    res.status(500).json({ error: 'Failed to delete corporate action' });
+  }
+});
+
+// POST /api/portfolios/:id/sell - Sell shares using the portfolio's lot method
+router.post('/:id/sell', [
+  body('symbol').trim().toUpperCase().notEmpty(),
+  body('shares').isFloat({ gt: 0 }),
+  body('price').isFloat({ min: 0 }),
+  body('fees').optional().isFloat({ min: 0 }),
+  body('executedAt').optional().isISO8601(),
+  body('lots').optional().isArray({ min: 1 }),
+  body('lots.*.lotId').optional().isString(),
+  body('lots.*.shares').optional().isFloat({ gt: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const symbol = req.body.symbol;
+    const instrument = await instruments.getInstrument(symbol);
+    const shares = instruments.roundQuantity(parseFloat(req.body.shares), instrument);
+    const price = instruments.unitPrice(parseFloat(req.body.price), instrument);
+    const fees = parseFloat(req.body.fees) || 0;
+    const executedAt = req.body.executedAt ? new Date(req.body.executedAt) : new Date();
+    const specificLots = req.body.lots?.map(l => ({ lotId: l.lotId, shares: parseFloat(l.shares) })) || null;
+    const method = specificLots ? 'SPECIFIC' : portfolio.lotMethod;
+
+    const holding = await prisma.holding.findUnique({
+      where: { portfolioId_symbol: { portfolioId: portfolio.id, symbol } }
+    });
+
+    if (!holding) {
+      return res.status(404).json({ error: `No ${symbol} holding in this portfolio` });
+    }
+
+    if (method === 'SPECIFIC' && !specificLots) {
+      return res.status(400).json({ error: 'This portfolio uses specific lot identification; provide lots to sell' });
+    }
+
+    // Record the sell; lots, realized gain and the holding are rebuilt from the ledger
+    const { transaction, holdings } = await ledger.withRebuild(portfolio.id, (tx) => tx.transaction.create({
+      data: {
+        portfolioId: portfolio.id,
+        symbol,
+        type: 'sell',
+        shares,
+        price,
+        amount: shares * price,
+        fees,
+        notes: req.body.notes,
+        executedAt,
+        lotMethod: method,
+        lotSelection: specificLots ? JSON.stringify(specificLots) : null
+      }
+    }));
+
+    const lots = await prisma.taxLotSale.findMany({
+      where: { transactionId: transaction.id },
+      orderBy: { acquiredAt: 'asc' }
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.status(201).json({
+      transaction,
+      holding: holdings.find(h => h.symbol === symbol) || null,
+      lots
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SHARES' || error.code === 'INVALID_LOT_SELECTION') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Sell Holding Error]', error);
+    res.status(500).json({ error: 'Failed to sell holding' });
+  }
+});
+
+// POST /api/portfolios/:id/dividends - Record a dividend, optionally reinvested (DRIP)
+router.post('/:id/dividends', [
+  body('symbol').trim().toUpperCase().notEmpty(),
+  body('amount').optional().isFloat({ min: 0.0001 }),
+  body('perShare').optional().isFloat({ min: 0.000001 }),
+  body('shares').optional().isFloat({ gt: 0 }),
+  body('executedAt').optional().isISO8601(),
+  body('exDate').optional().isISO8601(),
+  body('reinvest').optional().isBoolean(),
+  body('reinvestPrice').optional().isFloat({ min: 0.0001 }),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { transactions: true, corporateActions: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { symbol, notes } = req.body;
+    const executedAt = req.body.executedAt ? new Date(req.body.executedAt) : new Date();
+
+    // Left out, shares are those held going into the ex-date (the payment date when no ex-date is given)
+    const entitledOn = req.body.exDate ? new Date(req.body.exDate) : executedAt;
+    const shares = req.body.shares !== undefined
+      ? parseFloat(req.body.shares)
+      : ledger.sharesHeldBefore(portfolio.transactions, symbol, entitledOn, {
+        lotMethod: portfolio.lotMethod,
+        actions: portfolio.corporateActions
+      }) || null;
+    const perShare = req.body.perShare !== undefined ? parseFloat(req.body.perShare) : null;
+    const amount = req.body.amount !== undefined
+      ? parseFloat(req.body.amount)
+      : (perShare && shares ? perShare * shares : null);
+
+    if (!amount) {
+      return res.status(400).json({ error: 'Provide the dividend amount, or a per-share amount for a symbol held on that date' });
+    }
+
+    const reinvest = req.body.reinvest === true || req.body.reinvest === 'true';
+    let reinvestPrice = req.body.reinvestPrice !== undefined ? parseFloat(req.body.reinvestPrice) : null;
+
+    if (reinvest && !reinvestPrice) {
+      const quote = await stockData.getQuote(symbol);
+      reinvestPrice = quote?.price || null;
+      if (!reinvestPrice) {
+        return res.status(400).json({ error: `No price available for ${symbol}; provide reinvestPrice` });
+      }
+    }
+
+    let reinvestment = null;
+    const { transaction, holdings } = await ledger.withRebuild(portfolio.id, async (tx) => {
+      const dividend = await tx.transaction.create({
+        data: {
+          portfolioId: portfolio.id,
+          symbol,
+          type: 'dividend',
+          shares,
+          price: perShare ?? (shares ? amount / shares : null),
+          amount,
+          notes,
+          executedAt
+        }
+      });
+
+      if (reinvest) {
+        const drippedShares = dripShares(amount, reinvestPrice);
+        reinvestment = await tx.transaction.create({
+          data: {
+            portfolioId: portfolio.id,
+            symbol,
+            type: 'buy',
+            shares: drippedShares,
+            price: reinvestPrice,
+            amount: drippedShares * reinvestPrice,
+            notes: 'Dividend reinvestment',
+            relatedId: dividend.id,
+            executedAt
+          }
+        });
+      }
+
+      return dividend;
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.status(201).json({
+      dividend: transaction,
+      reinvestment,
+      holding: holdings.find(h => h.symbol === symbol) || null
+    });
+  } catch (error) {
+    console.error('[Record Dividend Error]', error);
+    res.status(500).json({ error: 'Failed to record dividend' });
+  }
+});
+
+// GET /api/portfolios/:id/export - Export one portfolio (?format=json|csv|ofx&dataset=...)
+router.get('/:id/export', [
+  query('format').optional().isIn(EXPORT_FORMATS),
+  query('dataset').optional().isIn(EXPORT_DATASETS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: EXPORT_INCLUDE
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    await sendExport(res, {
+      portfolios: [portfolio],
+      format: req.query.format || 'json',
+      dataset: req.query.dataset || 'transactions',
+      filename: exportSlug(portfolio.name)
+    });
+  } catch (error) {
+    console.error('[Export Error]', error);
+    res.status(500).json({ error: 'Failed to export portfolio' });
+  }
+});
+
+// POST /api/portfolios/:id/import - Import broker CSV transactions (dry run by default)
+router.post('/:id/import', [
+  body('csv').isString().notEmpty(),
+  body('profile').optional().isString(),
+  body('mapping').optional().isObject(),
+  body('dryRun').optional().isBoolean(),
+  body('includeDuplicates').optional().isBoolean(),
+  body('includeUnknownSymbols').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const dryRun = req.body.dryRun !== false;
+    const { profile, rows } = csvImport.parseBrokerCsv(req.body.csv, {
+      profile: req.body.profile || 'auto',
+      mapping: req.body.mapping
+    });
+
+    const candidates = rows.filter(r => r.status === 'ready');
+    candidates.forEach(r => {
+      if (!r.symbol) r.symbol = ledger.CASH_SYMBOL;
+    });
+
+    // Flag rows already in the ledger or repeated within the file
+    const existing = await prisma.transaction.findMany({
+      where: {
+        portfolioId: portfolio.id,
+        symbol: { in: [...new Set(candidates.map(r => r.symbol))] }
+      }
+    });
+    const seen = new Set(existing.map(csvImport.duplicateKey));
+
+    for (const row of candidates) {
+      const key = csvImport.duplicateKey(row);
+      if (seen.has(key)) {
+        row.status = 'duplicate';
+        row.issues.push('Matches an existing transaction');
+      }
+      seen.add(key);
+    }
+
+    // Flag symbols we have no market data for
+    const symbols = [...new Set(candidates.map(r => r.symbol).filter(s => s !== ledger.CASH_SYMBOL))];
+    const [cachedQuotes, cachedMetadata] = await Promise.all([
+      prisma.stockQuote.findMany({ where: { symbol: { in: symbols } }, select: { symbol: true } }),
+      prisma.stockMetadata.findMany({ where: { symbol: { in: symbols } }, select: { symbol: true } })
+    ]);
+    const known = new Set([...cachedQuotes, ...cachedMetadata].map(s => s.symbol));
+    const unknownSymbols = [];
+
+    for (const symbol of symbols.filter(s => !known.has(s))) {
+      const quote = await stockData.getQuote(symbol);
+      if (!quote) unknownSymbols.push(symbol);
+    }
+
+    for (const row of candidates) {
+      if (unknownSymbols.includes(row.symbol)) {
+        if (row.status === 'ready') row.status = 'unknown_symbol';
+        row.issues.push(`No market data found for ${row.symbol}`);
+      }
+    }
+
+    const importable = rows.filter(r =>
+      r.status === 'ready' ||
+      (r.status === 'duplicate' && req.body.includeDuplicates && !unknownSymbols.includes(r.symbol)) ||
+      (r.status === 'unknown_symbol' && req.body.includeUnknownSymbols)
+    );
+
+    const summary = {
+      total: rows.length,
+      importable: importable.length,
+      byType: importable.reduce((acc, r) => ({ ...acc, [r.type]: (acc[r.type] || 0) + 1 }), {}),
+      duplicates: rows.filter(r => r.status === 'duplicate').length,
+      unknownSymbols,
+      errors: rows.filter(r => r.status === 'error').length,
+      skipped: rows.filter(r => r.status === 'skipped').length
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, profile, summary, rows });
+    }
+
+    // Brokers quote bonds in percent of par
+    const symbolInstruments = await instruments.getInstruments(symbols);
+
+    await ledger.withRebuild(portfolio.id, async (tx) => {
+      await tx.transaction.createMany({
+        data: importable.map(r => ({
+          portfolioId: portfolio.id,
+          symbol: r.symbol,
+          type: r.type,
+          shares: r.shares,
+          price: symbolInstruments[r.symbol] ? instruments.unitPrice(r.price, symbolInstruments[r.symbol]) : r.price,
+          amount: r.amount,
+          fees: r.fees,
+          notes: `Imported from ${profile} CSV: ${r.action}`,
+          executedAt: r.executedAt
+        }))
+      });
+    });
+
+    // Backfill history and company profiles for the imported symbols without holding up the response
+    (async () => {
+      for (const symbol of symbols.filter(s => !unknownSymbols.includes(s))) {
+        if (!(await stockData.hasRecentData(symbol))) {
+          await stockData.getHistoricalData(symbol, { forceRefresh: true });
+        }
+        await stockData.enrichMetadata(symbol);
+      }
+      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+    })().catch(err => console.log('[Import] History backfill failed:', err.message));
+
+    res.status(201).json({ dryRun: false, profile, summary, imported: importable.length });
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT' || error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Import Error]', error);
+    res.status(500).json({ error: 'Failed to import transactions' });
+  }
+});
+
+// DELETE /api/portfolios/:id/holdings/:holdingId - Remove a position and its ledger entries
+router.delete('/:id/holdings/:holdingId', async (req, res) => {
+  try {
+    // Verify portfolio ownership
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const holding = await prisma.holding.findFirst({
+      where: { id: req.params.holdingId, portfolioId: portfolio.id }
+    });
+
+    if (!holding) {
+      return res.status(404).json({ error: 'Holding not found' });
+    }
+
+    const transactions = await prisma.transaction.findMany({ where: { portfolioId: portfolio.id } });
+    const actions = await prisma.corporateAction.findMany({ where: { portfolioId: portfolio.id } });
+
+    // Transactions recorded under an earlier ticker or a merged-away symbol end up in this holding too
+    const removed = transactions.filter(t => t.symbol !== ledger.CASH_SYMBOL &&
+      corporateActions.splitFactor(actions, t.symbol, t.executedAt, { followMergers: true }).symbol === holding.symbol);
+    const removedIds = new Set(removed.map(t => t.id));
+
+    // Shares that reached the holding some other way (e.g. a spin-off) would bring it straight back
+    const { positions } = ledger.replayLedger(transactions.filter(t => !removedIds.has(t.id)), {
+      lotMethod: portfolio.lotMethod,
+      actions
+    });
+
+    if (positions[holding.symbol]) {
+      return res.status(400).json({
+        error: `${holding.symbol} shares also come from corporate actions on other holdings; remove those actions first`
+      });
+    }
+
+    // The rebuild drops the holding once it has no transactions left
+    await ledger.withRebuild(portfolio.id, async (tx) => {
+      await tx.transaction.deleteMany({
+        where: { portfolioId: portfolio.id, id: { in: [...removedIds] } }
+      });
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Delete Holding Error]', error);
+    res.status(500).json({ error: 'Failed to delete holding' });
+  }
+});
+
+// GET /api/portfolios/:id/transactions - Full transaction ledger
+router.get('/:id/transactions', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const where = { portfolioId: portfolio.id };
+    if (req.query.symbol) where.symbol = req.query.symbol.toUpperCase();
+    if (req.query.type) where.type = req.query.type;
+
+    const transactions = await prisma.transaction.findMany({
+      where,
+      orderBy: [{ executedAt: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    // Trades restated in today's share terms when a later split or ticker change applies
+    const actions = await prisma.corporateAction.findMany({ where: { portfolioId: portfolio.id } });
+
+    res.json(transactions.map(t => ({ ...t, adjusted: corporateActions.adjustTransaction(t, actions) })));
+  } catch (error) {
+    console.error('[Transactions List Error]', error);
+    res.status(500).json({ error: 'Failed to get transactions' });
+  }
+});
+
+// PUT /api/portfolios/:id/transactions/:transactionId - Edit a past transaction and replay the ledger
+router.put('/:id/transactions/:transactionId', [
+  body('symbol').optional().trim().toUpperCase().notEmpty(),
+  body('shares').optional().isFloat({ gt: 0 }),
+  body('price').optional().isFloat({ min: 0 }),
+  body('amount').optional().isFloat({ min: 0.01 }),
+  body('fees').optional().isFloat({ min: 0 }),
+  body('executedAt').optional().isISO8601(),
+  body('notes').optional().trim(),
+  body('lots').optional({ nullable: true }).isArray({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const existing = await prisma.transaction.findFirst({
+      where: { id: req.params.transactionId, portfolioId: portfolio.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const linkedAction = await prisma.corporateAction.findUnique({ where: { transactionId: existing.id } });
+    if (linkedAction) {
+      return res.status(400).json({ error: 'This entry belongs to a corporate action; change or delete the action instead' });
+    }
+
+    if (existing.type === 'transfer_in' || existing.type === 'transfer_out') {
+      return res.status(400).json({ error: 'Transfers cannot be edited; delete the transfer and record it again' });
+    }
+
+    const { symbol, notes, executedAt, lots } = req.body;
+    const instrument = await instruments.getInstrument(symbol || existing.symbol);
+    const shares = req.body.shares !== undefined
+      ? instruments.roundQuantity(parseFloat(req.body.shares), instrument)
+      : existing.shares;
+    const price = req.body.price !== undefined ? instruments.unitPrice(parseFloat(req.body.price), instrument) : existing.price;
+
+    const data = {
+      symbol,
+      notes,
+      shares,
+      price,
+      fees: req.body.fees !== undefined ? parseFloat(req.body.fees) : undefined,
+      executedAt: executedAt ? new Date(executedAt) : undefined
+    };
+
+    if (shares !== null && price !== null && (existing.type === 'buy' || existing.type === 'sell')) {
+      data.amount = shares * price;
+    } else if (req.body.amount !== undefined) {
+      data.amount = parseFloat(req.body.amount);
+    }
+
+    // A dividend's price is the amount per share: new shares at the same rate change the
+    // amount, a new amount changes the rate
+    if (existing.type === 'dividend' && req.body.price === undefined) {
+      if (data.amount === undefined && req.body.shares !== undefined && existing.price) {
+        data.amount = shares * existing.price;
+      } else if (data.amount !== undefined && shares) {
+        data.price = data.amount / shares;
+      }
+    }
+
+    if (existing.type === 'sell' && lots !== undefined) {
+      data.lotSelection = lots
+        ? JSON.stringify(lots.map(l => ({ lotId: l.lotId, shares: parseFloat(l.shares) })))
+        : null;
+    }
+
+    const { transaction } = await ledger.withRebuild(portfolio.id, async (tx) => {
+      const updated = await tx.transaction.update({
+        where: { id: existing.id },
+        data
+      });
+
+      // The reinvestment buy follows its dividend: same symbol and date, shares from the new amount
+      if (updated.type === 'dividend') {
+        const reinvestment = await tx.transaction.findFirst({
+          where: { relatedId: updated.id, portfolioId: portfolio.id, type: 'buy' }
+        });
+
+        if (reinvestment) {
+          const drippedShares = dripShares(updated.amount, reinvestment.price);
+          await tx.transaction.update({
+            where: { id: reinvestment.id },
+            data: {
+              symbol: updated.symbol,
+              executedAt: updated.executedAt,
+              shares: drippedShares,
+              amount: drippedShares * reinvestment.price
+            }
+          });
+        }
+      }
+
+      return updated;
+    });
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.json(transaction);
+  } catch (error) {
+    if (['INSUFFICIENT_SHARES', 'INVALID_LOT_SELECTION', 'INSUFFICIENT_CASH'].includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Transaction Update Error]', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+// DELETE /api/portfolios/:id/transactions/:transactionId - Delete a transaction and replay the ledger
+router.delete('/:id/transactions/:transactionId', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const existing = await prisma.transaction.findFirst({
+      where: { id: req.params.transactionId, portfolioId: portfolio.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const linkedAction = await prisma.corporateAction.findUnique({ where: { transactionId: existing.id } });
+    if (linkedAction) {
+      return res.status(400).json({ error: 'This entry belongs to a corporate action; change or delete the action instead' });
+    }
+
+    const isTransfer = existing.type === 'transfer_in' || existing.type === 'transfer_out';
+    const counterpart = isTransfer && existing.relatedId
+      ? await prisma.transaction.findUnique({ where: { id: existing.relatedId } })
+      : null;
+
+    if (counterpart) {
+      // Both legs of a transfer go together
+      await ledger.withRebuildAll([portfolio.id, counterpart.portfolioId], async (tx) => {
+        await tx.transaction.deleteMany({ where: { id: { in: [existing.id, counterpart.id] } } });
+      });
+    } else {
+      await ledger.withRebuild(portfolio.id, async (tx) => {
+        // Reinvestment buys go with the dividend that funded them
+        await tx.transaction.deleteMany({ where: { relatedId: existing.id, portfolioId: portfolio.id } });
+        await tx.transaction.delete({ where: { id: existing.id } });
+      });
+    }
+
+    await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Transaction Delete Error]', error);
+    res.status(500).json({ error: 'Failed to delete transaction' });
+  }
+});
+
+// POST /api/portfolios/:id/reconcile - Rebuild holdings from the ledger and report differences
+router.post('/:id/reconcile', async (req, res) => {
+  try {
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { holdings: true }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { holdings } = await ledger.withRebuild(portfolio.id);
+
+    const symbols = [...new Set([...portfolio.holdings, ...holdings].map(h => h.symbol))];
+    const changes = symbols.map(symbol => {
+      const before = portfolio.holdings.find(h => h.symbol === symbol);
+      const after = holdings.find(h => h.symbol === symbol);
+      return {
+        symbol,
+        sharesBefore: before?.shares || 0,
+        sharesAfter: after?.shares || 0,
+        avgCostBefore: before?.avgCostBasis ?? null,
+        avgCostAfter: after?.avgCostBasis ?? null
+      };
+    }).filter(c =>
+      Math.abs(c.sharesBefore - c.sharesAfter) > taxLots.SHARE_EPSILON ||
+      Math.abs((c.avgCostBefore || 0) - (c.avgCostAfter || 0)) > 1e-6
+    );
+
+    if (changes.length > 0) {
+      await portfolioSnapshot.generateHistoricalSnapshots(req.user.id);
+    }
+
+    res.json({ success: true, changes, holdings });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_SHARES') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[Reconcile Error]', error);
+    res.status(500).json({ error: 'Failed to reconcile portfolio' });
+  }
+});
+
+// GET /api/portfolios/:id/analytics - Get portfolio analytics with live prices, in the portfolio's currency
+router.get('/:id/analytics', async (req, res) => {
   try {
     const portfolio = await prisma.portfolio.findFirst({
       where: { id: req.params.id, userId: req.user.id },
@@ -431,67 +2344,55 @@ router.get('/:id/analytics', async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
+    const symbols = portfolio.holdings.map(h => h.symbol);
+    const { symbolCurrencies, converter } = await getFxContext([portfolio], symbols, portfolio.currency);
+    const { realizedGain, soldCostBasis } = await getRealizedGains([portfolio], portfolio.currency, converter);
+
     // If no holdings, return empty analytics
     if (portfolio.holdings.length === 0) {
       return res.json({
+        currency: portfolio.currency,
         totalValue: 0,
         totalCost: 0,
         dayGain: 0,
         dayGainPercent: 0,
-        totalReturn: 0,
-        totalReturnPercent: 0,
-        holdings: []
+        unrealizedGain: 0,
+        realizedGain,
+        totalReturn: realizedGain,
+        totalReturnPercent: soldCostBasis > 0 ? (realizedGain / soldCostBasis) * 100 : 0,
+        holdings: [],
+        missingRates: [...converter.missing]
       });
     }
 
     // Get live prices using stock data service
-    const symbols = portfolio.holdings.map(h => h.symbol);
     const quotes = await stockData.getQuotes(symbols);
 
-    // Calculate analytics
-    let totalValue = 0;
-    let totalCost = 0;
-    let totalDayGain = 0;
-
-    const holdingsWithPrices = portfolio.holdings.map(h => {
-      const quote = quotes[h.symbol] || { price: h.avgCostBasis, previousClose: h.avgCostBasis, changeAmount: 0, changePercent: 0, name: h.symbol };
-      const currentValue = h.shares * quote.price;
-      const costBasis = h.shares * h.avgCostBasis;
-      const dayGain = h.shares * (quote.changeAmount || 0);
-      const totalGain = currentValue - costBasis;
-
-      totalValue += currentValue;
-      totalCost += costBasis;
-      totalDayGain += dayGain;
+    const holdingsWithPrices = valueHoldings(portfolio, quotes, symbolCurrencies, converter);
 
-      return {
-        id: h.id,
-        symbol: h.symbol,
-        name: quote.name,
-        shares: h.shares,
-        avgCostBasis: h.avgCostBasis,
-        currentPrice: quote.price,
-        previousClose: quote.previousClose,
-        currentValue,
-        costBasis,
-        dayGain,
-        dayGainPercent: quote.changePercent || 0,
-        totalGain,
-        totalGainPercent: costBasis > 0 ? ((currentValue - costBasis) / costBasis) * 100 : 0
-      };
-    });
+    const totalValue = holdingsWithPrices.reduce((sum, h) => sum + h.currentValue, 0);
+    const totalCost = holdingsWithPrices.reduce((sum, h) => sum + h.costBasis, 0);
+    const totalDayGain = holdingsWithPrices.reduce((sum, h) => sum + h.dayGain, 0);
 
     // Sort by value descending
     holdingsWithPrices.sort((a, b) => b.currentValue - a.currentValue);
 
+    const unrealizedGain = totalValue - totalCost;
+    const totalReturn = unrealizedGain + realizedGain;
+    const investedCost = totalCost + soldCostBasis;
+
     res.json({
+      currency: portfolio.currency,
       totalValue,
       totalCost,
       dayGain: totalDayGain,
       dayGainPercent: totalCost > 0 ? (totalDayGain / totalCost) * 100 : 0,
-      totalReturn: totalValue - totalCost,
-      totalReturnPercent: totalCost > 0 ? ((totalValue - totalCost) / totalCost) * 100 : 0,
-      holdings: holdingsWithPrices
+      unrealizedGain,
+      realizedGain,
+      totalReturn,
+      totalReturnPercent: investedCost > 0 ? (totalReturn / investedCost) * 100 : 0,
+      holdings: holdingsWithPrices,
+      missingRates: [...converter.missing]
     });
   } catch (error) {
     console.error('[Portfolio Analytics Error]', error);
@@ -4,6 +4,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { PrismaClient } = require('@prisma/client');
+const alertEngine = require('./services/alertEngine');
+const portfolioSnapshot = require('./services/portfolioSnapshot');
 
 // Initialize Prisma
 const prisma = new PrismaClient();
@@ -18,7 +20,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 app.use(morgan('dev'));
 
 // Health check
@@ -36,6 +38,8 @@ app.use('/api/onboarding', require('./routes/onboarding'));
 app.use('/api/portfolios', require('./routes/portfolios'));
 app.use('/api/market', require('./routes/market'));
 app.use('/api/watchlist', require('./routes/watchlist'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/assets', require('./routes/assets'));
 
 // 404 handler
 app.use((req, res) => {
@@ -66,6 +70,12 @@ async function start() {
 ╚════════════════════════════════════════════╝
       `);
     });
+
+    // Background jobs
+    alertEngine.start();
+    portfolioSnapshot.migrateLegacySnapshots().catch(error => {
+      console.error('[Snapshot Migration Error]', error.message);
+    });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -75,6 +85,7 @@ async function start() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('Shutting down...');
+  alertEngine.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
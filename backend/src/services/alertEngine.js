@@ -0,0 +1,183 @@
+const { PrismaClient } = require('@prisma/client');
+const stockData = require('./stockData');
+
+const prisma = new PrismaClient();
+
+/**
+ * Alert Engine
+ * Periodically evaluates active alerts against live quotes and fires each one once
+ */
+
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_change'];
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Parse the JSON condition stored on an alert
+ */
+function parseCondition(alert) {
+  try {
+    return JSON.parse(alert.condition || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Check a single alert condition against a quote
+ * @returns {boolean}
+ */
+function isConditionMet(type, condition, quote) {
+  if (!quote || !(quote.price > 0)) return false;
+
+  switch (type) {
+    case 'price_above':
+      return quote.price >= condition.target;
+
+    case 'price_below':
+      return quote.price <= condition.target;
+
+    case 'percent_change': {
+      // Measure against a fixed base price if given, otherwise against the previous close
+      const change = condition.basePrice > 0
+        ? ((quote.price - condition.basePrice) / condition.basePrice) * 100
+        : quote.changePercent;
+
+      if (change === null || change === undefined || isNaN(change)) return false;
+
+      const threshold = Math.abs(condition.percent);
+      if (condition.direction === 'up') return change >= threshold;
+      if (condition.direction === 'down') return change <= -threshold;
+      return Math.abs(change) >= threshold;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Build the message recorded when an alert fires
+ */
+function buildTriggerMessage(alert, condition, quote) {
+  if (alert.message) return alert.message;
+
+  switch (alert.type) {
+    case 'price_above':
+      return `${alert.symbol} rose above $${condition.target} (now $${quote.price.toFixed(2)})`;
+    case 'price_below':
+      return `${alert.symbol} fell below $${condition.target} (now $${quote.price.toFixed(2)})`;
+    default:
+      return `${alert.symbol} moved ${condition.percent}% (now $${quote.price.toFixed(2)})`;
+  }
+}
+
+/**
+ * Mark an alert as triggered and record the trigger history.
+ * The isTriggered guard makes sure an alert only fires once even if two evaluations overlap.
+ */
+async function fireAlert(alert, condition, quote) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.alert.updateMany({
+      where: { id: alert.id, isActive: true, isTriggered: false },
+      data: { isTriggered: true, triggeredAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    return tx.alertTrigger.create({
+      data: {
+        alertId: alert.id,
+        symbol: alert.symbol,
+        price: quote.price,
+        changePercent: quote.changePercent ?? null,
+        condition: alert.condition,
+        message: buildTriggerMessage(alert, condition, quote)
+      }
+    });
+  });
+}
+
+/**
+ * Evaluate all armed alerts. Quotes are fetched once per distinct symbol.
+ */
+async function evaluateAlerts() {
+  const alerts = await prisma.alert.findMany({
+    where: {
+      isActive: true,
+      isTriggered: false,
+      symbol: { not: null }
+    }
+  });
+
+  if (alerts.length === 0) return [];
+
+  const symbols = [...new Set(alerts.map(a => a.symbol.toUpperCase()))];
+  const quotes = await stockData.getQuotes(symbols);
+
+  const fired = [];
+
+  for (const alert of alerts) {
+    const quote = quotes[alert.symbol.toUpperCase()];
+    const condition = parseCondition(alert);
+
+    if (!isConditionMet(alert.type, condition, quote)) continue;
+
+    try {
+      const trigger = await fireAlert(alert, condition, quote);
+      if (trigger) {
+        console.log(`[Alerts] Fired ${alert.type} alert ${alert.id}: ${trigger.message}`);
+        fired.push(trigger);
+      }
+    } catch (error) {
+      console.error(`[Alerts] Failed to fire alert ${alert.id}:`, error.message);
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Run one evaluation pass, skipping if the previous pass is still in flight
+ */
+async function runOnce() {
+  if (running) return;
+  running = true;
+
+  try {
+    await evaluateAlerts();
+  } catch (error) {
+    console.error('[Alerts Error]', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the background evaluator
+ * @param {number} intervalMs - Set ALERT_CHECK_INTERVAL_MS=0 to disable
+ */
+function start(intervalMs = parseInt(process.env.ALERT_CHECK_INTERVAL_MS ?? DEFAULT_INTERVAL_MS)) {
+  if (timer || !(intervalMs > 0)) return;
+
+  console.log(`[Alerts] Evaluating alerts every ${Math.round(intervalMs / 1000)}s`);
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  isConditionMet,
+  evaluateAlerts,
+  start,
+  stop
+};
@@ -0,0 +1,153 @@
+const { PrismaClient } = require('@prisma/client');
+const stockData = require('./stockData');
+const fx = require('./fx');
+
+const prisma = new PrismaClient();
+
+/**
+ * Allocation Service
+ * Groups current market value by sector, industry, country, asset class, market cap
+ * and trading currency
+ */
+
+const UNCLASSIFIED = 'Unclassified';
+
+const ASSET_CLASS_LABELS = {
+  equity: 'Stocks',
+  etf: 'ETFs',
+  fund: 'Mutual Funds',
+  crypto: 'Crypto',
+  bond: 'Bonds',
+  other: 'Other'
+};
+
+// Lower bounds in USD, checked in order
+const MARKET_CAP_BUCKETS = [
+  { label: 'Mega Cap', min: 200e9 },
+  { label: 'Large Cap', min: 10e9 },
+  { label: 'Mid Cap', min: 2e9 },
+  { label: 'Small Cap', min: 300e6 },
+  { label: 'Micro Cap', min: 0 }
+];
+
+function marketCapBucket(marketCap, assetClass) {
+  // Fund and crypto "market caps" (AUM, network value) aren't comparable to company size
+  if (assetClass && assetClass !== 'equity') return 'Not Applicable';
+  if (!(marketCap > 0)) return UNCLASSIFIED;
+  return MARKET_CAP_BUCKETS.find(b => marketCap >= b.min).label;
+}
+
+/**
+ * Sum position values by a grouping key
+ * @param {Array} positions - [{ symbol, value, ... }]
+ * @param {Function} keyFn - position => group name
+ */
+function groupPositions(positions, keyFn, totalValue) {
+  const groups = {};
+
+  for (const position of positions) {
+    const name = keyFn(position) || UNCLASSIFIED;
+    const group = groups[name] || (groups[name] = { name, value: 0, symbols: [] });
+    group.value += position.value;
+    if (!group.symbols.includes(position.symbol)) group.symbols.push(position.symbol);
+  }
+
+  return Object.values(groups)
+    .map(g => ({ ...g, percent: totalValue > 0 ? (g.value / totalValue) * 100 : 0 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Build every allocation breakdown from valued positions
+ * @param {Array} positions - [{ symbol, value, currency, sector, industry, country, assetClass, marketCap }]
+ */
+function buildAllocation(positions) {
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0);
+
+  return {
+    totalValue,
+    holdings: groupPositions(positions, p => p.symbol, totalValue),
+    sector: groupPositions(positions, p => p.sector, totalValue),
+    industry: groupPositions(positions, p => p.industry, totalValue),
+    country: groupPositions(positions, p => p.country, totalValue),
+    assetClass: groupPositions(positions, p => ASSET_CLASS_LABELS[p.assetClass], totalValue),
+    marketCap: groupPositions(positions, p => marketCapBucket(p.marketCap, p.assetClass), totalValue),
+    tradingCurrency: groupPositions(positions, p => p.currency, totalValue)
+  };
+}
+
+/**
+ * Value holdings at live prices and classify them from StockMetadata,
+ * enriching symbols whose profile has never been fetched
+ * @param {Array} holdings - Holding rows (may span portfolios)
+ * @param {Object} options
+ * @param {string} options.currency - Currency to report price and value in (defaults to USD)
+ * @param {Object} options.portfolioCurrencies - { portfolioId: currency } the cost basis is recorded in
+ * @param {Set} options.missingRates - Collects currencies converted without rates (see fx.createConverter)
+ * @returns {Array} [{ symbol, shares, price, value, currency, sector, industry, country, assetClass, marketCap }]
+ */
+async function getPositions(holdings, { currency = 'USD', portfolioCurrencies = {}, missingRates } = {}) {
+  const open = holdings.filter(h => h.shares > 0);
+  const symbols = [...new Set(open.map(h => h.symbol))];
+  if (symbols.length === 0) return [];
+
+  const quotes = await stockData.getQuotes(symbols);
+  const stored = await prisma.stockMetadata.findMany({
+    where: { symbol: { in: symbols } }
+  });
+
+  const metadata = Object.fromEntries(stored.map(m => [m.symbol, m]));
+  for (const symbol of symbols) {
+    if (!metadata[symbol]?.profileUpdatedAt) {
+      try {
+        metadata[symbol] = await stockData.enrichMetadata(symbol);
+      } catch (error) {
+        console.log(`[Allocation] Metadata enrichment failed for ${symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  const tradingCurrencies = await fx.getSymbolCurrencies(symbols);
+  const converter = await fx.getConverter([
+    currency,
+    ...Object.values(tradingCurrencies),
+    ...Object.values(portfolioCurrencies)
+  ], { missingRates });
+
+  return open.map(h => {
+    const meta = metadata[h.symbol] || {};
+    const quote = quotes[h.symbol];
+    const tradingCurrency = tradingCurrencies[h.symbol];
+    const price = quote?.price
+      ? converter.convert(quote.price, tradingCurrency, currency)
+      : converter.convert(h.avgCostBasis, portfolioCurrencies[h.portfolioId] || currency, currency);
+
+    return {
+      symbol: h.symbol,
+      shares: h.shares,
+      price,
+      value: h.shares * price,
+      currency: tradingCurrency,
+      // A sector typed in by the user wins over the provider's classification
+      sector: h.sector || meta.sector,
+      industry: meta.industry,
+      country: meta.country,
+      assetClass: meta.assetClass,
+      marketCap: meta.marketCap || (quote?.marketCap ? Number(quote.marketCap) : null)
+    };
+  });
+}
+
+async function getAllocation(holdings, options = {}) {
+  const missingRates = new Set();
+  const positions = await getPositions(holdings, { ...options, missingRates });
+  return { currency: options.currency || 'USD', ...buildAllocation(positions), missingRates: [...missingRates] };
+}
+
+module.exports = {
+  MARKET_CAP_BUCKETS,
+  marketCapBucket,
+  buildAllocation,
+  getPositions,
+  getAllocation
+};
@@ -0,0 +1,209 @@
+const stockData = require('./stockData');
+const performance = require('./performance');
+
+/**
+ * Benchmark Service
+ * Normalized benchmark series (single symbols or weighted blends) aligned to
+ * performance dates, with excess return and tracking error
+ */
+
+const MAX_BENCHMARKS = 5;
+const TRADING_DAYS = 252;
+
+function benchmarkError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_BENCHMARK';
+  return error;
+}
+
+/**
+ * Parse a benchmark list such as "SPY,QQQ,SPY:60/AGG:40".
+ * A blend lists SYMBOL:weight parts separated by "/"; weights are normalized to sum to 1.
+ * @returns {Array} [{ id, label, components: [{ symbol, weight }] }]
+ */
+function parseBenchmarks(value) {
+  const entries = String(value || '').split(',').map(e => e.trim()).filter(Boolean);
+  if (entries.length > MAX_BENCHMARKS) {
+    throw benchmarkError(`At most ${MAX_BENCHMARKS} benchmarks can be compared at once`);
+  }
+
+  return entries.map(entry => {
+    const parts = entry.split('/').map(part => {
+      const [symbol, weightText] = part.split(':').map(s => s.trim());
+      const weight = weightText === undefined ? 1 : parseFloat(weightText);
+
+      if (!/^[A-Z0-9.^=-]{1,15}$/i.test(symbol || '')) {
+        throw benchmarkError(`Invalid benchmark symbol: ${part}`);
+      }
+      if (!(weight > 0)) {
+        throw benchmarkError(`Invalid benchmark weight: ${part}`);
+      }
+      return { symbol: symbol.toUpperCase(), weight };
+    });
+
+    const total = parts.reduce((sum, p) => sum + p.weight, 0);
+    const components = parts.map(p => ({ symbol: p.symbol, weight: p.weight / total }));
+    const label = components.length === 1
+      ? components[0].symbol
+      : components.map(c => `${Math.round(c.weight * 100)}% ${c.symbol}`).join(' / ');
+
+    return { id: entry.toUpperCase(), label, components };
+  });
+}
+
+/**
+ * Closing price on or before each date (carried forward over weekends and holidays)
+ * @param {Array} history - [{ date, close, adjClose }] ascending
+ * @param {Array<string>} dates - Day keys ascending
+ */
+function alignCloses(history, dates) {
+  const closes = [];
+  let index = 0;
+  let last = null;
+
+  for (const date of dates) {
+    while (index < history.length && performance.dayKey(history[index].date) <= date) {
+      last = history[index].adjClose || history[index].close || last;
+      index++;
+    }
+    closes.push(last);
+  }
+
+  return closes;
+}
+
+/**
+ * Period-over-period returns of a (daily rebalanced) blend between consecutive dates
+ * @param {Object} closesBySymbol - { SYMBOL: [close per date] }
+ */
+function blendReturns(components, closesBySymbol, length) {
+  const returns = [];
+
+  for (let i = 1; i < length; i++) {
+    let r = 0;
+    for (const { symbol, weight } of components) {
+      const prev = closesBySymbol[symbol][i - 1];
+      const curr = closesBySymbol[symbol][i];
+      r += prev > 0 && curr > 0 ? weight * (curr / prev - 1) : 0;
+    }
+    returns.push(r);
+  }
+
+  return returns;
+}
+
+// Growth of 100 from a list of period returns
+function normalize(dates, returns) {
+  let value = 100;
+  return dates.map((date, i) => {
+    if (i > 0) value *= 1 + returns[i - 1];
+    return { date, value, return: value - 100 };
+  });
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Excess return and annualized tracking error of a portfolio against a benchmark
+ * @param {Array<number>} portfolioReturns - Period returns aligned with benchmarkReturns
+ * @param {Array<number>} benchmarkReturns
+ */
+function compareReturns(portfolioReturns, benchmarkReturns) {
+  const growth = (returns) => returns.reduce((g, r) => g * (1 + r), 1) - 1;
+  const portfolioReturn = growth(portfolioReturns);
+  const benchmarkReturn = growth(benchmarkReturns);
+  const active = portfolioReturns.map((r, i) => r - benchmarkReturns[i]);
+  const deviation = standardDeviation(active);
+
+  return {
+    portfolioReturn: portfolioReturn * 100,
+    benchmarkReturn: benchmarkReturn * 100,
+    excessReturn: (portfolioReturn - benchmarkReturn) * 100,
+    trackingError: deviation !== null ? deviation * Math.sqrt(TRADING_DAYS) * 100 : null
+  };
+}
+
+/**
+ * Portfolio time-weighted growth between consecutive dates, from the ledger valuation
+ * so deposits and new buys don't count as performance
+ * @param {Array<string>} portfolioIds
+ * @param {Array<string>} dates - Day keys ascending
+ * @param {string} currency - Currency the portfolios are measured in
+ * @param {Set} missingRates - See performance.getDailySeries
+ */
+async function getPortfolioReturns(portfolioIds, dates, currency = 'USD', missingRates = undefined) {
+  const series = await performance.getDailySeries(portfolioIds, { currency, missingRates });
+  const index = performance.growthIndex(series);
+
+  // Carry the index over dates outside the ledger range
+  let last = 1;
+  const levels = dates.map(date => {
+    if (index[date] !== undefined) last = index[date];
+    return last;
+  });
+
+  return levels.slice(1).map((level, i) => (levels[i] > 0 ? level / levels[i] - 1 : 0));
+}
+
+/**
+ * Compare portfolios against one or more benchmarks over the given dates
+ * @param {Array<string>} portfolioIds
+ * @param {Array<Date|string>} rawDates - Performance (snapshot) dates
+ * @param {Array} benchmarks - Output of parseBenchmarks
+ * @param {Object} options
+ * @param {string} options.currency - Currency the portfolios are measured in
+ * @param {Set} options.missingRates - See performance.getDailySeries
+ */
+async function compareBenchmarks(portfolioIds, rawDates, benchmarks, { currency = 'USD', missingRates } = {}) {
+  const dates = [...new Set(rawDates.map(d => performance.dayKey(d)))].sort();
+  if (dates.length < 2 || benchmarks.length === 0) {
+    return { portfolio: null, benchmarks: [] };
+  }
+
+  const symbols = [...new Set(benchmarks.flatMap(b => b.components.map(c => c.symbol)))];
+  const closesBySymbol = {};
+
+  for (const symbol of symbols) {
+    const history = await stockData.getHistoricalData(symbol);
+    const sorted = [...(history || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+    closesBySymbol[symbol] = alignCloses(sorted, dates);
+  }
+
+  const portfolioReturns = await getPortfolioReturns(portfolioIds, dates, currency, missingRates);
+
+  return {
+    portfolio: {
+      series: normalize(dates, portfolioReturns)
+    },
+    benchmarks: benchmarks.map(benchmark => {
+      const missing = benchmark.components
+        .filter(c => !closesBySymbol[c.symbol].some(close => close > 0))
+        .map(c => c.symbol);
+
+      if (missing.length > 0) {
+        return { ...benchmark, series: [], error: `No price history for ${missing.join(', ')}` };
+      }
+
+      const returns = blendReturns(benchmark.components, closesBySymbol, dates.length);
+
+      return {
+        ...benchmark,
+        series: normalize(dates, returns),
+        ...compareReturns(portfolioReturns, returns)
+      };
+    })
+  };
+}
+
+module.exports = {
+  parseBenchmarks,
+  alignCloses,
+  blendReturns,
+  compareReturns,
+  compareBenchmarks
+};
@@ -0,0 +1,232 @@
+const taxLots = require('./taxLots');
+
+/**
+ * Corporate Actions Service
+ * Splits, ticker changes, spin-offs and mergers, applied to tax lots during the
+ * ledger replay so share counts and cost basis follow the security through them
+ */
+
+const ACTION_TYPES = ['split', 'reverse_split', 'ticker_change', 'spinoff', 'stock_merger', 'cash_merger'];
+
+// Actions that hand the position (or part of it) to another symbol
+const NEW_SYMBOL_TYPES = ['ticker_change', 'spinoff', 'stock_merger'];
+
+function actionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ACTION';
+  return error;
+}
+
+/**
+ * Check and normalize a corporate action before it is stored
+ * @param {Object} input - { type, symbol, newSymbol, ratio, cashPerShare, costBasisPercent, effectiveDate }
+ */
+function validateAction(input) {
+  const type = input.type;
+  if (!ACTION_TYPES.includes(type)) throw actionError(`Invalid corporate action type: ${type}`);
+
+  const symbol = String(input.symbol || '').trim().toUpperCase();
+  if (!symbol) throw actionError('Symbol is required');
+
+  const newSymbol = input.newSymbol ? String(input.newSymbol).trim().toUpperCase() : null;
+  const ratio = input.ratio !== undefined && input.ratio !== null ? parseFloat(input.ratio) : null;
+  const cashPerShare = input.cashPerShare !== undefined && input.cashPerShare !== null ? parseFloat(input.cashPerShare) : null;
+  const costBasisPercent = input.costBasisPercent !== undefined && input.costBasisPercent !== null
+    ? parseFloat(input.costBasisPercent)
+    : null;
+
+  if (NEW_SYMBOL_TYPES.includes(type)) {
+    if (!newSymbol) throw actionError(`A ${type.replace('_', ' ')} needs the new symbol`);
+    if (newSymbol === symbol) throw actionError('New symbol must differ from the original');
+  }
+
+  switch (type) {
+    case 'split':
+      if (!(ratio > 1)) throw actionError('Split ratio must be greater than 1 (e.g. 4 for a 4-for-1 split)');
+      break;
+    case 'reverse_split':
+      if (!(ratio > 0 && ratio < 1)) throw actionError('Reverse split ratio must be between 0 and 1 (e.g. 0.1 for 1-for-10)');
+      break;
+    case 'spinoff':
+      if (!(ratio > 0)) throw actionError('Spin-off ratio (new shares per share held) must be positive');
+      if (!(costBasisPercent >= 0 && costBasisPercent <= 100)) {
+        throw actionError('Spin-off needs the percent of cost basis allocated to the new shares (0-100)');
+      }
+      break;
+    case 'stock_merger':
+      if (!(ratio > 0)) throw actionError('Merger ratio (new shares per share held) must be positive');
+      if (cashPerShare !== null && !(cashPerShare >= 0)) throw actionError('Cash per share cannot be negative');
+      break;
+    case 'cash_merger':
+      if (!(cashPerShare > 0)) throw actionError('Cash merger needs the cash paid per share');
+      break;
+    default:
+      break;
+  }
+
+  const effectiveDate = new Date(input.effectiveDate);
+  if (isNaN(effectiveDate.getTime())) throw actionError('Invalid effective date');
+
+  return {
+    type,
+    symbol,
+    newSymbol: NEW_SYMBOL_TYPES.includes(type) ? newSymbol : null,
+    ratio: type === 'ticker_change' ? 1 : (type === 'cash_merger' ? null : ratio),
+    cashPerShare: type === 'stock_merger' || type === 'cash_merger' ? cashPerShare || null : null,
+    costBasisPercent: type === 'spinoff' ? costBasisPercent : null,
+    effectiveDate
+  };
+}
+
+function sortActions(actions) {
+  return [...actions].sort((a, b) =>
+    (new Date(a.effectiveDate) - new Date(b.effectiveDate)) ||
+    (new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+  );
+}
+
+function openShares(lots) {
+  return lots.reduce((sum, l) => sum + l.remainingShares, 0);
+}
+
+/**
+ * Apply one action to the replay's open lots (mutates lotsBySymbol).
+ * Cash paid out is not handled here: it is a separate ledger entry.
+ * @param {Object} lotsBySymbol - { SYMBOL: [lot] }
+ * @param {Object} action - Stored corporate action
+ * @returns {{ result: Object, lots: Array }} Audit summary and the lots now holding the position
+ */
+function applyAction(lotsBySymbol, action) {
+  const source = lotsBySymbol[action.symbol] || [];
+  const open = source.filter(l => l.remainingShares > taxLots.SHARE_EPSILON);
+  const sharesBefore = openShares(open);
+  const costBefore = open.reduce((sum, l) => sum + l.remainingShares * l.costPerShare, 0);
+  let affected = open;
+  let costBasisMoved = 0;
+
+  switch (action.type) {
+    case 'split':
+    case 'reverse_split':
+      for (const lot of open) {
+        lot.shares *= action.ratio;
+        lot.remainingShares *= action.ratio;
+        lot.costPerShare /= action.ratio;
+      }
+      break;
+
+    case 'ticker_change':
+    case 'stock_merger': {
+      // Open lots move to the new symbol, keeping their ids, basis and acquisition dates
+      const target = lotsBySymbol[action.newSymbol] || (lotsBySymbol[action.newSymbol] = []);
+      for (const lot of open) {
+        lot.symbol = action.newSymbol;
+        lot.shares *= action.ratio;
+        lot.remainingShares *= action.ratio;
+        lot.costPerShare /= action.ratio;
+        target.push(lot);
+      }
+      lotsBySymbol[action.symbol] = source.filter(l => !open.includes(l));
+      costBasisMoved = costBefore;
+      break;
+    }
+
+    case 'spinoff': {
+      const target = lotsBySymbol[action.newSymbol] || (lotsBySymbol[action.newSymbol] = []);
+      const fraction = action.costBasisPercent / 100;
+
+      affected = open.map(lot => {
+        const shares = lot.remainingShares * action.ratio;
+        const cost = lot.remainingShares * lot.costPerShare * fraction;
+        lot.costPerShare *= 1 - fraction;
+        costBasisMoved += cost;
+
+        // New shares inherit the parent lot's acquisition date (and holding period)
+        const child = {
+          id: `${lot.id}:${action.id}`,
+          symbol: action.newSymbol,
+          transactionId: null,
+          shares,
+          remainingShares: shares,
+          costPerShare: shares > 0 ? cost / shares : 0,
+          acquiredAt: lot.acquiredAt,
+          closedAt: null
+        };
+        target.push(child);
+        return child;
+      });
+      break;
+    }
+
+    default:
+      // Cash mergers close the position through their sell entry
+      break;
+  }
+
+  const remaining = (lotsBySymbol[action.symbol] || []).filter(l => l.remainingShares > taxLots.SHARE_EPSILON);
+
+  return {
+    result: {
+      sharesBefore,
+      sharesAfter: openShares(remaining),
+      newShares: action.newSymbol ? openShares(affected.filter(l => l.symbol === action.newSymbol)) : null,
+      costBasisMoved,
+      lotsAdjusted: open.length
+    },
+    lots: affected
+  };
+}
+
+/**
+ * Follow a holding through the splits and ticker changes after a date
+ * @param {Array} actions - The portfolio's corporate actions
+ * @param {string} symbol - Symbol as of the date
+ * @param {Date} after - Only actions effective after this apply
+ * @param {Object} options
+ * @param {boolean} options.followMergers - Also follow stock mergers into the acquirer
+ * @returns {{ symbol: string, factor: number }} Symbol the shares end up under and the share multiplier
+ */
+function splitFactor(actions, symbol, after, { followMergers = false } = {}) {
+  let factor = 1;
+
+  for (const action of sortActions(actions)) {
+    if (new Date(action.effectiveDate) <= new Date(after) || action.symbol !== symbol) continue;
+
+    if (action.type === 'split' || action.type === 'reverse_split') {
+      factor *= action.ratio;
+    } else if (action.type === 'ticker_change' || (followMergers && action.type === 'stock_merger')) {
+      factor *= action.ratio;
+      symbol = action.newSymbol;
+    }
+  }
+
+  return { symbol, factor };
+}
+
+/**
+ * Express a past trade in today's share terms (after later splits, reverse splits,
+ * ticker changes and stock mergers) so it lines up with current holdings
+ * @param {Object} transaction
+ * @param {Array} actions - The portfolio's corporate actions
+ * @returns {Object|null} { symbol, shares, price } or null when nothing applies
+ */
+function adjustTransaction(transaction, actions) {
+  if (!(transaction.shares > 0)) return null;
+
+  const { symbol, factor } = splitFactor(actions, transaction.symbol, transaction.executedAt, { followMergers: true });
+  if (factor === 1 && symbol === transaction.symbol) return null;
+
+  return {
+    symbol,
+    shares: transaction.shares * factor,
+    price: transaction.price !== null && transaction.price !== undefined ? transaction.price / factor : null
+  };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateAction,
+  sortActions,
+  applyAction,
+  splitFactor,
+  adjustTransaction
+};
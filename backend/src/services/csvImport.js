@@ -0,0 +1,328 @@
+/**
+ * CSV Import Service
+ * Parses broker CSV exports into ledger transactions
+ */
+
+/**
+ * Built-in broker layouts. Columns name the CSV header for each field;
+ * the first header that exists in the file is used.
+ */
+const BROKER_PROFILES = {
+  fidelity: {
+    label: 'Fidelity',
+    columns: {
+      date: ['Run Date', 'Trade Date'],
+      action: ['Action'],
+      symbol: ['Symbol'],
+      shares: ['Quantity'],
+      price: ['Price ($)', 'Price'],
+      fees: ['Commission ($)', 'Fees ($)'],
+      amount: ['Amount ($)', 'Amount']
+    }
+  },
+  schwab: {
+    label: 'Charles Schwab',
+    columns: {
+      date: ['Date'],
+      action: ['Action'],
+      symbol: ['Symbol'],
+      shares: ['Quantity'],
+      price: ['Price'],
+      fees: ['Fees & Comm'],
+      amount: ['Amount']
+    }
+  },
+  vanguard: {
+    label: 'Vanguard',
+    columns: {
+      date: ['Trade Date', 'Settlement Date'],
+      action: ['Transaction Type'],
+      symbol: ['Symbol'],
+      shares: ['Shares'],
+      price: ['Share Price'],
+      fees: ['Commission Fees', 'Commissions and Fees'],
+      amount: ['Net Amount', 'Principal Amount']
+    }
+  },
+  robinhood: {
+    label: 'Robinhood',
+    columns: {
+      date: ['Activity Date', 'Process Date'],
+      action: ['Trans Code'],
+      symbol: ['Instrument'],
+      shares: ['Quantity'],
+      price: ['Price'],
+      amount: ['Amount']
+    }
+  }
+};
+
+// Broker action text -> ledger transaction type (checked in order). Shares bought
+// with a dividend are a buy; Schwab's "Reinvest Dividend" is the dividend itself
+const ACTION_PATTERNS = [
+  { type: 'buy', pattern: /REINVEST SHARES|REINVESTMENT/i },
+  { type: 'dividend', pattern: /DIVIDEND|\bDIV\b|\bCDIV\b|QUAL DIV/i },
+  { type: 'buy', pattern: /\bBOUGHT\b|\bBUY\b|YOU BOUGHT/i },
+  { type: 'sell', pattern: /\bSOLD\b|\bSELL\b|YOU SOLD/i },
+  { type: 'fee', pattern: /\bFEE\b|\bFEES\b|\bGOLD\b|COMMISSION/i },
+  { type: 'interest', pattern: /INTEREST/i },
+  { type: 'withdrawal', pattern: /WITHDRAW|DISBURSEMENT|TRANSFER OUT|FUNDS SENT/i },
+  { type: 'deposit', pattern: /DEPOSIT|CONTRIBUTION|TRANSFER IN|FUNDS RECEIVED/i }
+];
+
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse "$1,234.56", "(12.50)" or "-3" into a number
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === '' || text === '--') return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+/**
+ * Parse MM/DD/YYYY or ISO dates; trailing text such as "as of 01/02/2024" is ignored
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + parseInt(us[3]) : parseInt(us[3]);
+    return new Date(Date.UTC(year, parseInt(us[1]) - 1, parseInt(us[2])));
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return new Date(Date.UTC(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3])));
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function classifyAction(action) {
+  const text = String(action || '').trim();
+  if (!text) return null;
+  return ACTION_PATTERNS.find(p => p.pattern.test(text)) || null;
+}
+
+/**
+ * Find the header row and pick the profile whose required columns it contains.
+ * Brokers often put account details above the header row.
+ */
+function detectLayout(rows, profileName) {
+  const candidates = profileName && profileName !== 'auto'
+    ? [[profileName, BROKER_PROFILES[profileName]]]
+    : Object.entries(BROKER_PROFILES);
+
+  for (let index = 0; index < Math.min(rows.length, 20); index++) {
+    const headers = rows[index].map(h => h.trim());
+
+    for (const [name, profile] of candidates) {
+      const columns = resolveColumns(headers, profile.columns);
+      if (columns.date !== undefined && columns.action !== undefined && columns.symbol !== undefined) {
+        return { profile: name, headerIndex: index, columns };
+      }
+    }
+  }
+
+  return null;
+}
+
+function resolveColumns(headers, columnMap) {
+  const columns = {};
+  for (const [field, names] of Object.entries(columnMap)) {
+    const list = Array.isArray(names) ? names : [names];
+    const indexes = list.map(n => headers.indexOf(n)).filter(i => i >= 0);
+    if (indexes.length === 0) continue;
+    // Fees are often split across commission and fee columns, so keep them all
+    columns[field] = field === 'fees' ? indexes : indexes[0];
+  }
+  return columns;
+}
+
+/**
+ * Turn CSV text into normalized transaction rows
+ * @param {string} text - CSV file contents
+ * @param {Object} options
+ * @param {string} options.profile - Broker profile name, 'auto' or 'generic'
+ * @param {Object} options.mapping - For 'generic': { date, action, symbol, shares, price, amount, fees } header names
+ * @returns {{ profile: string, rows: Array }}
+ */
+function parseBrokerCsv(text, { profile = 'auto', mapping = null } = {}) {
+  const rows = parseCsv(text || '');
+  if (rows.length < 2) throw importError('CSV file has no data rows');
+
+  let layout;
+  if (profile === 'generic') {
+    if (!mapping || !mapping.date || !mapping.symbol || !mapping.action) {
+      throw importError('Generic import needs a column mapping for date, action and symbol');
+    }
+    const headers = rows[0].map(h => h.trim());
+    layout = { profile: 'generic', headerIndex: 0, columns: resolveColumns(headers, mapping) };
+    const missing = ['date', 'action', 'symbol'].filter(f => layout.columns[f] === undefined);
+    if (missing.length > 0) {
+      throw importError(`Mapped columns not found in CSV header: ${missing.map(f => mapping[f]).join(', ')}`);
+    }
+  } else {
+    if (profile !== 'auto' && !BROKER_PROFILES[profile]) {
+      throw importError(`Unknown broker profile: ${profile}`);
+    }
+    layout = detectLayout(rows, profile);
+    if (!layout) throw importError('Could not recognise the CSV layout; choose a profile or map the columns');
+  }
+
+  const { columns, headerIndex } = layout;
+  const cell = (row, field) => (columns[field] !== undefined ? row[columns[field]] : undefined);
+  const feeCells = (row) => (columns.fees || []).map(i => Math.abs(parseNumber(row[i]) || 0));
+
+  const parsed = rows.slice(headerIndex + 1).map((row, i) => {
+    const rowNumber = headerIndex + i + 2;
+    const action = cell(row, 'action');
+    const match = classifyAction(action);
+    const symbol = String(cell(row, 'symbol') || '').trim().toUpperCase();
+    const sharesValue = parseNumber(cell(row, 'shares'));
+    const price = parseNumber(cell(row, 'price'));
+    const amountValue = parseNumber(cell(row, 'amount'));
+    const fees = feeCells(row).reduce((sum, fee) => sum + fee, 0);
+    const executedAt = parseDate(cell(row, 'date'));
+    const issues = [];
+
+    if (!match) {
+      return { row: rowNumber, action, status: 'skipped', issues: ['Unrecognised action'] };
+    }
+    if (!executedAt) issues.push('Invalid date');
+
+    const shares = sharesValue !== null ? Math.abs(sharesValue) : null;
+    let amount = amountValue !== null ? Math.abs(amountValue) : null;
+
+    if (match.type === 'buy' || match.type === 'sell') {
+      if (!symbol) issues.push('Missing symbol');
+      if (!(shares > 0)) issues.push('Missing share quantity');
+      if (price === null && amount === null) issues.push('Missing price');
+    }
+    if (match.type !== 'buy' && match.type !== 'sell' && amount === null) {
+      issues.push('Missing amount');
+    }
+
+    const resolvedPrice = price !== null
+      ? Math.abs(price)
+      : (shares > 0 && amount !== null ? (amount - (match.type === 'buy' ? fees : -fees)) / shares : null);
+
+    if (amount === null && shares > 0 && resolvedPrice !== null) {
+      amount = shares * resolvedPrice;
+    }
+
+    return {
+      row: rowNumber,
+      action,
+      type: match.type,
+      symbol,
+      shares: match.type === 'buy' || match.type === 'sell' ? shares : null,
+      price: match.type === 'buy' || match.type === 'sell' ? resolvedPrice : null,
+      amount: match.type === 'buy' || match.type === 'sell'
+        ? (shares || 0) * (resolvedPrice || 0)
+        : amount,
+      fees,
+      executedAt,
+      status: issues.length > 0 ? 'error' : 'ready',
+      issues
+    };
+  });
+
+  return { profile: layout.profile, rows: parsed };
+}
+
+/**
+ * Key used to spot the same trade in the ledger and within a file
+ */
+function duplicateKey(t) {
+  const date = new Date(t.executedAt).toISOString().split('T')[0];
+  return [
+    t.type,
+    t.symbol,
+    date,
+    t.shares !== null && t.shares !== undefined ? Number(t.shares).toFixed(6) : '',
+    Number(t.amount || 0).toFixed(2)
+  ].join('|');
+}
+
+function listProfiles() {
+  return [
+    ...Object.entries(BROKER_PROFILES).map(([name, p]) => ({
+      name,
+      label: p.label,
+      columns: p.columns
+    })),
+    { name: 'generic', label: 'Generic (map columns)', columns: null }
+  ];
+}
+
+module.exports = {
+  BROKER_PROFILES,
+  parseCsv,
+  parseBrokerCsv,
+  duplicateKey,
+  listProfiles
+};
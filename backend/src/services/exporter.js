@@ -0,0 +1,374 @@
+const { v4: uuidv4 } = require('uuid');
+const { CASH_SYMBOL, TRANSACTION_TYPES, cashEffect } = require('./ledger');
+const { validateTargets } = require('./rebalance');
+
+/**
+ * Export Service
+ * Serializes portfolios to CSV, versioned JSON and OFX investment statements
+ */
+
+const EXPORT_FORMAT = 'wealthpilot-export';
+const EXPORT_VERSION = 3; // 2: snapshots per portfolio, 3: target allocations
+
+const CSV_COLUMNS = {
+  holdings: ['portfolio', 'symbol', 'shares', 'avgCostBasis', 'costBasis', 'sector', 'notes'],
+  transactions: ['portfolio', 'id', 'executedAt', 'type', 'symbol', 'shares', 'price', 'amount', 'fees', 'costBasis', 'realizedGain', 'holdingPeriod', 'notes'],
+  snapshots: ['portfolio', 'date', 'totalValue', 'totalCost', 'dayGain']
+};
+
+// ============================================
+// CSV
+// ============================================
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => csvValue(row[c])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Flatten portfolios into CSV rows for one dataset
+ * @param {string} dataset - holdings, transactions or snapshots
+ */
+function portfoliosToCsv(portfolios, dataset) {
+  let rows;
+
+  if (dataset === 'holdings') {
+    rows = portfolios.flatMap(p => p.holdings.map(h => ({
+      ...h,
+      portfolio: p.name,
+      costBasis: h.shares * h.avgCostBasis
+    })));
+  } else if (dataset === 'snapshots') {
+    rows = portfolios
+      .flatMap(p => (p.snapshots || []).map(s => ({
+        ...s,
+        portfolio: p.name,
+        date: new Date(s.date).toISOString().split('T')[0]
+      })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } else {
+    rows = portfolios
+      .flatMap(p => p.transactions.map(t => ({ ...t, portfolio: p.name })))
+      .sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt));
+  }
+
+  return toCsv(rows, CSV_COLUMNS[dataset] || CSV_COLUMNS.transactions);
+}
+
+// ============================================
+// JSON
+// ============================================
+
+/**
+ * Build the versioned export document. Transactions carry everything needed to
+ * rebuild holdings and lots; holdings are included for their sector/notes.
+ */
+function buildDocument(portfolios) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    portfolios: portfolios.map(p => ({
+      id: p.id,
+      name: p.name,
+      description: p.description,
+      currency: p.currency,
+      cashBalance: p.cashBalance,
+      preventOverdraft: p.preventOverdraft,
+      lotMethod: p.lotMethod,
+      holdings: p.holdings.map(h => ({
+        symbol: h.symbol,
+        shares: h.shares,
+        avgCostBasis: h.avgCostBasis,
+        sector: h.sector,
+        notes: h.notes
+      })),
+      transactions: p.transactions.map(t => ({
+        id: t.id,
+        symbol: t.symbol,
+        type: t.type,
+        shares: t.shares,
+        price: t.price,
+        amount: t.amount,
+        fees: t.fees,
+        notes: t.notes,
+        executedAt: t.executedAt,
+        createdAt: t.createdAt,
+        lotMethod: t.lotMethod,
+        lotSelection: t.lotSelection ? JSON.parse(t.lotSelection) : null,
+        relatedId: t.relatedId
+      })),
+      corporateActions: (p.corporateActions || []).map(a => ({
+        id: a.id,
+        type: a.type,
+        symbol: a.symbol,
+        newSymbol: a.newSymbol,
+        ratio: a.ratio,
+        cashPerShare: a.cashPerShare,
+        costBasisPercent: a.costBasisPercent,
+        effectiveDate: a.effectiveDate,
+        transactionId: a.transactionId,
+        notes: a.notes,
+        createdAt: a.createdAt
+      })),
+      targets: (p.targets || []).map(t => ({
+        type: t.type,
+        key: t.key,
+        targetPercent: t.targetPercent,
+        tolerance: t.tolerance
+      })),
+      snapshots: (p.snapshots || []).map(snapshotData)
+    }))
+  };
+}
+
+function snapshotData(s) {
+  return {
+    date: s.date,
+    totalValue: s.totalValue,
+    totalCost: s.totalCost,
+    dayGain: s.dayGain
+  };
+}
+
+function exportError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT';
+  return error;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOptionalNumber = (value) => value === null || value === undefined || isNumber(value);
+
+// Reject entries the ledger can't replay before they reach the database
+function checkTransaction(portfolio, t) {
+  const fail = (problem) => exportError(`Portfolio ${portfolio.name}: transaction ${t.id} ${problem}`);
+
+  if (!TRANSACTION_TYPES.includes(t.type)) throw fail(`has unknown type ${t.type}`);
+  if (typeof t.symbol !== 'string' || !t.symbol) throw fail('has no symbol');
+  if (!isNumber(t.amount)) throw fail('has no valid amount');
+  if (![t.shares, t.price, t.fees].every(isOptionalNumber)) throw fail('has invalid shares, price or fees');
+  if (Number.isNaN(new Date(t.executedAt ?? NaN).getTime())) throw fail('has no valid date');
+
+  return t;
+}
+
+// Same rules as saving targets from the rebalance screen
+function parseTargets(portfolio) {
+  try {
+    return validateTargets(portfolio.targets || []);
+  } catch (error) {
+    throw exportError(`Portfolio ${portfolio.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate an export document and map it to rows ready for insertion.
+ * Transaction and corporate action ids are regenerated and lot selections, DRIP,
+ * transfer and corporate action links rewritten to match.
+ */
+function parseDocument(document) {
+  if (!document || document.format !== EXPORT_FORMAT) {
+    throw exportError('Not a WealthPilot export document');
+  }
+  if (!(document.version <= EXPORT_VERSION)) {
+    throw exportError(`Unsupported export version ${document.version}`);
+  }
+  if (!Array.isArray(document.portfolios)) {
+    throw exportError('Export document has no portfolios');
+  }
+
+  for (const p of document.portfolios) {
+    const { transactions = [] } = p || {};
+    if (!Array.isArray(transactions) || transactions.some(t => !t || typeof t !== 'object')) {
+      throw exportError(`Portfolio ${p?.name}: transactions must be a list of entries`);
+    }
+  }
+
+  // One id map for the whole document: transfers link transactions across portfolios
+  const ids = new Map(document.portfolios.flatMap(p => [
+    ...(p.transactions || []).map(t => [t.id, uuidv4()]),
+    ...(p.corporateActions || []).map(a => [a.id, uuidv4()])
+  ]));
+
+  // Spin-off lots are identified as "<parent lot id>:<action id>"
+  const lotId = (id) => String(id).split(':').map(part => ids.get(part) || part).join(':');
+
+  // Version 1 kept one account-wide series, which only maps onto a single portfolio
+  const accountSnapshots = document.version < 2 && document.portfolios.length === 1
+    ? document.snapshots?.data || []
+    : [];
+
+  const portfolios = document.portfolios.map(p => ({
+    name: p.name,
+    description: p.description ?? null,
+    currency: p.currency || 'USD',
+    lotMethod: p.lotMethod || 'FIFO',
+    preventOverdraft: p.preventOverdraft === true,
+    holdings: p.holdings || [],
+    transactions: (p.transactions || []).map(t => checkTransaction(p, t)).map(t => ({
+      id: ids.get(t.id) || uuidv4(),
+      symbol: t.symbol,
+      type: t.type,
+      shares: t.shares ?? null,
+      price: t.price ?? null,
+      amount: t.amount,
+      fees: t.fees || 0,
+      notes: t.notes ?? null,
+      executedAt: new Date(t.executedAt),
+      createdAt: t.createdAt ? new Date(t.createdAt) : undefined,
+      lotMethod: t.lotMethod ?? null,
+      lotSelection: t.lotSelection
+        ? JSON.stringify(t.lotSelection.map(l => ({ lotId: lotId(l.lotId), shares: l.shares })))
+        : null,
+      relatedId: t.relatedId ? ids.get(t.relatedId) || null : null
+    })),
+    corporateActions: (p.corporateActions || []).map(a => ({
+      id: ids.get(a.id) || uuidv4(),
+      type: a.type,
+      symbol: a.symbol,
+      newSymbol: a.newSymbol ?? null,
+      ratio: a.ratio ?? null,
+      cashPerShare: a.cashPerShare ?? null,
+      costBasisPercent: a.costBasisPercent ?? null,
+      effectiveDate: new Date(a.effectiveDate),
+      transactionId: a.transactionId ? ids.get(a.transactionId) || null : null,
+      notes: a.notes ?? null,
+      createdAt: a.createdAt ? new Date(a.createdAt) : undefined
+    })),
+    targets: parseTargets(p),
+    snapshots: (p.snapshots || accountSnapshots).map(s => ({
+      ...snapshotData(s),
+      date: new Date(s.date)
+    }))
+  }));
+
+  return { portfolios };
+}
+
+// ============================================
+// OFX
+// ============================================
+
+function ofxDate(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function ofxText(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ofxAmount(value) {
+  return (Math.round((value || 0) * 10000) / 10000).toString();
+}
+
+function ofxSecId(symbol) {
+  return `<SECID><UNIQUEID>${ofxText(symbol)}</UNIQUEID><UNIQUEIDTYPE>TICKER</UNIQUEIDTYPE></SECID>`;
+}
+
+// Non-trade ledger entries become bank transactions
+const OFX_BANK_TYPES = {
+  fee: 'FEE',
+  interest: 'INT',
+  deposit: 'CREDIT',
+  withdrawal: 'DEBIT',
+  transfer_in: 'XFER',
+  transfer_out: 'XFER'
+};
+
+function ofxTransaction(t) {
+  const invtran = `<INVTRAN><FITID>${t.id}</FITID><DTTRADE>${ofxDate(t.executedAt)}</DTTRADE>${t.notes ? `<MEMO>${ofxText(t.notes)}</MEMO>` : ''}</INVTRAN>`;
+  const fees = t.fees || 0;
+
+  switch (t.type) {
+    case 'buy':
+      return `<BUYSTOCK><INVBUY>${invtran}${ofxSecId(t.symbol)}<UNITS>${t.shares}</UNITS><UNITPRICE>${ofxAmount(t.price)}</UNITPRICE><FEES>${ofxAmount(fees)}</FEES><TOTAL>${ofxAmount(-(t.amount + fees))}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INVBUY><BUYTYPE>BUY</BUYTYPE></BUYSTOCK>`;
+
+    case 'sell':
+      return `<SELLSTOCK><INVSELL>${invtran}${ofxSecId(t.symbol)}<UNITS>${-t.shares}</UNITS><UNITPRICE>${ofxAmount(t.price)}</UNITPRICE><FEES>${ofxAmount(fees)}</FEES><TOTAL>${ofxAmount(t.amount - fees)}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INVSELL><SELLTYPE>SELL</SELLTYPE></SELLSTOCK>`;
+
+    case 'dividend':
+      return `<INCOME>${invtran}${ofxSecId(t.symbol)}<INCOMETYPE>DIV</INCOMETYPE><TOTAL>${ofxAmount(t.amount)}</TOTAL><SUBACCTSEC>CASH</SUBACCTSEC><SUBACCTFUND>CASH</SUBACCTFUND></INCOME>`;
+
+    default: {
+      const trnType = OFX_BANK_TYPES[t.type] || 'OTHER';
+      return `<INVBANKTRAN><STMTTRN><TRNTYPE>${trnType}</TRNTYPE><DTPOSTED>${ofxDate(t.executedAt)}</DTPOSTED><TRNAMT>${ofxAmount(cashEffect(t))}</TRNAMT><FITID>${t.id}</FITID><NAME>${ofxText(t.type)}</NAME></STMTTRN><SUBACCTFUND>CASH</SUBACCTFUND></INVBANKTRAN>`;
+    }
+  }
+}
+
+function ofxStatement(portfolio, quotes, now) {
+  const transactions = [...portfolio.transactions].sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt));
+  const start = transactions.length > 0 ? transactions[0].executedAt : now;
+
+  const positions = portfolio.holdings.map(h => {
+    const price = quotes[h.symbol]?.price ?? h.avgCostBasis;
+    return `<POSSTOCK><INVPOS>${ofxSecId(h.symbol)}<HELDINACCT>CASH</HELDINACCT><POSTYPE>LONG</POSTYPE><UNITS>${h.shares}</UNITS><UNITPRICE>${ofxAmount(price)}</UNITPRICE><MKTVAL>${ofxAmount(h.shares * price)}</MKTVAL><DTPRICEASOF>${ofxDate(now)}</DTPRICEASOF></INVPOS></POSSTOCK>`;
+  });
+
+  return [
+    '<INVSTMTTRNRS>',
+    `<TRNUID>${uuidv4()}</TRNUID>`,
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<INVSTMTRS>',
+    `<DTASOF>${ofxDate(now)}</DTASOF>`,
+    `<CURDEF>${ofxText(portfolio.currency || 'USD')}</CURDEF>`,
+    `<INVACCTFROM><BROKERID>wealthpilot</BROKERID><ACCTID>${portfolio.id}</ACCTID></INVACCTFROM>`,
+    `<INVTRANLIST><DTSTART>${ofxDate(start)}</DTSTART><DTEND>${ofxDate(now)}</DTEND>`,
+    ...transactions.map(ofxTransaction),
+    '</INVTRANLIST>',
+    `<INVPOSLIST>${positions.join('')}</INVPOSLIST>`,
+    `<INVBAL><AVAILCASH>${ofxAmount(portfolio.cashBalance)}</AVAILCASH><MARGINBALANCE>0</MARGINBALANCE><SHORTBALANCE>0</SHORTBALANCE></INVBAL>`,
+    '</INVSTMTRS>',
+    '</INVSTMTTRNRS>'
+  ].join('\n');
+}
+
+/**
+ * Build an OFX 2.2 document with one investment statement per portfolio
+ * @param {Array} portfolios - Portfolios with holdings and transactions
+ * @param {Object} quotes - Current quotes keyed by symbol, used for position values
+ */
+function toOfx(portfolios, quotes = {}) {
+  const now = new Date();
+  const symbols = [...new Set(portfolios.flatMap(p => [
+    ...p.holdings.map(h => h.symbol),
+    ...p.transactions.map(t => t.symbol)
+  ]))].filter(s => s && s !== CASH_SYMBOL).sort();
+
+  const securities = symbols.map(symbol =>
+    `<STOCKINFO><SECINFO>${ofxSecId(symbol)}<SECNAME>${ofxText(quotes[symbol]?.name || symbol)}</SECNAME><TICKER>${ofxText(symbol)}</TICKER></SECINFO></STOCKINFO>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${ofxDate(now)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<INVSTMTMSGSRSV1>',
+    ...portfolios.map(p => ofxStatement(p, quotes, now)),
+    '</INVSTMTMSGSRSV1>',
+    `<SECLISTMSGSRSV1><SECLIST>${securities.join('')}</SECLIST></SECLISTMSGSRSV1>`,
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  CSV_COLUMNS,
+  toCsv,
+  portfoliosToCsv,
+  buildDocument,
+  parseDocument,
+  toOfx
+};
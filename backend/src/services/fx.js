@@ -0,0 +1,255 @@
+const { PrismaClient } = require('@prisma/client');
+const providers = require('./providers');
+
+const prisma = new PrismaClient();
+
+/**
+ * FX Service
+ * Daily exchange rates cached in FxRate (stored against USD, crosses derived),
+ * trading currencies per symbol and conversion into a reporting currency
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+
+// Quotes on some exchanges are in the minor unit (pence, cents, agorot)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', divisor: 100 },
+  GBX: { currency: 'GBP', divisor: 100 },
+  ZAc: { currency: 'ZAR', divisor: 100 },
+  ILA: { currency: 'ILS', divisor: 100 }
+};
+
+// Fallback when a symbol has no profile currency yet (Yahoo-style exchange suffixes)
+const SUFFIX_CURRENCIES = {
+  L: 'GBp',
+  TO: 'CAD',
+  V: 'CAD',
+  NE: 'CAD',
+  T: 'JPY',
+  AX: 'AUD',
+  DE: 'EUR',
+  F: 'EUR',
+  PA: 'EUR',
+  AS: 'EUR',
+  MI: 'EUR',
+  MC: 'EUR',
+  BR: 'EUR',
+  LS: 'EUR',
+  IR: 'EUR',
+  HE: 'EUR',
+  SW: 'CHF',
+  HK: 'HKD',
+  ST: 'SEK',
+  OL: 'NOK',
+  CO: 'DKK'
+};
+
+// Last time each currency's cache was checked against the providers
+const lastSync = {};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Split a currency code into its ISO currency and minor-unit divisor
+ * @param {string} code - e.g. 'EUR', 'GBp'
+ * @returns {{ currency: string, divisor: number }}
+ */
+function normalizeCurrency(code) {
+  if (!code) return { currency: 'USD', divisor: 1 };
+  if (MINOR_UNITS[code]) return MINOR_UNITS[code];
+  return { currency: String(code).toUpperCase(), divisor: 1 };
+}
+
+/**
+ * Best guess at a symbol's trading currency from its exchange suffix
+ */
+function guessCurrency(symbol) {
+  const upper = String(symbol || '').toUpperCase();
+
+  const pair = upper.match(/-([A-Z]{3})$/); // crypto pairs like BTC-EUR
+  if (pair) return pair[1];
+
+  const suffix = upper.includes('.') ? upper.split('.').pop() : null;
+  return (suffix && SUFFIX_CURRENCIES[suffix]) || 'USD';
+}
+
+/**
+ * Trading currency for each symbol, from metadata when known
+ * @param {Array<string>} symbols
+ * @returns {Object} { SYMBOL: currency }
+ */
+async function getSymbolCurrencies(symbols) {
+  if (symbols.length === 0) return {};
+
+  const metadata = await prisma.stockMetadata.findMany({
+    where: { symbol: { in: symbols } },
+    select: { symbol: true, currency: true }
+  });
+  const known = Object.fromEntries(metadata.filter(m => m.currency).map(m => [m.symbol, m.currency]));
+
+  return Object.fromEntries(symbols.map(s => [s, known[s] || guessCurrency(s)]));
+}
+
+/**
+ * Rates from the first market data provider that has them (Frankfurter, then
+ * Yahoo, then the fixture provider when it is on), through each provider's
+ * circuit breaker and budget
+ */
+async function fetchRates(currency, from, to) {
+  for (const provider of providers.getProviders('fxRates')) {
+    const rows = await provider.call(currency, { from: new Date(from), to: new Date(to) });
+    if (rows && rows.length > 0) {
+      return rows.map(r => ({ currency, date: new Date(dayKey(r.date)), rate: r.rate }));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Make sure the cache covers each currency from a date up to today.
+ * Only the missing range is fetched; a currency is checked at most hourly.
+ * @param {Array<string>} currencies - Codes in any form (minor units included)
+ * @param {string|Date} since - Earliest day needed
+ */
+async function syncRates(currencies, since) {
+  const today = dayKey(new Date());
+  const from = dayKey(since);
+  const needed = [...new Set(currencies.map(c => normalizeCurrency(c).currency))].filter(c => c !== 'USD');
+
+  for (const currency of needed) {
+    const checked = lastSync[currency];
+    if (checked && checked.from <= from && Date.now() - checked.at < ONE_HOUR_MS) continue;
+
+    const [earliest, latest] = await Promise.all([
+      prisma.fxRate.findFirst({ where: { currency }, orderBy: { date: 'asc' } }),
+      prisma.fxRate.findFirst({ where: { currency }, orderBy: { date: 'desc' } })
+    ]);
+
+    const ranges = [];
+    if (!earliest) {
+      ranges.push([from, today]);
+    } else {
+      if (dayKey(earliest.date) > from) ranges.push([from, dayKey(earliest.date)]);
+      if (dayKey(latest.date) < today) ranges.push([dayKey(latest.date), today]);
+    }
+
+    for (const [start, end] of ranges) {
+      const rows = await fetchRates(currency, start, end);
+      if (!rows) continue;
+
+      await prisma.fxRate.createMany({ data: rows, skipDuplicates: true });
+      console.log(`[FX] Stored ${rows.length} USD/${currency} rates from ${start}`);
+      await delay(100);
+    }
+
+    lastSync[currency] = { from, at: Date.now() };
+  }
+}
+
+/**
+ * Cached daily rates per currency, refreshed first
+ * @param {Array<string>} currencies
+ * @param {string|Date} since - Earliest day needed (defaults to a year ago)
+ * @returns {Object} { CURRENCY: [{ date, rate }] } sorted ascending, rate = units per USD
+ */
+async function getRateTable(currencies, since = new Date(Date.now() - 365 * ONE_DAY_MS)) {
+  const needed = [...new Set(currencies.map(c => normalizeCurrency(c).currency))].filter(c => c !== 'USD');
+  if (needed.length === 0) return {};
+
+  await syncRates(needed, since);
+
+  // A few days back so the first day can carry the previous close forward
+  const rows = await prisma.fxRate.findMany({
+    where: { currency: { in: needed }, date: { gte: new Date(new Date(since).getTime() - 10 * ONE_DAY_MS) } },
+    select: { currency: true, date: true, rate: true },
+    orderBy: { date: 'asc' }
+  });
+
+  const table = {};
+  rows.forEach(r => {
+    (table[r.currency] = table[r.currency] || []).push({ date: dayKey(r.date), rate: r.rate });
+  });
+
+  return table;
+}
+
+/**
+ * Converter over a rate table. Days without a rate (weekends, holidays) use the
+ * last one before; days before the first use the first. A currency with no rates
+ * at all is taken as 1:1 with USD and added to `missing`, which responses built
+ * with the converter report (as missingRates) so such totals aren't taken at face value.
+ * @param {Object} table - From getRateTable
+ * @param {Set} missing - Set to collect missing currencies in (shared across converters)
+ * @returns {{ rate: Function, convert: Function, missing: Set }}
+ *   rate(from, to, day) - Units of `to` per unit of `from` (latest when day is omitted)
+ *   convert(amount, from, to, day)
+ */
+function createConverter(table, missing = new Set()) {
+
+  const perUsd = (currency, day) => {
+    if (currency === 'USD') return 1;
+
+    const rates = table[currency];
+    if (!rates || rates.length === 0) {
+      if (!missing.has(currency)) console.log(`[FX] No rates for ${currency}, treating as 1:1 with USD`);
+      missing.add(currency);
+      return 1;
+    }
+    if (!day) return rates[rates.length - 1].rate;
+
+    // Last rate on or before the day
+    let low = 0;
+    let high = rates.length - 1;
+    if (rates[0].date > day) return rates[0].rate;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (rates[mid].date <= day) low = mid;
+      else high = mid - 1;
+    }
+    return rates[low].rate;
+  };
+
+  const rate = (from, to, day = null) => {
+    if (from === to) return 1;
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    return (perUsd(target.currency, day) * target.divisor) / (perUsd(source.currency, day) * source.divisor);
+  };
+
+  return {
+    rate,
+    convert: (amount, from, to, day = null) => amount * rate(from, to, day),
+    missing
+  };
+}
+
+/**
+ * Load rates and build a converter in one step
+ * @param {Array<string>} currencies - Every currency that will be converted from or to
+ * @param {Object} options
+ * @param {string|Date} options.since - Earliest day that will be looked up
+ * @param {Set} options.missingRates - Collects currencies without rates (see createConverter)
+ */
+async function getConverter(currencies, { since, missingRates } = {}) {
+  const table = await getRateTable(currencies, since);
+  return createConverter(table, missingRates);
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  guessCurrency,
+  getSymbolCurrencies,
+  syncRates,
+  getRateTable,
+  createConverter,
+  getConverter
+};
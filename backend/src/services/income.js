@@ -0,0 +1,138 @@
+/**
+ * Income Service
+ * Dividend income reports and forward 12-month projections
+ */
+
+function monthKey(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+function sumBy(items, keyFn, valueFn) {
+  const totals = {};
+  for (const item of items) {
+    const key = keyFn(item);
+    totals[key] = (totals[key] || 0) + valueFn(item);
+  }
+  return totals;
+}
+
+/**
+ * Group dividend transactions by month, symbol and portfolio
+ * @param {Array} dividends - Dividend transactions
+ * @param {Object} portfolioNames - { portfolioId: name }
+ * @param {Set<string>} reinvestedIds - Dividends that funded a reinvestment buy
+ */
+function summarizeIncome(dividends, portfolioNames = {}, reinvestedIds = new Set()) {
+  const total = dividends.reduce((sum, d) => sum + d.amount, 0);
+  const reinvested = dividends.filter(d => reinvestedIds.has(d.id)).reduce((sum, d) => sum + d.amount, 0);
+
+  const byMonth = Object.entries(sumBy(dividends, d => monthKey(d.executedAt), d => d.amount))
+    .map(([month, amount]) => ({ month, amount }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+  const payments = sumBy(dividends, d => d.symbol, () => 1);
+  const bySymbol = Object.entries(sumBy(dividends, d => d.symbol, d => d.amount))
+    .map(([symbol, amount]) => ({ symbol, amount, payments: payments[symbol] }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const byPortfolio = Object.entries(sumBy(dividends, d => d.portfolioId, d => d.amount))
+    .map(([portfolioId, amount]) => ({ portfolioId, name: portfolioNames[portfolioId] || null, amount }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return { total, reinvested, cash: total - reinvested, byMonth, bySymbol, byPortfolio };
+}
+
+// Payment frequencies in months between payments
+const FREQUENCIES = [1, 3, 6, 12];
+
+function monthIndex(date) {
+  const d = new Date(date);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+/**
+ * Infer how often a symbol pays from the gaps between its recorded dividends
+ * @returns {{ frequency: number, lastPaid: number|null, source: string }} lastPaid as a month index
+ */
+function paymentSchedule(dividends, symbol) {
+  const paid = [...new Set(dividends.filter(d => d.symbol === symbol).map(d => monthIndex(d.executedAt)))]
+    .sort((a, b) => a - b);
+
+  if (paid.length === 0) return { frequency: null, lastPaid: null, source: 'estimated' };
+
+  // A single payment is assumed quarterly, the most common schedule
+  if (paid.length === 1) return { frequency: 3, lastPaid: paid[0], source: 'estimated' };
+
+  const gaps = paid.slice(1).map((m, i) => m - paid[i]).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  const frequency = FREQUENCIES.reduce((best, f) => (Math.abs(f - median) < Math.abs(best - median) ? f : best));
+
+  return { frequency, lastPaid: paid[paid.length - 1], source: 'history' };
+}
+
+/**
+ * Project the next 12 months of dividend income from current holdings.
+ * Payments continue the schedule seen in past dividends; symbols with no
+ * history have their annual amount spread evenly and are marked estimated.
+ * @param {Array} positions - [{ symbol, shares, value, costBasis }] (one row per symbol)
+ * @param {Object} dividendInfo - { SYMBOL: { dividend, dividendYield } } annual per-share data
+ * @param {Array} dividends - Past dividend transactions, used for payment schedules
+ */
+function forecastIncome(positions, dividendInfo, dividends = [], asOf = new Date()) {
+  const firstMonth = monthIndex(asOf) + 1;
+  const months = [];
+  for (let i = 0; i < 12; i++) {
+    const index = firstMonth + i;
+    months.push({ month: monthKey(new Date(Date.UTC(Math.floor(index / 12), index % 12, 1))), amount: 0 });
+  }
+
+  const bySymbol = positions.map(p => {
+    const perShare = dividendInfo[p.symbol]?.dividend || 0;
+    const annualIncome = p.shares * perShare;
+    const schedule = paymentSchedule(dividends, p.symbol);
+    const projected = [];
+
+    if (annualIncome > 0 && schedule.frequency) {
+      const payment = annualIncome * (schedule.frequency / 12);
+      let next = schedule.lastPaid + schedule.frequency;
+      while (next < firstMonth) next += schedule.frequency;
+
+      for (; next < firstMonth + 12; next += schedule.frequency) {
+        months[next - firstMonth].amount += payment;
+        projected.push(months[next - firstMonth].month);
+      }
+    } else if (annualIncome > 0) {
+      months.forEach(m => { m.amount += annualIncome / 12; });
+    }
+
+    return {
+      symbol: p.symbol,
+      shares: p.shares,
+      dividendPerShare: perShare,
+      dividendYield: dividendInfo[p.symbol]?.dividendYield || 0,
+      annualIncome,
+      yieldOnCost: p.costBasis > 0 ? (annualIncome / p.costBasis) * 100 : 0,
+      frequency: schedule.frequency,
+      paymentMonths: projected,
+      schedule: schedule.source
+    };
+  }).sort((a, b) => b.annualIncome - a.annualIncome);
+
+  const annualIncome = bySymbol.reduce((sum, s) => sum + s.annualIncome, 0);
+  const totalValue = positions.reduce((sum, p) => sum + (p.value || 0), 0);
+  const totalCost = positions.reduce((sum, p) => sum + (p.costBasis || 0), 0);
+
+  return {
+    annualIncome,
+    portfolioYield: totalValue > 0 ? (annualIncome / totalValue) * 100 : 0,
+    yieldOnCost: totalCost > 0 ? (annualIncome / totalCost) * 100 : 0,
+    monthly: months,
+    bySymbol
+  };
+}
+
+module.exports = {
+  summarizeIncome,
+  paymentSchedule,
+  forecastIncome
+};
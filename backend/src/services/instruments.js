@@ -0,0 +1,188 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Instrument Service
+ * What kind of security a symbol is and how that changes pricing: funds price
+ * once a day at NAV, crypto trades around the clock in fractions down to 1e-8,
+ * and bonds quote as a percent of par plus accrued interest.
+ *
+ * Quantities and prices inside the ledger are per unit held. For bonds the unit
+ * is one currency unit of face value, so 10,000 face bought at 98.5 is stored
+ * as 10,000 units at 0.985; quotes and trade input in percent of par are
+ * converted at the edges.
+ */
+
+const SECOND_MS = 1000;
+const HOUR_MS = 60 * 60 * SECOND_MS;
+
+const INSTRUMENT_TYPES = {
+  equity: { label: 'Stock', pricing: 'market', quoteTtlMs: 30 * SECOND_MS, quantityDecimals: 6 },
+  etf: { label: 'ETF', pricing: 'market', quoteTtlMs: 30 * SECOND_MS, quantityDecimals: 6 },
+  fund: { label: 'Mutual fund', pricing: 'nav', quoteTtlMs: 4 * HOUR_MS, quantityDecimals: 4 },
+  crypto: { label: 'Crypto', pricing: 'continuous', quoteTtlMs: 30 * SECOND_MS, quantityDecimals: 8 },
+  bond: { label: 'Bond', pricing: 'percent_of_par', quoteTtlMs: HOUR_MS, quantityDecimals: 2 }
+};
+
+// Yahoo quoteType -> instrument type
+const YAHOO_QUOTE_TYPES = {
+  EQUITY: 'equity',
+  ETF: 'etf',
+  MUTUALFUND: 'fund',
+  CRYPTOCURRENCY: 'crypto'
+};
+
+/**
+ * Best guess at the type from the symbol alone: Yahoo-style crypto pairs
+ * (BTC-USD), five-letter US mutual fund tickers ending in X (VFIAX) and CUSIPs
+ */
+function guessInstrumentType(symbol) {
+  const upper = String(symbol || '').toUpperCase();
+
+  if (/^[A-Z0-9]{2,10}-(USD|USDT|USDC|EUR|GBP|JPY|CAD|AUD|BTC|ETH)$/.test(upper)) return 'crypto';
+  if (/^[A-Z]{4}X$/.test(upper)) return 'fund';
+  if (/^[0-9]{3}[0-9A-Z]{5}[0-9]$/.test(upper)) return 'bond';
+  return 'equity';
+}
+
+/**
+ * Instrument descriptor from a symbol's metadata (asset class and bond terms)
+ * @param {string} symbol
+ * @param {Object|null} metadata - StockMetadata row
+ */
+function resolveInstrument(symbol, metadata = null) {
+  const type = INSTRUMENT_TYPES[metadata?.assetClass] ? metadata.assetClass : guessInstrumentType(symbol);
+
+  return {
+    symbol,
+    type,
+    ...INSTRUMENT_TYPES[type],
+    couponRate: metadata?.couponRate ?? null,
+    couponFrequency: metadata?.couponFrequency ?? null,
+    maturityDate: metadata?.maturityDate ?? null
+  };
+}
+
+async function getInstrument(symbol) {
+  const upperSymbol = symbol.toUpperCase();
+  const metadata = await prisma.stockMetadata.findUnique({ where: { symbol: upperSymbol } });
+  return resolveInstrument(upperSymbol, metadata);
+}
+
+/**
+ * @param {Array<string>} symbols
+ * @returns {Object} { SYMBOL: instrument }
+ */
+async function getInstruments(symbols) {
+  if (symbols.length === 0) return {};
+
+  const metadata = await prisma.stockMetadata.findMany({ where: { symbol: { in: symbols } } });
+  const bySymbol = Object.fromEntries(metadata.map(m => [m.symbol, m]));
+
+  return Object.fromEntries(symbols.map(s => [s, resolveInstrument(s, bySymbol[s])]));
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+/**
+ * Interest accrued since the last coupon, per unit of face value (actual/actual).
+ * Coupon dates are counted back from maturity.
+ * @param {Object} instrument - From resolveInstrument
+ * @param {Date} date
+ */
+function accruedInterest(instrument, date = new Date()) {
+  if (instrument.type !== 'bond' || !(instrument.couponRate > 0) || !instrument.maturityDate) return 0;
+
+  const on = new Date(date);
+  const maturity = new Date(instrument.maturityDate);
+  if (on >= maturity) return 0;
+
+  const frequency = instrument.couponFrequency || 2;
+  const months = 12 / frequency;
+
+  let next = maturity;
+  let previous = addMonths(maturity, -months);
+  while (previous > on) {
+    next = previous;
+    previous = addMonths(previous, -months);
+  }
+
+  const fraction = (on - previous) / (next - previous);
+  return (instrument.couponRate / 100 / frequency) * fraction;
+}
+
+/**
+ * Trade price as entered (percent of par for bonds) to the ledger's price per unit
+ */
+function unitPrice(price, instrument) {
+  if (price === null || price === undefined) return price;
+  return instrument.type === 'bond' ? price / 100 : price;
+}
+
+/**
+ * Round a quantity to what the instrument trades in (crypto to 1e-8)
+ */
+function roundQuantity(quantity, instrument) {
+  const factor = 10 ** instrument.quantityDecimals;
+  return Math.round(quantity * factor) / factor;
+}
+
+/**
+ * Express a provider quote per unit held, the way valuations use it. Bond quotes
+ * become a dirty price per unit of face (clean percent / 100 + accrued); the
+ * quoted figures are kept alongside.
+ * @param {Object} quote - Quote as fetched or cached
+ * @param {Object} instrument - From resolveInstrument
+ * @param {Date} date - Day the accrued interest is counted to
+ */
+function normalizeQuote(quote, instrument, date = new Date()) {
+  if (!quote) return quote;
+  if (instrument.type !== 'bond') return { ...quote, instrumentType: instrument.type };
+
+  const accrued = accruedInterest(instrument, date);
+  const perUnit = (value) => (value === null || value === undefined ? value : value / 100 + accrued);
+
+  return {
+    ...quote,
+    instrumentType: 'bond',
+    quotedPrice: quote.price,
+    accruedInterest: accrued,
+    price: perUnit(quote.price),
+    previousClose: perUnit(quote.previousClose),
+    open: perUnit(quote.open),
+    high: perUnit(quote.high),
+    low: perUnit(quote.low),
+    changeAmount: quote.changeAmount !== null && quote.changeAmount !== undefined ? quote.changeAmount / 100 : quote.changeAmount
+  };
+}
+
+/**
+ * Base and quote currency of a crypto pair stored Yahoo-style (BTC-USD), for
+ * providers that spell pairs differently
+ * @returns {{ base: string, quote: string }|null} Null for anything else
+ */
+function cryptoPair(symbol, instrument) {
+  if (instrument.type !== 'crypto' || !symbol.includes('-')) return null;
+
+  const [base, quote] = symbol.split('-');
+  return { base, quote };
+}
+
+module.exports = {
+  INSTRUMENT_TYPES,
+  YAHOO_QUOTE_TYPES,
+  guessInstrumentType,
+  resolveInstrument,
+  getInstrument,
+  getInstruments,
+  accruedInterest,
+  unitPrice,
+  roundQuantity,
+  normalizeQuote,
+  cryptoPair
+};
@@ -0,0 +1,430 @@
+const { PrismaClient } = require('@prisma/client');
+const taxLots = require('./taxLots');
+const corporateActions = require('./corporateActions');
+
+const prisma = new PrismaClient();
+
+/**
+ * Ledger Service
+ * The Transaction table is the source of truth: holdings, tax lots, realized
+ * gains and the cash balance are derived by replaying a portfolio's transactions
+ * in date order.
+ */
+
+// Symbol used for transactions that don't belong to a security (e.g. account fees)
+const CASH_SYMBOL = '$CASH';
+
+// Ledger types that only move cash; they use CASH_SYMBOL
+const CASH_TYPES = ['deposit', 'withdrawal', 'fee', 'interest', 'transfer_in', 'transfer_out'];
+
+// Every type the ledger replays
+const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'merger_cash', ...CASH_TYPES];
+
+// Cash movements that can never take the balance below zero
+const WITHDRAWAL_TYPES = ['withdrawal', 'transfer_out'];
+
+// Interactive transaction options for rebuilds (large ledgers take a while)
+const REBUILD_TX_OPTIONS = { timeout: 30000, maxWait: 10000 };
+
+function ledgerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseLotSelection(transaction) {
+  if (!transaction.lotSelection) return null;
+  try {
+    return JSON.parse(transaction.lotSelection);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Change in the portfolio's cash balance caused by a transaction
+ */
+function cashEffect(t) {
+  switch (t.type) {
+    case 'buy': return -((t.amount || 0) + (t.fees || 0));
+    case 'sell': return (t.amount || 0) - (t.fees || 0);
+    case 'dividend':
+    case 'merger_cash':
+    case 'deposit':
+    case 'interest':
+    case 'transfer_in':
+      return t.amount || 0;
+    case 'withdrawal':
+    case 'fee':
+    case 'transfer_out':
+      return -(t.amount || 0);
+    default: return 0;
+  }
+}
+
+function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) =>
+    (new Date(a.executedAt) - new Date(b.executedAt)) ||
+    (new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+  );
+}
+
+/**
+ * Replay the cash balance in date order.
+ * Ledgers that predate cash tracking have buys with no deposit behind them, so a
+ * shortfall is treated as money added from outside at that point (an implicit
+ * contribution) rather than a negative balance.
+ * @param {Array} transactions - A portfolio's transactions
+ * @param {Object} options
+ * @param {boolean} options.preventOverdraft - Reject the strict transaction if it is a buy the balance can't cover
+ * @param {string} options.strictTransactionId - Transaction being written; only it can be rejected
+ * @returns {{ cashBalance: number, contributions: Array, entries: Array }}
+ */
+function replayCash(transactions, { preventOverdraft = false, strictTransactionId = null } = {}) {
+  const contributions = [];
+  const entries = [];
+  let balance = 0;
+
+  for (const t of sortTransactions(transactions)) {
+    const change = cashEffect(t);
+    if (change === 0 && !CASH_TYPES.includes(t.type)) continue;
+
+    balance += change;
+    let contribution = 0;
+
+    if (balance < -1e-6) {
+      const strict = t.id === strictTransactionId &&
+        (WITHDRAWAL_TYPES.includes(t.type) || (preventOverdraft && t.type === 'buy'));
+
+      if (strict) {
+        const available = balance - change;
+        throw ledgerError('INSUFFICIENT_CASH', `Only $${available.toFixed(2)} cash available for a $${(-change).toFixed(2)} ${t.type.replace('_', ' ')}`);
+      }
+
+      contribution = -balance;
+      contributions.push({ transactionId: t.id, executedAt: t.executedAt, amount: contribution });
+      balance = 0;
+    }
+
+    entries.push({ transaction: t, change, contribution, balance });
+  }
+
+  return { cashBalance: balance, contributions, entries };
+}
+
+/**
+ * Replay transactions in date order
+ * @param {Array} transactions - A portfolio's transactions
+ * @param {Object} options
+ * @param {string} options.lotMethod - Portfolio lot method for sells that didn't record one
+ * @param {string} options.strictTransactionId - Sell whose lot selection must be honoured exactly
+ * @param {boolean} options.preventOverdraft - See replayCash
+ * @param {Array} options.actions - Corporate actions, applied at the start of their effective date
+ * @param {Date} options.asOf - Actions effective after this are not applied yet
+ * @returns {{ positions: Object, lots: Array, sells: Array, cashBalance: number, contributions: Array, actionResults: Object }}
+ */
+function replayLedger(transactions, options = {}) {
+  const { lotMethod = 'FIFO', strictTransactionId = null, preventOverdraft = false, actions = [], asOf = new Date() } = options;
+  const lotsBySymbol = {};
+  const sells = [];
+
+  const pending = corporateActions.sortActions(actions).filter(a => new Date(a.effectiveDate) <= asOf);
+  const actionResults = {};
+  const actionLots = {};
+  let actionIndex = 0;
+
+  const applyActionsUntil = (date) => {
+    while (actionIndex < pending.length && (!date || new Date(pending[actionIndex].effectiveDate) <= new Date(date))) {
+      const action = pending[actionIndex++];
+      const { result, lots } = corporateActions.applyAction(lotsBySymbol, action);
+      actionResults[action.id] = result;
+      if (action.transactionId) actionLots[action.transactionId] = lots;
+    }
+  };
+
+  for (const t of sortTransactions(transactions)) {
+    applyActionsUntil(t.executedAt);
+
+    const symbol = t.symbol;
+    const lots = lotsBySymbol[symbol] || (lotsBySymbol[symbol] = []);
+
+    if (t.type === 'buy' && t.shares > 0) {
+      // Lots are keyed by the buy that opened them so ids survive a rebuild
+      lots.push({
+        id: t.id,
+        symbol,
+        transactionId: t.id,
+        shares: t.shares,
+        remainingShares: t.shares,
+        costPerShare: ((t.shares * (t.price ?? 0)) + (t.fees || 0)) / t.shares,
+        acquiredAt: new Date(t.executedAt),
+        closedAt: null
+      });
+    }
+
+    if (t.type === 'sell' && t.shares > 0) {
+      const openLots = lots.filter(l => l.remainingShares > taxLots.SHARE_EPSILON);
+      const specificLots = parseLotSelection(t);
+      // Sells keep the method that applied when they were recorded
+      const method = t.lotMethod && t.lotMethod !== 'SPECIFIC' ? t.lotMethod : lotMethod;
+      let selections;
+
+      try {
+        selections = taxLots.selectLots(openLots, t.shares, {
+          method: specificLots ? 'SPECIFIC' : method,
+          specificLots
+        });
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_SHARES') {
+          const date = new Date(t.executedAt).toISOString().split('T')[0];
+          throw ledgerError('INSUFFICIENT_SHARES', `Sell of ${t.shares} ${symbol} on ${date} exceeds shares held`);
+        }
+        // A stored selection can go stale when the buys it referenced are edited
+        if (error.code !== 'INVALID_LOT_SELECTION' || t.id === strictTransactionId) throw error;
+        selections = taxLots.selectLots(openLots, t.shares, { method: method === 'SPECIFIC' ? 'FIFO' : method });
+      }
+
+      const sale = taxLots.summarizeSale(selections, {
+        price: t.price ?? 0,
+        fees: t.fees || 0,
+        soldAt: t.executedAt
+      });
+
+      for (const { lot, shares } of selections) {
+        lot.remainingShares -= shares;
+        if (lot.remainingShares <= taxLots.SHARE_EPSILON) {
+          lot.remainingShares = 0;
+          lot.closedAt = new Date(t.executedAt);
+        }
+      }
+
+      sells.push({ transaction: t, ...sale });
+    }
+
+    // Cash paid alongside stock in a merger is boot. Per lot, the gain recognized is the
+    // lot's gain on the exchange capped at its cash (a loss is not recognized); the rest
+    // of the cash is a return of basis and comes off the new shares. t.price is the value
+    // of a new share on the day; entries recorded without one count the new shares at
+    // zero, so basis is recovered before any gain
+    if (t.type === 'merger_cash') {
+      const received = actionLots[t.id] || [];
+      const newShares = received.reduce((sum, l) => sum + l.remainingShares, 0);
+      let costBasis = 0;
+
+      for (const lot of received) {
+        if (lot.remainingShares <= taxLots.SHARE_EPSILON) continue;
+
+        const cash = t.amount * (lot.remainingShares / newShares);
+        const basis = lot.remainingShares * lot.costPerShare;
+        const gain = lot.remainingShares * (t.price ?? 0) + cash - basis;
+        const returnOfBasis = cash - Math.max(0, Math.min(gain, cash));
+
+        lot.costPerShare = (basis - returnOfBasis) / lot.remainingShares;
+        costBasis += returnOfBasis;
+      }
+
+      const periods = [...new Set(received.map(l => taxLots.getHoldingPeriod(l.acquiredAt, t.executedAt)))];
+      sells.push({
+        transaction: t,
+        sales: [],
+        proceeds: t.amount,
+        costBasis,
+        realizedGain: t.amount - costBasis,
+        holdingPeriod: periods.length === 1 ? periods[0] : (periods.length > 1 ? 'mixed' : 'short')
+      });
+    }
+  }
+
+  applyActionsUntil(null);
+
+  const positions = {};
+  for (const [symbol, lots] of Object.entries(lotsBySymbol)) {
+    const shares = lots.reduce((sum, l) => sum + l.remainingShares, 0);
+    if (shares <= taxLots.SHARE_EPSILON) continue;
+
+    const cost = lots.reduce((sum, l) => sum + l.remainingShares * l.costPerShare, 0);
+    positions[symbol] = { symbol, shares, totalCost: cost, avgCostBasis: cost / shares };
+  }
+
+  const { cashBalance, contributions } = replayCash(transactions, { preventOverdraft, strictTransactionId });
+
+  return {
+    positions,
+    lots: Object.values(lotsBySymbol).flat(),
+    sells,
+    cashBalance,
+    contributions,
+    actionResults
+  };
+}
+
+/**
+ * Shares of a symbol held going into a date, after the corporate actions effective
+ * by then; trades on the date itself don't count (e.g. a buy on the ex-dividend date)
+ * @param {Array} transactions - A portfolio's transactions
+ * @param {string} symbol
+ * @param {Date} date
+ * @param {Object} options - lotMethod and actions, as for replayLedger
+ */
+function sharesHeldBefore(transactions, symbol, date, { lotMethod = 'FIFO', actions = [] } = {}) {
+  const { positions } = replayLedger(
+    transactions.filter(t => new Date(t.executedAt) < new Date(date)),
+    { lotMethod, actions, asOf: new Date(date) }
+  );
+  return positions[symbol]?.shares || 0;
+}
+
+/**
+ * Recompute holdings, tax lots and sell gains for a portfolio from its transactions
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} portfolioId
+ * @param {Object} options - Passed to replayLedger
+ */
+async function rebuildPortfolio(tx, portfolioId, options = {}) {
+  const portfolio = await tx.portfolio.findUnique({ where: { id: portfolioId } });
+  const transactions = await tx.transaction.findMany({ where: { portfolioId } });
+  const actions = await tx.corporateAction.findMany({ where: { portfolioId } });
+
+  const { positions, lots, sells, cashBalance, actionResults } = replayLedger(transactions, {
+    lotMethod: portfolio.lotMethod,
+    preventOverdraft: portfolio.preventOverdraft,
+    actions,
+    ...options
+  });
+
+  await tx.portfolio.update({ where: { id: portfolioId }, data: { cashBalance } });
+
+  // Tax lots
+  await tx.taxLotSale.deleteMany({ where: { lot: { portfolioId } } });
+  await tx.taxLot.deleteMany({ where: { portfolioId } });
+
+  await tx.taxLot.createMany({
+    data: lots.map(l => ({
+      id: l.id,
+      portfolioId,
+      symbol: l.symbol,
+      transactionId: l.transactionId,
+      shares: l.shares,
+      remainingShares: l.remainingShares,
+      costPerShare: l.costPerShare,
+      acquiredAt: l.acquiredAt,
+      closedAt: l.closedAt
+    }))
+  });
+
+  await tx.taxLotSale.createMany({
+    data: sells.flatMap(sell => sell.sales.map(s => ({
+      lotId: s.lotId,
+      transactionId: sell.transaction.id,
+      shares: s.shares,
+      proceeds: s.proceeds,
+      costBasis: s.costBasis,
+      realizedGain: s.realizedGain,
+      holdingPeriod: s.holdingPeriod,
+      acquiredAt: s.acquiredAt,
+      soldAt: sell.transaction.executedAt
+    })))
+  });
+
+  for (const sell of sells) {
+    await tx.transaction.update({
+      where: { id: sell.transaction.id },
+      data: {
+        costBasis: sell.costBasis,
+        realizedGain: sell.realizedGain,
+        holdingPeriod: sell.holdingPeriod
+      }
+    });
+  }
+
+  // Audit trail: what each corporate action did to the position on this replay
+  for (const action of actions) {
+    const result = actionResults[action.id] || null;
+    await tx.corporateAction.update({
+      where: { id: action.id },
+      data: { result: result ? JSON.stringify(result) : null }
+    });
+  }
+
+  // Holdings: keep sector/notes on rows that survive, drop closed positions
+  const existing = await tx.holding.findMany({ where: { portfolioId } });
+  const holdings = [];
+
+  for (const position of Object.values(positions)) {
+    const current = existing.find(h => h.symbol === position.symbol);
+    const data = { shares: position.shares, avgCostBasis: position.avgCostBasis };
+
+    // A renamed ticker keeps the old holding's sector and notes
+    const rename = actions.find(a => a.type === 'ticker_change' && a.newSymbol === position.symbol);
+    const previous = !current && rename ? existing.find(h => h.symbol === rename.symbol) : null;
+
+    holdings.push(current
+      ? await tx.holding.update({ where: { id: current.id }, data })
+      : await tx.holding.create({
+        data: { portfolioId, symbol: position.symbol, sector: previous?.sector, notes: previous?.notes, ...data }
+      }));
+  }
+
+  const closed = existing.filter(h => !positions[h.symbol]).map(h => h.id);
+  if (closed.length > 0) {
+    await tx.holding.deleteMany({ where: { id: { in: closed } } });
+  }
+
+  return { holdings, lots, sells, cashBalance };
+}
+
+/**
+ * Apply a ledger change and rebuild the portfolio atomically.
+ * If the replay fails (e.g. a sell would exceed shares held) the change is rolled back.
+ * @param {string} portfolioId
+ * @param {Function} mutate - async (tx) => transaction written; its lot selection is enforced strictly
+ */
+async function withRebuild(portfolioId, mutate) {
+  return prisma.$transaction(async (tx) => {
+    const transaction = mutate ? await mutate(tx) : null;
+    const rebuild = await rebuildPortfolio(tx, portfolioId, {
+      strictTransactionId: transaction?.id || null
+    });
+
+    // Re-read so derived fields (realized gain etc.) reflect the rebuild
+    const updated = transaction?.id
+      ? await tx.transaction.findUnique({ where: { id: transaction.id } })
+      : null;
+
+    return { transaction: updated || transaction, ...rebuild };
+  }, REBUILD_TX_OPTIONS);
+}
+
+/**
+ * Apply a change that spans portfolios (e.g. a cash transfer) and rebuild each of them atomically
+ * @param {Array<string>} portfolioIds
+ * @param {Function} mutate - async (tx) => transaction written; enforced strictly in every portfolio
+ */
+async function withRebuildAll(portfolioIds, mutate) {
+  return prisma.$transaction(async (tx) => {
+    const transaction = await mutate(tx);
+    const rebuilds = {};
+
+    for (const portfolioId of portfolioIds) {
+      rebuilds[portfolioId] = await rebuildPortfolio(tx, portfolioId, {
+        strictTransactionId: transaction?.id || null
+      });
+    }
+
+    return { transaction, rebuilds };
+  }, REBUILD_TX_OPTIONS);
+}
+
+module.exports = {
+  CASH_SYMBOL,
+  CASH_TYPES,
+  TRANSACTION_TYPES,
+  REBUILD_TX_OPTIONS,
+  cashEffect,
+  replayCash,
+  replayLedger,
+  sharesHeldBefore,
+  rebuildPortfolio,
+  withRebuild,
+  withRebuildAll
+};
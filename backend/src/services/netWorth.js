@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+const fx = require('./fx');
+const portfolioSnapshot = require('./portfolioSnapshot');
+
+const prisma = new PrismaClient();
+
+/**
+ * Net Worth Service
+ * Manual assets and liabilities valued by hand, combined with the
+ * market-priced portfolios into net worth
+ */
+
+const ASSET_KINDS = ['asset', 'liability'];
+
+const CATEGORIES = {
+  asset: ['real_estate', 'private_equity', 'vehicle', 'bank', 'other'],
+  liability: ['mortgage', 'loan', 'credit_card', 'other']
+};
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Value in force on a day: the latest valuation on or before it
+ * @param {Array} valuations - Sorted ascending by date
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Object|null} The valuation, or null before the first one
+ */
+function valuationOn(valuations, day) {
+  let found = null;
+  for (const v of valuations) {
+    if (dayKey(v.date) > day) break;
+    found = v;
+  }
+  return found;
+}
+
+/**
+ * Latest value of each manual asset and liability, in the report currency
+ * @param {Array} manualAssets - ManualAsset rows with valuations ascending
+ * @param {string} currency - Currency to report in
+ * @param {Object} converter - From fx.createConverter
+ * @returns {{ assets: number, liabilities: number, items: Array }}
+ */
+function summarizeManualAssets(manualAssets, currency, converter) {
+  const items = manualAssets.map(a => {
+    const latest = a.valuations.length > 0 ? a.valuations[a.valuations.length - 1] : null;
+    return {
+      id: a.id,
+      name: a.name,
+      kind: a.kind,
+      category: a.category,
+      currency: a.currency,
+      notes: a.notes,
+      value: latest ? latest.value : null,
+      valuedAt: latest ? latest.date : null,
+      reportValue: latest ? converter.convert(latest.value, a.currency, currency) : 0
+    };
+  });
+
+  const total = (kind) => items.filter(i => i.kind === kind).reduce((sum, i) => sum + i.reportValue, 0);
+
+  return { assets: total('asset'), liabilities: total('liability'), items };
+}
+
+/**
+ * Net worth per day: the investment history plus each manual asset's value in
+ * force that day (at that day's rate), less liabilities. Days where only a
+ * valuation changed carry the last investment value forward.
+ * @param {Array} history - Account history from portfolioSnapshot.getPerformanceHistory
+ * @param {Array} manualAssets - ManualAsset rows with valuations ascending
+ * @param {string} currency - Currency to report in (the history's)
+ * @param {Object} converter - From fx.createConverter
+ * @param {Date} start - First day to include
+ * @returns {Array} [{ date, investments, assets, liabilities, netWorth }] ascending
+ */
+function buildNetWorthHistory(history, manualAssets, currency, converter, start) {
+  const first = dayKey(start);
+  const investmentsByDay = Object.fromEntries(history.map(h => [dayKey(h.date), h.totalValue]));
+  const days = [...new Set([
+    ...Object.keys(investmentsByDay),
+    ...manualAssets.flatMap(a => a.valuations.map(v => dayKey(v.date)))
+  ])].filter(day => day >= first).sort();
+
+  let investments = 0;
+
+  return days.map(day => {
+    if (investmentsByDay[day] !== undefined) investments = investmentsByDay[day];
+
+    const totals = { asset: 0, liability: 0 };
+    for (const a of manualAssets) {
+      const valuation = valuationOn(a.valuations, day);
+      if (valuation) totals[a.kind] += converter.convert(valuation.value, a.currency, currency, day);
+    }
+
+    return {
+      date: day,
+      investments,
+      assets: totals.asset,
+      liabilities: totals.liability,
+      netWorth: investments + totals.asset - totals.liability
+    };
+  });
+}
+
+/**
+ * A user's manual assets with their valuations, oldest first
+ */
+async function getManualAssets(userId) {
+  return prisma.manualAsset.findMany({
+    where: { userId },
+    include: { valuations: { orderBy: { date: 'asc' } } },
+    orderBy: [{ kind: 'asc' }, { name: 'asc' }]
+  });
+}
+
+/**
+ * Current manual asset and liability totals for a user
+ * @param {string} userId
+ * @param {string} currency - Currency to report in
+ */
+async function getManualSummary(userId, currency) {
+  const manualAssets = await getManualAssets(userId);
+  if (manualAssets.length === 0) return { assets: 0, liabilities: 0, items: [], missingRates: [] };
+
+  const converter = await fx.getConverter([currency, ...manualAssets.map(a => a.currency)]);
+  const summary = summarizeManualAssets(manualAssets, currency, converter);
+  return { ...summary, missingRates: [...converter.missing] };
+}
+
+/**
+ * Net worth history for a user in their primary currency
+ * @param {string} userId
+ * @param {number} days - Number of days to fetch (default 365)
+ */
+async function getNetWorthHistory(userId, days = 365) {
+  const start = new Date();
+  start.setDate(start.getDate() - days);
+  start.setHours(0, 0, 0, 0);
+
+  const missingRates = new Set();
+  const [user, manualAssets, history] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { primaryCurrency: true } }),
+    getManualAssets(userId),
+    portfolioSnapshot.getPerformanceHistory(userId, days, { missingRates })
+  ]);
+
+  const currency = user?.primaryCurrency || 'USD';
+  const converter = await fx.getConverter([currency, ...manualAssets.map(a => a.currency)], { since: start, missingRates });
+
+  return {
+    currency,
+    history: buildNetWorthHistory(history, manualAssets, currency, converter, start),
+    missingRates: [...missingRates]
+  };
+}
+
+module.exports = {
+  ASSET_KINDS,
+  CATEGORIES,
+  valuationOn,
+  summarizeManualAssets,
+  buildNetWorthHistory,
+  getManualAssets,
+  getManualSummary,
+  getNetWorthHistory
+};
@@ -0,0 +1,448 @@
+const { PrismaClient } = require('@prisma/client');
+const stockData = require('./stockData');
+const { CASH_SYMBOL, cashEffect } = require('./ledger');
+const corporateActions = require('./corporateActions');
+const fx = require('./fx');
+
+const prisma = new PrismaClient();
+
+/**
+ * Performance Service
+ * Daily valuations from the transaction ledger, time-weighted (TWR) and
+ * money-weighted (XIRR) returns, split into local-market return and currency effect
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['1D', '1W', '1M', 'YTD', '1Y', 'ALL'];
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function addDays(key, days) {
+  return dayKey(new Date(new Date(key).getTime() + days * ONE_DAY_MS));
+}
+
+/**
+ * Baseline day for a period (its close is the opening value), as a YYYY-MM-DD key
+ */
+function getPeriodStart(period, today = dayKey(new Date())) {
+  switch (period) {
+    case '1D': return addDays(today, -1);
+    case '1W': return addDays(today, -7);
+    case '1M': return addDays(today, -30);
+    case 'YTD': return `${parseInt(today.slice(0, 4)) - 1}-12-31`;
+    case '1Y': return addDays(today, -365);
+    default: return null; // ALL: since inception
+  }
+}
+
+/**
+ * External cash flow a transaction represents, from the portfolio's point of view:
+ * positive = money put in, negative = money taken out.
+ * Trades, dividends, interest and fees only move money within the portfolio's cash.
+ */
+function ledgerFlow(t) {
+  switch (t.type) {
+    case 'deposit':
+    case 'transfer_in':
+      return t.amount || 0;
+    case 'withdrawal':
+    case 'transfer_out':
+      return -(t.amount || 0);
+    default: return 0;
+  }
+}
+
+/**
+ * Build a daily value/flow series by replaying transactions over closing prices.
+ * Days without a close (weekends, holidays) carry the last known price forward.
+ * Value includes each portfolio's cash; a buy its cash can't cover counts as money
+ * put in, the same implicit contribution the ledger replay makes.
+ * Price history is split-adjusted, so trades are restated in today's share terms
+ * (after later splits and ticker changes); spin-offs and stock mergers move shares
+ * on their effective date.
+ * Ledger amounts are in each portfolio's currency and prices in each symbol's trading
+ * currency; both are converted at the day's rate. localValue holds the day's prices
+ * at the previous day's rates, which isolates the currency effect.
+ * Cost is the open positions' cost basis plus cash at face value, as in snapshots.
+ * @param {Array} transactions - Ledger entries across the portfolios being measured
+ * @param {Object} historyBySymbol - { SYMBOL: [{ date, close }] } sorted ascending
+ * @param {Object} options
+ * @param {string} options.start - First day key (defaults to the first transaction)
+ * @param {string} options.end - Last day key (defaults to today)
+ * @param {Object} options.latestPrices - { SYMBOL: price } used for the last day
+ * @param {Array} options.actions - Corporate actions of the same portfolios
+ * @param {string} options.currency - Reporting currency
+ * @param {Object} options.currencies - { portfolios: { id: currency }, symbols: { SYMBOL: currency } }
+ * @param {Object} options.converter - From fx.createConverter (needed when currencies differ)
+ * @returns {Array} [{ date, value, localValue, cost, flow, inflow, outflow }]
+ */
+function buildDailySeries(transactions, historyBySymbol, {
+  start = null,
+  end = dayKey(new Date()),
+  latestPrices = {},
+  actions = [],
+  currency = 'USD',
+  currencies = {},
+  converter = null
+} = {}) {
+  const sorted = [...transactions].sort((a, b) =>
+    (new Date(a.executedAt) - new Date(b.executedAt)) ||
+    (new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+  );
+  if (sorted.length === 0) return [];
+
+  const actionsByPortfolio = {};
+  actions.forEach(a => {
+    (actionsByPortfolio[a.portfolioId] = actionsByPortfolio[a.portfolioId] || []).push(a);
+  });
+  const events = corporateActions.sortActions(actions.filter(a => a.type === 'spinoff' || a.type === 'stock_merger'));
+
+  const first = start || dayKey(sorted[0].executedAt);
+  const holdings = {}; // { portfolioId: { SYMBOL: shares } }
+  const cash = {};
+  const costBasis = {}; // { portfolioId: cost of open positions }
+  const lastPrice = {};
+  const cursors = {};
+  const series = [];
+  let txIndex = 0;
+  let eventIndex = 0;
+
+  const position = (portfolioId) => holdings[portfolioId] || (holdings[portfolioId] = {});
+
+  const portfolioCurrency = (portfolioId) => currencies.portfolios?.[portfolioId] || currency;
+  const symbolCurrency = (symbol) => currencies.symbols?.[symbol] || currency;
+  const rate = (from, to, day) => (from === to || !converter ? 1 : converter.rate(from, to, day));
+
+  const applyEvent = (action) => {
+    const portfolioActions = actionsByPortfolio[action.portfolioId] || [];
+    const shares = position(action.portfolioId);
+    const parent = corporateActions.splitFactor(portfolioActions, action.symbol, action.effectiveDate);
+    const child = corporateActions.splitFactor(portfolioActions, action.newSymbol, action.effectiveDate);
+    const held = (shares[parent.symbol] || 0) / parent.factor;
+
+    shares[child.symbol] = (shares[child.symbol] || 0) + held * action.ratio * child.factor;
+    if (action.type === 'stock_merger') shares[parent.symbol] = 0;
+  };
+
+  const priceOn = (symbol, day) => {
+    const history = historyBySymbol[symbol] || [];
+    let i = cursors[symbol] || 0;
+    while (i < history.length && dayKey(history[i].date) <= day) {
+      lastPrice[symbol] = history[i].close;
+      i++;
+    }
+    cursors[symbol] = i;
+
+    return day === end && latestPrices[symbol] > 0 ? latestPrices[symbol] : lastPrice[symbol];
+  };
+
+  for (let day = first; day <= end; day = addDays(day, 1)) {
+    let inflow = 0;
+    let outflow = 0;
+
+    for (;;) {
+      const event = events[eventIndex];
+      const t = sorted[txIndex];
+      const eventDay = event ? dayKey(event.effectiveDate) : null;
+
+      // Corporate actions take effect before the day's trades
+      if (event && eventDay <= day && (!t || eventDay <= dayKey(t.executedAt))) {
+        eventIndex++;
+        applyEvent(event);
+        continue;
+      }
+      if (!t || dayKey(t.executedAt) > day) break;
+      txIndex++;
+
+      let flow = ledgerFlow(t);
+
+      const balance = (cash[t.portfolioId] || 0) + cashEffect(t);
+      if (balance < -1e-6) flow -= balance;
+      cash[t.portfolioId] = Math.max(0, balance);
+      flow *= rate(portfolioCurrency(t.portfolioId), currency, day);
+
+      if (t.type === 'buy' || t.type === 'sell') {
+        const { symbol, factor } = corporateActions.splitFactor(actionsByPortfolio[t.portfolioId] || [], t.symbol, t.executedAt);
+        const shares = position(t.portfolioId);
+        const traded = (t.shares || 0) * factor;
+
+        shares[symbol] = (shares[symbol] || 0) + (t.type === 'buy' ? traded : -traded);
+        costBasis[t.portfolioId] = (costBasis[t.portfolioId] || 0) + (t.type === 'buy'
+          ? (t.shares || 0) * (t.price || 0) + (t.fees || 0)
+          : -(t.costBasis || 0));
+        if (t.price > 0) {
+          lastPrice[symbol] = (t.price / factor) * rate(portfolioCurrency(t.portfolioId), symbolCurrency(symbol), day);
+        }
+      }
+
+      // Entries before the series start only establish the opening position
+      if (dayKey(t.executedAt) < first) continue;
+      if (flow > 0) inflow += flow;
+      else outflow += flow;
+    }
+
+    const previous = addDays(day, -1);
+    let value = 0;
+    let localValue = 0;
+    let cost = 0;
+
+    for (const [portfolioId, balance] of Object.entries(cash)) {
+      value += balance * rate(portfolioCurrency(portfolioId), currency, day);
+      localValue += balance * rate(portfolioCurrency(portfolioId), currency, previous);
+    }
+    for (const portfolioId of new Set([...Object.keys(cash), ...Object.keys(costBasis)])) {
+      cost += ((cash[portfolioId] || 0) + Math.max(0, costBasis[portfolioId] || 0)) *
+        rate(portfolioCurrency(portfolioId), currency, day);
+    }
+    for (const shares of Object.values(holdings)) {
+      for (const [symbol, held] of Object.entries(shares)) {
+        if (symbol === CASH_SYMBOL || Math.abs(held) < 1e-9) continue;
+        const local = held * (priceOn(symbol, day) || 0);
+        value += local * rate(symbolCurrency(symbol), currency, day);
+        localValue += local * rate(symbolCurrency(symbol), currency, previous);
+      }
+    }
+
+    series.push({ date: day, value, localValue, cost, flow: inflow + outflow, inflow, outflow });
+  }
+
+  return series;
+}
+
+/**
+ * Daily time-weighted sub-period returns.
+ * Contributions are treated as arriving at the start of the day and withdrawals at the end,
+ * so opening and closing a position within the series are both measured.
+ * @param {Array} series
+ * @param {Object} options
+ * @param {boolean} options.local - Measure at unchanged exchange rates (local-market return)
+ */
+function dailyReturns(series, { local = false } = {}) {
+  const returns = [];
+
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1].value;
+    const { inflow, outflow, date } = series[i];
+    const value = local && series[i].localValue !== undefined ? series[i].localValue : series[i].value;
+    const base = prev + inflow;
+
+    returns.push({
+      date,
+      return: base > 0 ? (value - outflow) / base - 1 : 0
+    });
+  }
+
+  return returns;
+}
+
+/**
+ * Chain daily returns into a cumulative time-weighted return
+ */
+function timeWeightedReturn(series, options = {}) {
+  return dailyReturns(series, options).reduce((growth, r) => growth * (1 + r.return), 1) - 1;
+}
+
+/**
+ * Time-weighted growth of 1 at the end of each day of the series
+ * @returns {Object} { 'YYYY-MM-DD': level }
+ */
+function growthIndex(series) {
+  const index = {};
+  if (series.length === 0) return index;
+
+  let growth = 1;
+  index[series[0].date] = growth;
+  dailyReturns(series).forEach(r => {
+    growth *= 1 + r.return;
+    index[r.date] = growth;
+  });
+
+  return index;
+}
+
+/**
+ * Internal rate of return for irregular cash flows (annualized)
+ * @param {Array} cashflows - [{ date, amount }] investor view: contributions negative, withdrawals positive
+ * @returns {number|null}
+ */
+function xirr(cashflows) {
+  const flows = cashflows.filter(c => Math.abs(c.amount) > 1e-9);
+  if (flows.length < 2 || !flows.some(c => c.amount > 0) || !flows.some(c => c.amount < 0)) return null;
+
+  const t0 = new Date(flows[0].date).getTime();
+  const years = flows.map(c => (new Date(c.date).getTime() - t0) / (365 * ONE_DAY_MS));
+
+  const npv = (rate) => flows.reduce((sum, c, i) => sum + c.amount / Math.pow(1 + rate, years[i]), 0);
+  const dnpv = (rate) => flows.reduce((sum, c, i) => sum - years[i] * c.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton-Raphson first, bisection if it fails to converge
+  let rate = 0.1;
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate);
+    const derivative = dnpv(rate);
+    if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+
+    const next = rate - value / derivative;
+    if (next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-7) return mid;
+    if (npv(low) * value < 0) high = mid;
+    else low = mid;
+  }
+
+  return (low + high) / 2;
+}
+
+// Returns for periods under a year are not annualized
+function annualize(periodReturn, days) {
+  if (periodReturn === null || days < 365) return null;
+  return Math.pow(1 + periodReturn, 365 / days) - 1;
+}
+
+const toPercent = (value) => (value === null ? null : value * 100);
+
+/**
+ * TWR and XIRR for one period of a daily series
+ */
+function returnsForPeriod(series, period) {
+  if (series.length === 0) return null;
+
+  const end = series[series.length - 1].date;
+  const periodStart = getPeriodStart(period, end);
+  const openingIndex = periodStart ? series.findLastIndex(s => s.date <= periodStart) : -1;
+
+  // Periods reaching back past inception start from nothing on the first day
+  const opening = openingIndex >= 0 ? series[openingIndex] : { date: series[0].date, value: 0 };
+  const rest = series.slice(openingIndex + 1);
+  if (rest.length === 0) return null;
+
+  const closing = series[series.length - 1];
+  const days = Math.round((new Date(closing.date) - new Date(opening.date)) / ONE_DAY_MS);
+
+  const twr = timeWeightedReturn([opening, ...rest]);
+  const localReturn = timeWeightedReturn([opening, ...rest], { local: true });
+
+  const cashflows = [
+    ...(opening.value > 0 ? [{ date: opening.date, amount: -opening.value }] : []),
+    ...rest.filter(s => s.flow !== 0).map(s => ({ date: s.date, amount: -s.flow })),
+    { date: closing.date, amount: closing.value }
+  ];
+  const rate = xirr(cashflows);
+  const mwr = rate !== null ? Math.pow(1 + rate, Math.max(days, 1) / 365) - 1 : null;
+
+  return {
+    period,
+    startDate: opening.date,
+    endDate: closing.date,
+    days,
+    startValue: opening.value,
+    endValue: closing.value,
+    netFlows: rest.reduce((sum, s) => sum + s.flow, 0),
+    twr: toPercent(twr),
+    twrAnnualized: toPercent(annualize(twr, days)),
+    // (1 + twr) = (1 + localReturn) * (1 + currencyEffect)
+    localReturn: toPercent(localReturn),
+    currencyEffect: toPercent((1 + twr) / (1 + localReturn) - 1),
+    mwr: toPercent(mwr),
+    mwrAnnualized: days >= 365 ? toPercent(rate) : null
+  };
+}
+
+/**
+ * Load the daily valuation series for a set of portfolios
+ * @param {Array<string>} portfolioIds
+ * @param {Object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {Set} options.missingRates - Collects currencies converted without rates (see fx.createConverter)
+ */
+async function getDailySeries(portfolioIds, { currency = 'USD', missingRates } = {}) {
+  const transactions = await prisma.transaction.findMany({
+    where: { portfolioId: { in: portfolioIds } },
+    orderBy: { executedAt: 'asc' }
+  });
+
+  if (transactions.length === 0) return [];
+
+  const actions = await prisma.corporateAction.findMany({
+    where: { portfolioId: { in: portfolioIds }, effectiveDate: { lte: new Date() } }
+  });
+
+  const symbols = [...new Set([
+    ...transactions.map(t => t.symbol),
+    ...actions.map(a => a.newSymbol).filter(Boolean)
+  ])].filter(s => s !== CASH_SYMBOL);
+  const inception = new Date(transactions[0].executedAt);
+
+  const history = await prisma.stockHistory.findMany({
+    where: { symbol: { in: symbols }, date: { gte: new Date(inception.getTime() - 10 * ONE_DAY_MS) } },
+    select: { symbol: true, date: true, close: true },
+    orderBy: { date: 'asc' }
+  });
+
+  const historyBySymbol = {};
+  history.forEach(h => {
+    (historyBySymbol[h.symbol] = historyBySymbol[h.symbol] || []).push(h);
+  });
+
+  const quotes = await stockData.getQuotes(symbols);
+  const latestPrices = Object.fromEntries(Object.entries(quotes).map(([s, q]) => [s, q.price]));
+
+  const portfolios = await prisma.portfolio.findMany({
+    where: { id: { in: portfolioIds } },
+    select: { id: true, currency: true }
+  });
+  const currencies = {
+    portfolios: Object.fromEntries(portfolios.map(p => [p.id, p.currency])),
+    symbols: await fx.getSymbolCurrencies(symbols)
+  };
+  const converter = await fx.getConverter(
+    [currency, ...Object.values(currencies.portfolios), ...Object.values(currencies.symbols)],
+    { since: inception, missingRates }
+  );
+
+  return buildDailySeries(transactions, historyBySymbol, { latestPrices, actions, currency, currencies, converter });
+}
+
+/**
+ * Returns for the given portfolios over one or all periods
+ * @param {Array<string>} portfolioIds
+ * @param {string} period - One of PERIODS, or null for all of them
+ * @param {Object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {Set} options.missingRates - See getDailySeries
+ */
+async function getReturns(portfolioIds, period = null, { currency = 'USD', missingRates } = {}) {
+  const series = await getDailySeries(portfolioIds, { currency, missingRates });
+
+  if (period) return returnsForPeriod(series, period);
+
+  return Object.fromEntries(PERIODS.map(p => [p, returnsForPeriod(series, p)]));
+}
+
+module.exports = {
+  PERIODS,
+  dayKey,
+  addDays,
+  getPeriodStart,
+  ledgerFlow,
+  buildDailySeries,
+  dailyReturns,
+  timeWeightedReturn,
+  growthIndex,
+  xirr,
+  returnsForPeriod,
+  getDailySeries,
+  getReturns
+};
@@ -1,194 +1,225 @@
 const { PrismaClient } = require('@prisma/client');
 const stockData = require('./stockData');
+const fx = require('./fx');
+const performance = require('./performance');
 
 const prisma = new PrismaClient();
 
 /**
  * Portfolio Snapshot Service
- * Records and retrieves historical portfolio values for performance tracking
+ * Records and retrieves historical portfolio values for performance tracking.
+ * Snapshots are stored per portfolio in its own currency; the account-wide
+ * history is their sum in the user's primary currency.
  */
 
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
 /**
- * Record today's snapshot for a user
+ * Portfolios of a user with their holdings
+ */
+async function loadPortfolios(userId) {
+  const portfolios = await prisma.portfolio.findMany({
+    where: { userId },
+    include: { holdings: true }
+  });
+
+  // Portfolios with nothing in them have no snapshots to record
+  return portfolios.filter(p => p.holdings.length > 0 || p.cashBalance !== 0);
+}
+
+/**
+ * Record today's snapshot for each of a user's portfolios
+ * @returns {Array} The snapshots written
  */
 async function recordDailySnapshot(userId) {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    // Get all portfolios with holdings
-    const portfolios = await prisma.portfolio.findMany({
-      where: { userId },
-      include: { holdings: true }
-    });
+    const portfolios = await loadPortfolios(userId);
+    if (portfolios.length === 0) return [];
 
-    if (portfolios.length === 0) return null;
+    const symbols = [...new Set(portfolios.flatMap(p => p.holdings.map(h => h.symbol)))];
 
-    // Collect all symbols
-    const allHoldings = portfolios.flatMap(p => p.holdings);
-    if (allHoldings.length === 0) return null;
+    // Get current prices
+    const quotes = symbols.length > 0 ? await stockData.getQuotes(symbols) : {};
+    const symbolCurrencies = await fx.getSymbolCurrencies(symbols);
+    const converter = await fx.getConverter([
+      ...portfolios.map(p => p.currency),
+      ...Object.values(symbolCurrencies)
+    ]);
 
-    const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+    const snapshots = [];
 
-    // Get current prices
-    const quotes = await stockData.getQuotes(symbols);
-
-    // Calculate totals
-    let totalValue = 0;
-    let totalCost = 0;
-    let totalDayGain = 0;
-
-    allHoldings.forEach(h => {
-      const quote = quotes[h.symbol] || { price: h.avgCostBasis, changeAmount: 0 };
-      totalValue += h.shares * quote.price;
-      totalCost += h.shares * h.avgCostBasis;
-      totalDayGain += h.shares * (quote.changeAmount || 0);
-    });
+    for (const portfolio of portfolios) {
+      // Cash counts at face value in both value and cost
+      let totalValue = portfolio.cashBalance;
+      let totalCost = portfolio.cashBalance;
+      let dayGain = 0;
 
-    // Upsert snapshot
-    const snapshot = await prisma.portfolioSnapshot.upsert({
-      where: {
-        userId_date: { userId, date: today }
-      },
-      update: {
-        totalValue,
-        totalCost,
-        dayGain: totalDayGain
-      },
-      create: {
-        userId,
-        date: today,
-        totalValue,
-        totalCost,
-        dayGain: totalDayGain
-      }
-    });
+      portfolio.holdings.forEach(h => {
+        const rate = converter.rate(symbolCurrencies[h.symbol], portfolio.currency);
+        const quote = quotes[h.symbol];
+        const cost = h.shares * h.avgCostBasis;
+
+        totalValue += quote ? h.shares * quote.price * rate : cost;
+        totalCost += cost;
+        dayGain += quote ? h.shares * (quote.changeAmount || 0) * rate : 0;
+      });
 
-    console.log(`[Snapshot] Recorded for user ${userId}: $${totalValue.toFixed(2)}`);
-    return snapshot;
+      snapshots.push(await prisma.portfolioSnapshot.upsert({
+        where: {
+          portfolioId_date: { portfolioId: portfolio.id, date: today }
+        },
+        update: { totalValue, totalCost, dayGain },
+        create: { userId, portfolioId: portfolio.id, date: today, totalValue, totalCost, dayGain }
+      }));
+    }
+
+    console.log(`[Snapshot] Recorded ${snapshots.length} portfolio snapshots for user ${userId}`);
+    return snapshots;
   } catch (error) {
     console.error('[Snapshot Error]', error.message);
-    return null;
+    return [];
   }
 }
 
 /**
- * Get performance history for a user
- * @param {string} userId
- * @param {number} days - Number of days to fetch (default 365)
+ * Add up per-portfolio snapshots into one row per day, converting each at the
+ * day's rate. A portfolio without a row on a day counts at its last snapshot
+ * before it (with no day gain), so a missed daily record doesn't dip the total.
+ * @param {Array} snapshots - PortfolioSnapshot rows
+ * @param {Object} portfolioCurrencies - { portfolioId: currency }
+ * @param {string} currency - Currency to report in
+ * @param {Object} converter - From fx.createConverter
+ * @returns {Array} [{ date, totalValue, totalCost, dayGain }] ascending
  */
-async function getPerformanceHistory(userId, days = 365) {
+function combineSnapshots(snapshots, portfolioCurrencies, currency, converter) {
+  const byDate = {};
+  for (const s of snapshots) {
+    (byDate[dayKey(s.date)] = byDate[dayKey(s.date)] || []).push(s);
+  }
+
+  const latest = {};
+
+  return Object.keys(byDate).sort().map(day => {
+    const recorded = byDate[day];
+    recorded.forEach(s => { latest[s.portfolioId] = s; });
+
+    const row = { date: recorded[0].date, totalValue: 0, totalCost: 0, dayGain: 0 };
+    for (const s of Object.values(latest)) {
+      const rate = converter.rate(portfolioCurrencies[s.portfolioId] || currency, currency, day);
+      row.totalValue += s.totalValue * rate;
+      row.totalCost += s.totalCost * rate;
+      if (recorded.includes(s)) row.dayGain += s.dayGain * rate;
+    }
+    return row;
+  });
+}
+
+function historyStart(days) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   startDate.setHours(0, 0, 0, 0);
+  return startDate;
+}
 
-  const snapshots = await prisma.portfolioSnapshot.findMany({
+/**
+ * Get account-wide performance history for a user, in their primary currency
+ * @param {string} userId
+ * @param {number} days - Number of days to fetch (default 365)
+ * @param {Object} options
+ * @param {Set} options.missingRates - Collects currencies converted without rates (see fx.createConverter)
+ */
+async function getPerformanceHistory(userId, days = 365, { missingRates } = {}) {
+  const startDate = historyStart(days);
+
+  const [user, portfolios, snapshots] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { primaryCurrency: true } }),
+    prisma.portfolio.findMany({ where: { userId }, select: { id: true, currency: true } }),
+    prisma.portfolioSnapshot.findMany({
+      where: {
+        userId,
+        portfolioId: { not: null },
+        date: { gte: startDate }
+      },
+      orderBy: { date: 'asc' }
+    })
+  ]);
+
+  // Each portfolio's last snapshot before the window carries into its first days
+  const carried = await Promise.all(portfolios.map(p => prisma.portfolioSnapshot.findFirst({
+    where: { portfolioId: p.id, date: { lt: startDate } },
+    orderBy: { date: 'desc' }
+  })));
+  const openingRows = carried.filter(Boolean).map(s => ({ ...s, date: startDate, dayGain: 0 }));
+
+  const currency = user?.primaryCurrency || 'USD';
+  const portfolioCurrencies = Object.fromEntries(portfolios.map(p => [p.id, p.currency]));
+  const converter = await fx.getConverter([currency, ...portfolios.map(p => p.currency)], { since: startDate, missingRates });
+
+  return combineSnapshots([...openingRows, ...snapshots], portfolioCurrencies, currency, converter);
+}
+
+/**
+ * Get performance history for one portfolio, in its own currency
+ * @param {string} portfolioId
+ * @param {number} days - Number of days to fetch (default 365)
+ */
+async function getPortfolioHistory(portfolioId, days = 365) {
+  return prisma.portfolioSnapshot.findMany({
     where: {
-      userId,
-      date: { gte: startDate }
+      portfolioId,
+      date: { gte: historyStart(days) }
     },
     orderBy: { date: 'asc' }
   });
-
-  return snapshots;
 }
 
 /**
- * Generate historical snapshots based on stock history
- * Called when user first adds holdings to backfill data
+ * Backfill snapshots by replaying each portfolio's ledger over closing prices,
+ * so every day reflects the shares and cash actually held then. Covers each
+ * portfolio from its first transaction; days without a close (weekends,
+ * holidays) carry the last one forward.
+ * @param {string} userId
  */
-async function generateHistoricalSnapshots(userId, days = 365) {
+async function generateHistoricalSnapshots(userId) {
   try {
-    // Get all portfolios with holdings
     const portfolios = await prisma.portfolio.findMany({
       where: { userId },
-      include: { holdings: true }
+      select: { id: true, currency: true }
     });
 
-    const allHoldings = portfolios.flatMap(p => p.holdings);
-    if (allHoldings.length === 0) return [];
+    const snapshots = [];
 
-    const symbols = [...new Set(allHoldings.map(h => h.symbol))];
+    for (const portfolio of portfolios) {
+      const series = await performance.getDailySeries([portfolio.id], { currency: portfolio.currency });
 
-    // Fetch historical data for all symbols
-    const historicalData = {};
-    for (const symbol of symbols) {
-      const history = await prisma.stockHistory.findMany({
-        where: { symbol },
-        orderBy: { date: 'asc' },
-        take: days
-      });
-      historicalData[symbol] = history;
+      // Day gain is the change in value not explained by money moving in or out
+      const rows = series.map((day, i) => ({
+        userId,
+        portfolioId: portfolio.id,
+        date: new Date(day.date),
+        totalValue: day.value,
+        totalCost: day.cost,
+        dayGain: day.value - (i > 0 ? series[i - 1].value : 0) - day.flow
+      }));
+
+      // The replay replaces whatever was recorded over its range; an empty ledger clears it all
+      await prisma.$transaction([
+        prisma.portfolioSnapshot.deleteMany({
+          where: { portfolioId: portfolio.id, ...(rows.length > 0 && { date: { gte: rows[0].date } }) }
+        }),
+        prisma.portfolioSnapshot.createMany({ data: rows })
+      ]);
+
+      snapshots.push(...rows);
     }
 
-    // Generate snapshots for each day we have data
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const snapshots = [];
-
-    for (let i = days; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      date.setHours(0, 0, 0, 0);
-
-      let totalValue = 0;
-      let totalCost = 0;
-      let prevDayValue = 0;
-      let hasData = false;
-
-      for (const holding of allHoldings) {
-        const history = historicalData[holding.symbol] || [];
-
-        // Find the closest price for this date
-        const dayData = history.find(h => {
-          const hDate = new Date(h.date);
-          hDate.setHours(0, 0, 0, 0);
-          return hDate.getTime() === date.getTime();
-        });
-
-        if (dayData) {
-          hasData = true;
-          totalValue += holding.shares * dayData.close;
-          totalCost += holding.shares * holding.avgCostBasis;
-
-          // Find previous day for day gain calculation
-          const prevDate = new Date(date);
-          prevDate.setDate(prevDate.getDate() - 1);
-          const prevData = history.find(h => {
-            const hDate = new Date(h.date);
-            hDate.setHours(0, 0, 0, 0);
-            return hDate.getTime() === prevDate.getTime();
-          });
-          if (prevData) {
-            prevDayValue += holding.shares * prevData.close;
-          } else {
-            prevDayValue += holding.shares * dayData.close;
-          }
-        } else {
-          // Use cost basis if no historical data
-          totalValue += holding.shares * holding.avgCostBasis;
-          totalCost += holding.shares * holding.avgCostBasis;
-          prevDayValue += holding.shares * holding.avgCostBasis;
-        }
-      }
-
-      if (hasData || i === 0) {
-        const dayGain = totalValue - prevDayValue;
-
-        try {
-          const snapshot = await prisma.portfolioSnapshot.upsert({
-            where: {
-              userId_date: { userId, date }
-            },
-            update: { totalValue, totalCost, dayGain },
-            create: { userId, date, totalValue, totalCost, dayGain }
-          });
-          snapshots.push(snapshot);
-        } catch (err) {
-          // Skip duplicate errors
-        }
-      }
-    }
+    // Account-wide rows from before per-portfolio snapshots are superseded by the replay
+    await prisma.portfolioSnapshot.deleteMany({ where: { userId, portfolioId: null } });
 
     console.log(`[Snapshot] Generated ${snapshots.length} historical snapshots for user ${userId}`);
     return snapshots;
@@ -198,6 +229,25 @@ async function generateHistoricalSnapshots(userId, days = 365) {
   }
 }
 
+/**
+ * Replace account-wide snapshots left from before snapshots were stored per
+ * portfolio, by replaying the ledger of each user who still has them
+ */
+async function migrateLegacySnapshots() {
+  const legacy = await prisma.portfolioSnapshot.findMany({
+    where: { portfolioId: null },
+    distinct: ['userId'],
+    select: { userId: true }
+  });
+  if (legacy.length === 0) return;
+
+  console.log(`[Snapshot] Backfilling per-portfolio snapshots for ${legacy.length} users`);
+
+  for (const { userId } of legacy) {
+    await generateHistoricalSnapshots(userId);
+  }
+}
+
 /**
  * Record snapshots for all users (for scheduled jobs)
  */
@@ -216,7 +266,10 @@ async function recordAllUserSnapshots() {
 
 module.exports = {
   recordDailySnapshot,
+  combineSnapshots,
   getPerformanceHistory,
+  getPortfolioHistory,
   generateHistoricalSnapshots,
+  migrateLegacySnapshots,
   recordAllUserSnapshots
 };
@@ -0,0 +1,44 @@
+const { getJson, apiError } = require('./http');
+
+/**
+ * Alpha Vantage - quotes only; the free tier's daily request cap makes it the last resort
+ */
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+async function quote(symbol, { apiKey }) {
+  const body = await getJson(BASE_URL, {
+    params: { function: 'GLOBAL_QUOTE', symbol, apikey: apiKey }
+  });
+
+  // Quota messages arrive as 200 with a Note or Information field
+  if (body?.Note || body?.Information) throw apiError(body.Note || body.Information, 429);
+
+  const data = body?.['Global Quote'];
+  if (!data || !data['05. price']) return null;
+
+  return {
+    symbol: data['01. symbol'],
+    name: symbol,
+    price: parseFloat(data['05. price']),
+    previousClose: parseFloat(data['08. previous close']),
+    open: parseFloat(data['02. open']),
+    high: parseFloat(data['03. high']),
+    low: parseFloat(data['04. low']),
+    volume: parseInt(data['06. volume']),
+    marketCap: null,
+    changeAmount: parseFloat(data['09. change']),
+    changePercent: parseFloat(data['10. change percent']?.replace('%', ''))
+  };
+}
+
+module.exports = {
+  name: 'alphavantage',
+  label: 'AlphaVantage',
+  envPrefix: 'ALPHA_VANTAGE',
+  requiresKey: true,
+  types: ['equity', 'etf'],
+  priority: { quote: 50 },
+  budget: [{ limit: 5, interval: 'minute' }, { limit: 25, interval: 'day' }],
+  quote
+};
@@ -0,0 +1,55 @@
+const { getJson } = require('./http');
+
+/**
+ * Finnhub - quotes and company profiles for US-listed stocks and ETFs
+ */
+
+const BASE_URL = 'https://finnhub.io/api/v1';
+
+async function quote(symbol, { apiKey }) {
+  const data = await getJson(`${BASE_URL}/quote`, { params: { symbol, token: apiKey } });
+  if (!data || !(data.c > 0)) return null;
+
+  return {
+    symbol,
+    name: symbol, // Finnhub quote doesn't return name
+    price: data.c, // current
+    previousClose: data.pc, // previous close
+    open: data.o,
+    high: data.h,
+    low: data.l,
+    volume: null,
+    marketCap: null,
+    changeAmount: data.d, // change
+    changePercent: data.dp // change percent
+  };
+}
+
+async function profile(symbol, { apiKey }) {
+  const data = await getJson(`${BASE_URL}/stock/profile2`, { params: { symbol, token: apiKey } });
+  if (!data || !data.name) return null;
+
+  return {
+    name: data.name,
+    exchange: data.exchange,
+    industry: data.finnhubIndustry,
+    country: data.country,
+    website: data.weburl,
+    logoUrl: data.logo,
+    marketCap: data.marketCapitalization ? data.marketCapitalization * 1e6 : null, // reported in millions
+    currency: data.currency,
+    assetClass: 'equity'
+  };
+}
+
+module.exports = {
+  name: 'finnhub',
+  label: 'Finnhub',
+  envPrefix: 'FINNHUB',
+  requiresKey: true,
+  types: ['equity', 'etf'],
+  priority: { quote: 20, profile: 20 },
+  budget: [{ limit: 60, interval: 'minute' }],
+  quote,
+  profile
+};
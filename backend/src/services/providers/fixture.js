@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const instruments = require('../instruments');
+const { delay, dayKey } = require('./http');
+
+/**
+ * Fixture provider - deterministic, offline market data for development and tests.
+ *
+ * Symbols with a file in the fixtures directory (<SYMBOL>.json, any of
+ * { name, type, exchange, currency, basePrice, volatility, quote, history,
+ * profile, dividend }) are served from it; whatever the file leaves out comes
+ * from a seeded random walk, so any symbol has a stable price on any day.
+ *
+ * It can also misbehave on purpose, to exercise the fallback chain:
+ *   FIXTURE_LATENCY_MS     Delay per call: "200" or a "100-400" range
+ *   FIXTURE_FAILURE_RATE   Share of calls (0-1) that throw
+ *   FIXTURE_FAIL_SYMBOLS   Comma list of symbols that always fail
+ *   FIXTURE_RATE_LIMIT     Calls per minute before answering like an HTTP 429
+ *   FIXTURE_SEED           Seed for the walk and the simulated failures
+ *   MARKET_DATA_FIXTURES_DIR  Where the fixture files live (default backend/fixtures/market)
+ *
+ * Off unless selected (MARKET_DATA_PROVIDERS=fixture or FIXTURE_ENABLED=true).
+ * More instances with their own settings can be registered through
+ * createFixtureProvider, e.g. a flaky one ahead of a healthy one.
+ */
+
+const DEFAULT_DIR = path.join(__dirname, '../../../fixtures/market');
+const WALK_START = '2015-01-01';
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Walk defaults per instrument type; bonds quote in percent of par
+const WALK_DEFAULTS = {
+  equity: { volatility: 0.018, volume: 5e6 },
+  etf: { volatility: 0.011, volume: 8e6 },
+  fund: { volatility: 0.009, volume: 0 },
+  crypto: { volatility: 0.035, volume: 2e4 },
+  bond: { volatility: 0.003, volume: 0, basePrice: 100 }
+};
+
+// Mean reversion toward the base price keeps decade-long walks within a plausible band
+const REVERSION = 0.01;
+
+// Units per USD the FX walk centres on
+const FX_BASE_RATES = {
+  EUR: 0.92, GBP: 0.79, JPY: 150, CAD: 1.36, AUD: 1.52, CHF: 0.88,
+  HKD: 7.8, SEK: 10.5, NOK: 10.6, DKK: 6.9, ZAR: 18.5, ILS: 3.7
+};
+
+const SECTORS = ['Technology', 'Healthcare', 'Financial Services', 'Consumer Cyclical', 'Industrials',
+  'Energy', 'Consumer Defensive', 'Utilities', 'Real Estate', 'Communication Services', 'Basic Materials'];
+
+// Searchable without any fixture files
+const CATALOG = [
+  { symbol: 'AAPL', name: 'Apple Inc.', exchange: 'NASDAQ', type: 'equity', basePrice: 190 },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', exchange: 'NASDAQ', type: 'equity', basePrice: 420 },
+  { symbol: 'GOOGL', name: 'Alphabet Inc.', exchange: 'NASDAQ', type: 'equity', basePrice: 165 },
+  { symbol: 'AMZN', name: 'Amazon.com, Inc.', exchange: 'NASDAQ', type: 'equity', basePrice: 185 },
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', exchange: 'NASDAQ', type: 'equity', basePrice: 120 },
+  { symbol: 'JNJ', name: 'Johnson & Johnson', exchange: 'NYSE', type: 'equity', basePrice: 155 },
+  { symbol: 'JPM', name: 'JPMorgan Chase & Co.', exchange: 'NYSE', type: 'equity', basePrice: 210 },
+  { symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust', exchange: 'NYSEARCA', type: 'etf', basePrice: 560 },
+  { symbol: 'QQQ', name: 'Invesco QQQ Trust', exchange: 'NASDAQ', type: 'etf', basePrice: 480 },
+  { symbol: 'VTI', name: 'Vanguard Total Stock Market ETF', exchange: 'NYSEARCA', type: 'etf', basePrice: 275 },
+  { symbol: 'BND', name: 'Vanguard Total Bond Market ETF', exchange: 'NASDAQ', type: 'etf', basePrice: 73 },
+  { symbol: 'VFIAX', name: 'Vanguard 500 Index Fund Admiral Shares', exchange: 'NAS', type: 'fund', basePrice: 510 },
+  { symbol: 'FXAIX', name: 'Fidelity 500 Index Fund', exchange: 'NAS', type: 'fund', basePrice: 195 },
+  { symbol: 'BTC-USD', name: 'Bitcoin USD', exchange: 'CCC', type: 'crypto', basePrice: 60000 },
+  { symbol: 'ETH-USD', name: 'Ethereum USD', exchange: 'CCC', type: 'crypto', basePrice: 2600 }
+];
+
+// FNV-1a
+function hash(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and the same sequence on every platform
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Standard normal (Box-Muller)
+  next.normal = () => Math.sqrt(-2 * Math.log(next() || 1e-12)) * Math.cos(2 * Math.PI * next());
+  return next;
+}
+
+function parseLatency(value) {
+  if (value === undefined || value === null || value === '') return [0, 0];
+  if (Array.isArray(value)) return value.map(Number);
+  const [min, max = min] = String(value).split('-').map(Number);
+  return [min || 0, max || 0];
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return (value || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Days a walk covers: every day for crypto, weekdays otherwise
+ */
+function walkDays(from, to, everyDay) {
+  const days = [];
+  for (let t = new Date(`${from}T00:00:00Z`).getTime(); t <= new Date(`${to}T00:00:00Z`).getTime(); t += ONE_DAY_MS) {
+    const weekday = new Date(t).getUTCDay();
+    if (everyDay || (weekday !== 0 && weekday !== 6)) days.push(dayKey(t));
+  }
+  return days;
+}
+
+/**
+ * @param {Object} options - name, label, priority, enabled, dir, seed, latencyMs,
+ *   failureRate, failSymbols, rateLimit; the simulation settings left out are read
+ *   from the FIXTURE_* environment
+ */
+function createFixtureProvider(options = {}) {
+  let settings = null;
+  let random = null;
+  const fixtures = {};
+  const walks = {};
+  const calls = [];
+
+  const config = () => {
+    if (settings) return settings;
+
+    const env = process.env;
+    settings = {
+      dir: options.dir || env.MARKET_DATA_FIXTURES_DIR || DEFAULT_DIR,
+      seed: String(options.seed ?? env.FIXTURE_SEED ?? 'wealthpilot'),
+      latency: parseLatency(options.latencyMs ?? env.FIXTURE_LATENCY_MS),
+      failureRate: Number(options.failureRate ?? env.FIXTURE_FAILURE_RATE) || 0,
+      failSymbols: parseList(options.failSymbols ?? env.FIXTURE_FAIL_SYMBOLS),
+      rateLimit: parseInt(options.rateLimit ?? env.FIXTURE_RATE_LIMIT) || 0
+    };
+    random = createRandom(hash(`${settings.seed}:failures:${options.name || 'fixture'}`));
+    return settings;
+  };
+
+  function readFixture(symbol) {
+    if (fixtures[symbol] !== undefined) return fixtures[symbol];
+
+    const file = path.join(config().dir, `${symbol}.json`);
+    try {
+      fixtures[symbol] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    } catch (error) {
+      console.log(`[Fixture] Could not read ${file}: ${error.message}`);
+      fixtures[symbol] = null;
+    }
+    return fixtures[symbol];
+  }
+
+  function listFixtures() {
+    try {
+      return fs.readdirSync(config().dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.slice(0, -5).toUpperCase());
+    } catch {
+      return [];
+    }
+  }
+
+  function describe(symbol) {
+    const fixture = readFixture(symbol) || {};
+    const listed = CATALOG.find(c => c.symbol === symbol);
+    const type = fixture.type || listed?.type || instruments.guessInstrumentType(symbol);
+    const defaults = WALK_DEFAULTS[type] || WALK_DEFAULTS.equity;
+    const h = hash(`${config().seed}:${symbol}`);
+
+    return {
+      symbol,
+      type,
+      name: fixture.name || listed?.name || `${symbol} (fixture)`,
+      exchange: fixture.exchange || listed?.exchange || 'FIXTURE',
+      currency: fixture.currency || 'USD',
+      basePrice: fixture.basePrice || listed?.basePrice || defaults.basePrice || 20 + (h % 48000) / 100,
+      volatility: fixture.volatility || defaults.volatility,
+      volume: defaults.volume,
+      fixture
+    };
+  }
+
+  /**
+   * Daily OHLCV walk from WALK_START through today, extended as the days pass.
+   * Every value depends only on the seed, the symbol and the day.
+   */
+  function walk(symbol) {
+    const today = dayKey(new Date());
+    const cached = walks[symbol];
+    if (cached && cached.through === today) return cached;
+
+    const info = describe(symbol);
+    const rng = createRandom(hash(`${config().seed}:walk:${symbol}`));
+    const logBase = Math.log(info.basePrice);
+    const nav = info.type === 'fund' || info.type === 'bond';
+
+    let logClose = logBase;
+    const rows = walkDays(WALK_START, today, info.type === 'crypto').map(date => {
+      const previous = Math.exp(logClose);
+      logClose += REVERSION * (logBase - logClose) + info.volatility * rng.normal();
+      const close = Math.exp(logClose);
+      const open = nav ? close : previous * (1 + info.volatility * 0.3 * rng.normal());
+      const spread = nav ? 0 : Math.abs(rng.normal()) * info.volatility * 0.5;
+
+      return {
+        date,
+        open,
+        high: Math.max(open, close) * (1 + spread),
+        low: Math.min(open, close) * (1 - spread),
+        close,
+        adjClose: close,
+        volume: Math.round(info.volume * (1 + 0.3 * Math.abs(rng.normal())))
+      };
+    });
+
+    walks[symbol] = { through: today, info, rows };
+    return walks[symbol];
+  }
+
+  /**
+   * Latency, then the simulated failures, before every call
+   */
+  async function simulate(symbol) {
+    const { latency, failureRate, failSymbols, rateLimit } = config();
+
+    const [min, max] = latency;
+    if (max > 0) await delay(min + random() * (max - min));
+
+    if (rateLimit > 0) {
+      const now = Date.now();
+      while (calls.length > 0 && now - calls[0] >= 60000) calls.shift();
+      if (calls.length >= rateLimit) {
+        // Shaped like an axios error so callers can treat it like the real thing
+        const error = new Error('Request failed with status code 429');
+        error.code = 'ERR_BAD_REQUEST';
+        error.response = {
+          status: 429,
+          headers: { 'retry-after': String(Math.ceil((60000 - (now - calls[0])) / 1000)) },
+          data: { error: 'Too many requests' }
+        };
+        throw error;
+      }
+      calls.push(now);
+    }
+
+    if (symbol && failSymbols.includes(String(symbol).toUpperCase())) {
+      const error = new Error(`Simulated failure for ${symbol}`);
+      error.code = 'SIMULATED_FAILURE';
+      throw error;
+    }
+
+    if (failureRate > 0 && random() < failureRate) {
+      const error = new Error('Simulated provider failure');
+      error.code = 'SIMULATED_FAILURE';
+      throw error;
+    }
+  }
+
+  function quoteFor(symbol) {
+    const { info, rows } = walk(symbol);
+    const last = rows[rows.length - 1];
+    const previous = rows[rows.length - 2] || last;
+    const fixed = info.fixture.quote || {};
+
+    const price = fixed.price ?? last.close;
+    const previousClose = fixed.previousClose ?? previous.close;
+
+    return {
+      symbol,
+      name: info.name,
+      price,
+      previousClose,
+      open: fixed.open ?? last.open,
+      high: fixed.high ?? Math.max(last.high, price),
+      low: fixed.low ?? Math.min(last.low, price),
+      volume: fixed.volume ?? last.volume,
+      marketCap: fixed.marketCap ?? (info.type === 'equity' ? Math.round(price * 1e9) : null),
+      changeAmount: fixed.changeAmount ?? price - previousClose,
+      changePercent: fixed.changePercent ?? (previousClose > 0 ? ((price - previousClose) / previousClose) * 100 : 0)
+    };
+  }
+
+  async function quote(symbol) {
+    await simulate(symbol);
+    return quoteFor(symbol);
+  }
+
+  // One simulated request for the whole batch; failing symbols are left out
+  async function quotes(symbols) {
+    await simulate(null);
+
+    const { failSymbols } = config();
+    return Object.fromEntries(symbols
+      .filter(symbol => !failSymbols.includes(symbol.toUpperCase()))
+      .map(symbol => [symbol, quoteFor(symbol)]));
+  }
+
+  async function history(symbol, { from, to }) {
+    await simulate(symbol);
+
+    const info = describe(symbol);
+    const start = dayKey(from);
+    const end = dayKey(to);
+    const rows = Array.isArray(info.fixture.history) ? info.fixture.history : walk(symbol).rows;
+
+    return rows
+      .filter(row => dayKey(row.date) >= start && dayKey(row.date) <= end)
+      .map(row => ({
+        date: new Date(dayKey(row.date)),
+        open: row.open ?? row.close,
+        high: row.high ?? row.close,
+        low: row.low ?? row.close,
+        close: row.close,
+        adjClose: row.adjClose ?? row.close,
+        volume: row.volume || 0
+      }));
+  }
+
+  async function search(query) {
+    await simulate(null);
+
+    const q = String(query).trim().toLowerCase();
+    const entries = [
+      ...listFixtures().map(symbol => describe(symbol)),
+      ...CATALOG
+    ];
+
+    const seen = new Set();
+    return entries
+      .filter(e => !seen.has(e.symbol) && seen.add(e.symbol))
+      .filter(e => e.symbol.toLowerCase().startsWith(q) || e.name.toLowerCase().includes(q))
+      .map(e => ({ symbol: e.symbol, name: e.name, exchange: e.exchange, type: e.type }));
+  }
+
+  async function profile(symbol) {
+    await simulate(symbol);
+
+    const info = describe(symbol);
+    const h = hash(`${config().seed}:profile:${symbol}`);
+    const generated = {
+      name: info.name,
+      exchange: info.exchange,
+      currency: info.currency,
+      assetClass: info.type,
+      country: 'United States',
+      ...(info.type === 'equity' && {
+        sector: SECTORS[h % SECTORS.length],
+        industry: `${SECTORS[h % SECTORS.length]} (fixture)`,
+        employees: 1000 + (h % 200000),
+        marketCap: Math.round(info.basePrice * 1e9)
+      })
+    };
+
+    return { ...generated, ...(info.fixture.profile || {}) };
+  }
+
+  async function dividend(symbol) {
+    await simulate(symbol);
+
+    const info = describe(symbol);
+    if (info.fixture.dividend) return info.fixture.dividend;
+
+    // Stocks and ETFs yield 0-3%; funds, crypto and bonds (coupons are modelled separately) pay nothing here
+    const payer = info.type === 'equity' || info.type === 'etf';
+    const dividendYield = payer ? (hash(`${config().seed}:dividend:${symbol}`) % 300) / 100 : 0;
+    const { rows } = walk(symbol);
+
+    return {
+      dividend: (rows[rows.length - 1].close * dividendYield) / 100,
+      dividendYield
+    };
+  }
+
+  /**
+   * Units of a currency per USD for each day in the range
+   */
+  async function fxRates(currency, { from, to }) {
+    await simulate(currency);
+
+    const base = FX_BASE_RATES[currency] || 1;
+    const rng = createRandom(hash(`${config().seed}:fx:${currency}`));
+    const start = dayKey(from);
+    const end = dayKey(to);
+
+    let logRate = Math.log(base);
+    return walkDays(WALK_START, dayKey(new Date()), false)
+      .map(date => {
+        logRate += REVERSION * (Math.log(base) - logRate) + 0.004 * rng.normal();
+        return { date, rate: Math.exp(logRate) };
+      })
+      .filter(row => row.date >= start && row.date <= end);
+  }
+
+  return {
+    name: options.name || 'fixture',
+    label: options.label || options.name || 'Fixture',
+    requiresKey: false,
+    enabled: options.enabled ?? false,
+    offline: true,
+    types: Object.keys(instruments.INSTRUMENT_TYPES),
+    priority: options.priority ?? 200,
+    batchSize: 100,
+    quote,
+    quotes,
+    history,
+    search,
+    profile,
+    dividend,
+    fxRates
+  };
+}
+
+module.exports = {
+  createFixtureProvider
+};
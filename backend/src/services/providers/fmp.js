@@ -0,0 +1,116 @@
+const instruments = require('../instruments');
+const { getJson, apiError, delay, dayKey } = require('./http');
+
+/**
+ * Financial Modeling Prep - quotes, daily history, company profiles and dividends
+ */
+
+const BASE_URL = 'https://financialmodelingprep.com/api/v3';
+
+// Key and quota problems come back as 200 with an "Error Message"
+async function get(endpoint, params, options = {}) {
+  const data = await getJson(`${BASE_URL}${endpoint}`, { ...options, params });
+  if (data?.['Error Message']) {
+    throw apiError(data['Error Message'], /limit/i.test(data['Error Message']) ? 429 : 401);
+  }
+  return data;
+}
+
+function toQuote(data, symbol) {
+  return {
+    symbol: data.symbol,
+    name: data.name || symbol,
+    price: data.price,
+    previousClose: data.previousClose,
+    open: data.open,
+    high: data.dayHigh,
+    low: data.dayLow,
+    volume: data.volume,
+    marketCap: data.marketCap,
+    changeAmount: data.change,
+    changePercent: data.changesPercentage
+  };
+}
+
+async function quote(symbol, { apiKey }) {
+  const data = (await get(`/quote/${symbol}`, { apikey: apiKey }))?.[0];
+  return data ? toQuote(data, symbol) : null;
+}
+
+// Comma-separated symbols in one request
+async function quotes(symbols, { apiKey }) {
+  const rows = await get(`/quote/${symbols.map(encodeURIComponent).join(',')}`, { apikey: apiKey });
+  return Object.fromEntries((rows || []).map(data => [data.symbol, toQuote(data, data.symbol)]));
+}
+
+async function history(symbol, { from, to }, { apiKey }) {
+  await delay(1000); // Rate limit protection
+
+  const data = await get(`/historical-price-full/${symbol}`,
+    { from: dayKey(from), to: dayKey(to), apikey: apiKey },
+    { timeout: 30000 });
+  if (!data?.historical) return null;
+
+  return data.historical.map(row => ({
+    date: new Date(row.date),
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    adjClose: row.adjClose || row.close,
+    volume: Number(row.volume) || 0
+  }));
+}
+
+async function profile(symbol, { apiKey }) {
+  const data = (await get(`/profile/${symbol}`, { apikey: apiKey }))?.[0];
+  if (!data) return null;
+
+  return {
+    name: data.companyName,
+    exchange: data.exchangeShortName,
+    sector: data.sector,
+    industry: data.industry,
+    country: data.country,
+    description: data.description,
+    employees: parseInt(data.fullTimeEmployees) || null,
+    website: data.website,
+    logoUrl: data.image,
+    marketCap: data.mktCap,
+    currency: data.currency,
+    assetClass: data.isEtf ? 'etf' : data.isFund ? 'fund' : 'equity'
+  };
+}
+
+async function dividend(symbol, { apiKey }) {
+  const data = (await get(`/profile/${symbol}`, { apikey: apiKey }))?.[0];
+  if (!data || data.lastDiv === undefined || data.lastDiv === null) return null;
+
+  return {
+    dividend: data.lastDiv,
+    dividendYield: data.price > 0 ? (data.lastDiv / data.price) * 100 : null
+  };
+}
+
+// Crypto pairs without the dash (BTCUSD)
+function symbolFor(symbol, instrument) {
+  const pair = instruments.cryptoPair(symbol, instrument);
+  return pair ? `${pair.base}${pair.quote}` : symbol;
+}
+
+module.exports = {
+  name: 'fmp',
+  label: 'FMP',
+  envPrefix: 'FMP',
+  requiresKey: true,
+  types: ['equity', 'etf', 'fund', 'crypto'],
+  priority: { quote: 10, history: 30, profile: 10, dividend: 10 },
+  budget: [{ limit: 250, interval: 'day' }],
+  batchSize: 100,
+  symbolFor,
+  quote,
+  quotes,
+  history,
+  profile,
+  dividend
+};
@@ -0,0 +1,29 @@
+const { getJson, dayKey } = require('./http');
+
+/**
+ * Frankfurter (ECB reference rates, no key) - daily exchange rates only
+ */
+
+const BASE_URL = 'https://api.frankfurter.app';
+
+async function fxRates(currency, { from, to }) {
+  const data = await getJson(`${BASE_URL}/${dayKey(from)}..${dayKey(to)}`, {
+    params: { from: 'USD', to: currency },
+    timeout: 15000
+  });
+  if (!data?.rates) return null;
+
+  return Object.entries(data.rates)
+    .filter(([, rates]) => rates[currency] > 0)
+    .map(([date, rates]) => ({ date, rate: rates[currency] }));
+}
+
+module.exports = {
+  name: 'frankfurter',
+  label: 'Frankfurter',
+  requiresKey: false,
+  priority: { fxRates: 10 },
+  // No published limit; rates change once a day, so this is plenty
+  budget: [{ limit: 60, interval: 'minute' }],
+  fxRates
+};
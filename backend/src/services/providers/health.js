@@ -0,0 +1,253 @@
+/**
+ * Provider Health
+ * Per-provider circuit breaker, request budgets and call statistics.
+ *
+ * Breaker: closed -> open after FAILURE_THRESHOLD failures in a row (or at once
+ * on an HTTP 429); open providers are skipped until the cooldown ends, then one
+ * trial call runs half-open. Success closes the circuit, failure reopens it
+ * with the cooldown doubled (up to MAX_COOLDOWN_MS).
+ *
+ * Budgets are token buckets, one per limit ({ limit, interval }), refilled
+ * continuously; a call needs a token from every bucket.
+ */
+
+const FAILURE_THRESHOLD = 5;
+const BASE_COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 15 * 60 * 1000;
+const LATENCY_SAMPLES = 500;
+
+const INTERVALS_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const states = {};
+
+/**
+ * "8/minute,800/day" -> [{ limit: 8, interval: 'minute' }, { limit: 800, interval: 'day' }]
+ * @returns {Array|null} Null when the spec is empty or unreadable
+ */
+function parseBudget(spec) {
+  if (!spec) return null;
+
+  const budgets = String(spec).split(',').map(part => {
+    const [limit, interval] = part.trim().split('/');
+    return { limit: parseInt(limit), interval: (interval || '').trim().replace(/s$/, '') };
+  });
+
+  return budgets.every(b => b.limit > 0 && INTERVALS_MS[b.interval]) ? budgets : null;
+}
+
+/**
+ * Set up (or reset) tracking for a provider
+ * @param {string} name
+ * @param {Array} budgets - [{ limit, interval }], empty for unlimited
+ */
+function track(name, budgets = []) {
+  const now = Date.now();
+
+  states[name] = {
+    breaker: { state: 'closed', failures: 0, cooldownMs: BASE_COOLDOWN_MS, openUntil: null, trialInFlight: false },
+    buckets: budgets.map(b => ({
+      limit: b.limit,
+      interval: b.interval,
+      tokens: b.limit,
+      refillPerMs: b.limit / INTERVALS_MS[b.interval],
+      updatedAt: now
+    })),
+    stats: {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      skippedOpen: 0,
+      skippedBudget: 0,
+      latencies: [],
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }
+  };
+
+  return states[name];
+}
+
+function stateOf(name) {
+  return states[name] || track(name);
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.limit, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+  bucket.updatedAt = now;
+}
+
+function breakerState(breaker, now) {
+  if (breaker.state === 'open' && now >= breaker.openUntil) return 'half_open';
+  return breaker.state;
+}
+
+/**
+ * Why a call to the provider would be refused right now, or null if it may go ahead
+ */
+function blockedBy(name, now = Date.now()) {
+  const { breaker, buckets } = stateOf(name);
+
+  const state = breakerState(breaker, now);
+  if (state === 'open' || (state === 'half_open' && breaker.trialInFlight)) return 'circuit_open';
+
+  buckets.forEach(b => refill(b, now));
+  if (buckets.some(b => b.tokens < 1)) return 'budget_exhausted';
+
+  return null;
+}
+
+/**
+ * Count a call that was not made
+ * @param {string} reason - From blockedBy
+ */
+function recordSkip(name, reason) {
+  const { stats } = stateOf(name);
+  if (reason === 'circuit_open') stats.skippedOpen += 1;
+  if (reason === 'budget_exhausted') stats.skippedBudget += 1;
+}
+
+/**
+ * Take a slot for one call: a token from each bucket, and the trial slot when
+ * half-open. Refusals are counted.
+ * @returns {boolean} Whether the call may go ahead
+ */
+function acquire(name) {
+  const now = Date.now();
+  const { breaker, buckets } = stateOf(name);
+
+  const blocked = blockedBy(name, now);
+  if (blocked) {
+    recordSkip(name, blocked);
+    return false;
+  }
+
+  buckets.forEach(b => { b.tokens -= 1; });
+  if (breakerState(breaker, now) === 'half_open') {
+    breaker.state = 'half_open';
+    breaker.trialInFlight = true;
+  }
+  return true;
+}
+
+function recordLatency(stats, ms) {
+  stats.latencies.push(ms);
+  if (stats.latencies.length > LATENCY_SAMPLES) stats.latencies.shift();
+}
+
+function recordSuccess(name, ms) {
+  const { breaker, stats } = stateOf(name);
+
+  stats.calls += 1;
+  stats.successes += 1;
+  stats.lastSuccessAt = new Date();
+  recordLatency(stats, ms);
+
+  if (breaker.state !== 'closed') {
+    console.log(`[Providers] ${name} recovered, circuit closed`);
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.cooldownMs = BASE_COOLDOWN_MS;
+  breaker.openUntil = null;
+  breaker.trialInFlight = false;
+}
+
+// Seconds from a Retry-After header, if the error carries one
+function retryAfterMs(error) {
+  const seconds = parseInt(error?.response?.headers?.['retry-after']);
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Count a failed call and trip the breaker when warranted
+ * @returns {boolean} True when this failure opened the circuit (worth logging once)
+ */
+function recordFailure(name, ms, error) {
+  const now = Date.now();
+  const { breaker, buckets, stats } = stateOf(name);
+  const rateLimited = error?.response?.status === 429;
+
+  stats.calls += 1;
+  stats.failures += 1;
+  stats.lastFailureAt = new Date(now);
+  stats.lastError = error?.message || String(error);
+  recordLatency(stats, ms);
+
+  breaker.failures += 1;
+  const wasTrial = breaker.state === 'half_open';
+  breaker.trialInFlight = false;
+
+  // The provider says the quota is gone: empty the buckets so the budget agrees
+  if (rateLimited) buckets.forEach(b => { b.tokens = 0; b.updatedAt = now; });
+
+  if (!wasTrial && !rateLimited && breaker.failures < FAILURE_THRESHOLD) return false;
+
+  if (wasTrial) breaker.cooldownMs = Math.min(breaker.cooldownMs * 2, MAX_COOLDOWN_MS);
+  const cooldown = Math.max(breaker.cooldownMs, (rateLimited && retryAfterMs(error)) || 0);
+
+  breaker.state = 'open';
+  breaker.openUntil = now + cooldown;
+  return true;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return Math.round(sorted[Math.max(0, index)]);
+}
+
+/**
+ * Health of one provider for the status endpoint
+ */
+function snapshot(name) {
+  const now = Date.now();
+  const { breaker, buckets, stats } = stateOf(name);
+  const sorted = [...stats.latencies].sort((a, b) => a - b);
+  const state = breakerState(breaker, now);
+
+  buckets.forEach(b => refill(b, now));
+
+  return {
+    circuit: state,
+    consecutiveFailures: breaker.failures,
+    retryAt: state === 'open' ? new Date(breaker.openUntil) : null,
+    calls: stats.calls,
+    successes: stats.successes,
+    failures: stats.failures,
+    successRate: stats.calls > 0 ? (stats.successes / stats.calls) * 100 : null,
+    skipped: { circuitOpen: stats.skippedOpen, budgetExhausted: stats.skippedBudget },
+    latencyMs: {
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p99: percentile(sorted, 99),
+      samples: sorted.length
+    },
+    budget: buckets.map(b => ({
+      limit: b.limit,
+      interval: b.interval,
+      remaining: Math.floor(b.tokens),
+      fullInMs: Math.ceil((b.limit - b.tokens) / b.refillPerMs)
+    })),
+    lastSuccessAt: stats.lastSuccessAt,
+    lastFailureAt: stats.lastFailureAt,
+    lastError: stats.lastError
+  };
+}
+
+module.exports = {
+  FAILURE_THRESHOLD,
+  parseBudget,
+  track,
+  blockedBy,
+  recordSkip,
+  acquire,
+  recordSuccess,
+  recordFailure,
+  snapshot
+};
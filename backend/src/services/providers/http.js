@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+/**
+ * Shared HTTP helpers for the market data providers
+ */
+
+// User agents rotation to avoid detection
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const randomDelay = () => delay(Math.random() * 500 + 200); // 200-700ms random delay
+
+const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+
+/**
+ * GET a JSON endpoint with a rotated user agent
+ * @returns {Promise<*>} The response body
+ */
+async function getJson(url, { timeout = 10000, params } = {}) {
+  const response = await axios.get(url, {
+    params,
+    headers: { 'User-Agent': getRandomUserAgent() },
+    timeout
+  });
+  return response.data;
+}
+
+/**
+ * Error for a provider that answered 200 with an error body, shaped like an
+ * axios HTTP error so the health tracking treats both alike (429 = out of quota)
+ */
+function apiError(message, status = 500) {
+  const error = new Error(message);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+module.exports = {
+  delay,
+  randomDelay,
+  getRandomUserAgent,
+  getJson,
+  apiError,
+  dayKey
+};
@@ -0,0 +1,261 @@
+const path = require('path');
+const health = require('./health');
+
+/**
+ * Market Data Provider Registry
+ *
+ * A provider is a plain module with a name and any of these functions, each
+ * taking the provider's config ({ apiKey }) as its last argument:
+ *   quote(symbol)                  -> { symbol, name, price, previousClose, open, high, low,
+ *                                       volume, marketCap, changeAmount, changePercent } | null
+ *   quotes(symbols)                -> { symbol: quote } for many symbols in one request
+ *   history(symbol, { from, to })  -> [{ date, open, high, low, close, adjClose, volume }] | null
+ *   search(query)                  -> [{ symbol, name, exchange, type }]
+ *   profile(symbol)                -> StockMetadata profile fields | null
+ *   dividend(symbol)               -> { dividend, dividendYield } | null
+ *   fxRates(currency, { from, to })  -> [{ date, rate }] units per USD | null
+ * Optional fields: label, types (instrument types covered; default all),
+ * requiresKey, priority (number, or per capability; lower runs first),
+ * budget (request limits, [{ limit, interval: second|minute|hour|day }]),
+ * batchSize (most symbols per quotes() call),
+ * envPrefix (default: the name upper-cased), symbolFor(symbol, instrument)
+ * to spell symbols the provider's way, enabled: false to stay off unless
+ * switched on or listed, and offline: true when it never touches the network.
+ *
+ * Configuration comes from the environment:
+ *   <PREFIX>_API_KEY               Key; providers that require one are skipped without it
+ *   <PREFIX>_ENABLED=true|false    Switch a provider on or off
+ *   <PREFIX>_PRIORITY              Override its priority for every capability
+ *   <PREFIX>_BUDGET                Override its request limits, e.g. "8/minute,800/day"
+ *   MARKET_DATA_PROVIDERS          Comma list: only these, in this order
+ *                                  (MARKET_DATA_PROVIDERS=fixture runs fully offline)
+ *   MARKET_DATA_PROVIDER_MODULES   Comma list of extra provider modules (paths from the
+ *                                  working directory, or package names) to register
+ *
+ * A provider registered under an existing name replaces it. Calls go through
+ * the provider's circuit breaker and budget (see health.js).
+ */
+
+const CAPABILITIES = ['quote', 'quotes', 'history', 'search', 'profile', 'dividend', 'fxRates'];
+const DEFAULT_PRIORITY = 100;
+
+const BUILT_IN = [
+  require('./fmp'),
+  require('./finnhub'),
+  require('./twelveData'),
+  require('./yahoo'),
+  require('./alphaVantage'),
+  require('./frankfurter'),
+  require('./fixture').createFixtureProvider()
+];
+
+let registry = null;
+
+function envPrefix(provider) {
+  return provider.envPrefix || provider.name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function readConfig(provider, env = process.env) {
+  const prefix = envPrefix(provider);
+  const enabled = env[`${prefix}_ENABLED`];
+  const priority = parseFloat(env[`${prefix}_PRIORITY`]);
+
+  return {
+    apiKey: env[`${prefix}_API_KEY`] || null,
+    budget: health.parseBudget(env[`${prefix}_BUDGET`]) || provider.budget || [],
+    enabled: enabled === undefined ? null : !['false', '0', 'no', 'off'].includes(enabled.trim().toLowerCase()),
+    priority: Number.isFinite(priority) ? priority : null
+  };
+}
+
+/**
+ * Why a provider is not in use, or null when it is
+ */
+function skipReason(entry, order) {
+  const listed = order.includes(entry.provider.name.toLowerCase());
+  const enabled = entry.config.enabled ?? (entry.provider.enabled !== false || listed);
+
+  if (!enabled) return 'disabled';
+  if (order.length > 0 && !listed) return 'not listed in MARKET_DATA_PROVIDERS';
+  if (entry.provider.requiresKey && !entry.config.apiKey) return `no ${envPrefix(entry.provider)}_API_KEY`;
+  return null;
+}
+
+function capabilitiesOf(provider) {
+  return CAPABILITIES.filter(c => typeof provider[c] === 'function');
+}
+
+/**
+ * Add a provider (or replace the one with the same name)
+ * @param {Object} provider - See the interface above
+ * @param {Object} config - Overrides for the environment config ({ apiKey, enabled, priority, budget })
+ */
+function registerProvider(provider, config = {}) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    const error = new Error('Provider needs a name');
+    error.code = 'INVALID_PROVIDER';
+    throw error;
+  }
+  if (capabilitiesOf(provider).length === 0) {
+    const error = new Error(`Provider ${provider.name} implements none of: ${CAPABILITIES.join(', ')}`);
+    error.code = 'INVALID_PROVIDER';
+    throw error;
+  }
+
+  const current = load();
+  const entry = createEntry(provider, config);
+  const index = current.entries.findIndex(e => e.provider.name === provider.name);
+
+  if (index >= 0) current.entries[index] = entry;
+  else current.entries.push(entry);
+
+  return entry;
+}
+
+function createEntry(provider, overrides = {}) {
+  const config = { ...readConfig(provider), ...overrides };
+  health.track(provider.name, config.budget);
+  return { provider, config };
+}
+
+function loadModules(specs) {
+  for (const spec of specs) {
+    try {
+      const resolved = spec.startsWith('.') || path.isAbsolute(spec) ? path.resolve(process.cwd(), spec) : spec;
+      const exported = require(resolved);
+      for (const provider of [].concat(exported.default || exported)) {
+        registerProvider(provider);
+      }
+    } catch (error) {
+      console.error(`[Providers] Could not load ${spec}: ${error.message.split('\n')[0]}`);
+    }
+  }
+}
+
+function load() {
+  if (registry) return registry;
+
+  registry = {
+    order: parseList(process.env.MARKET_DATA_PROVIDERS).map(s => s.toLowerCase()),
+    entries: BUILT_IN.map(provider => createEntry(provider))
+  };
+
+  loadModules(parseList(process.env.MARKET_DATA_PROVIDER_MODULES));
+
+  for (const p of describeProviders()) {
+    console.log(`[Providers] ${p.label}: ${p.active ? p.capabilities.join(', ') : `skipped (${p.reason})`}`);
+  }
+
+  return registry;
+}
+
+function rank(entry, capability, order) {
+  if (order.length > 0) return order.indexOf(entry.provider.name.toLowerCase());
+  if (entry.config.priority !== null && entry.config.priority !== undefined) return entry.config.priority;
+
+  const { priority } = entry.provider;
+  if (typeof priority === 'number') return priority;
+  return priority?.[capability] ?? DEFAULT_PRIORITY;
+}
+
+function handle(entry, capability) {
+  const { provider, config } = entry;
+  const label = provider.label || provider.name;
+
+  return {
+    name: provider.name,
+    label,
+    batchSize: provider.batchSize || null,
+    symbolFor: (symbol, instrument) => (provider.symbolFor && instrument ? provider.symbolFor(symbol, instrument) : symbol),
+    // Failures are logged and come back as null so callers can move on to the next
+    // provider; calls refused by the breaker or the budget return null straight away
+    call: async (...args) => {
+      if (!health.acquire(provider.name)) return null;
+
+      const started = Date.now();
+      try {
+        const result = await provider[capability](...args, config);
+        health.recordSuccess(provider.name, Date.now() - started);
+        return result;
+      } catch (error) {
+        const opened = health.recordFailure(provider.name, Date.now() - started, error);
+        if (opened) {
+          const { retryAt } = health.snapshot(provider.name);
+          console.log(`[Providers] ${label} circuit open until ${retryAt.toISOString()}: ${error.message}`);
+        } else {
+          console.log(`[${label}] ${capability} failed for ${args[0]}: ${error.message}`);
+        }
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Providers in use for a capability, best first. Providers with an open circuit
+ * or no budget left are left out (and counted as skipped).
+ * @param {string} capability - quote, quotes, history, search, profile, dividend or fxRates
+ * @param {string} type - Instrument type to cover (omit for any)
+ * @returns {Array<{ name, label, symbolFor, call }>}
+ */
+function getProviders(capability, type = null) {
+  const { entries, order } = load();
+
+  return entries
+    .filter(e => typeof e.provider[capability] === 'function')
+    .filter(e => !type || !e.provider.types || e.provider.types.includes(type))
+    .filter(e => !skipReason(e, order))
+    .filter(e => {
+      const blocked = health.blockedBy(e.provider.name);
+      if (blocked) health.recordSkip(e.provider.name, blocked);
+      return !blocked;
+    })
+    .map(e => ({ e, rank: rank(e, capability, order) }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ e }) => handle(e, capability));
+}
+
+/**
+ * True when every provider in use works without the network (fixtures only),
+ * so other services should not reach out either
+ */
+function isOffline() {
+  const { entries, order } = load();
+  const active = entries.filter(e => !skipReason(e, order));
+  return active.length > 0 && active.every(e => e.provider.offline === true);
+}
+
+/**
+ * Every registered provider with what it can do, whether it is in use and,
+ * for those in use, its circuit, budget and call statistics
+ */
+function describeProviders() {
+  const { entries, order } = load();
+
+  return entries.map(e => {
+    const reason = skipReason(e, order);
+    return {
+      name: e.provider.name,
+      label: e.provider.label || e.provider.name,
+      capabilities: capabilitiesOf(e.provider),
+      types: e.provider.types || null,
+      hasKey: Boolean(e.config.apiKey),
+      offline: e.provider.offline === true,
+      active: !reason,
+      reason,
+      health: reason ? null : health.snapshot(e.provider.name)
+    };
+  });
+}
+
+module.exports = {
+  CAPABILITIES,
+  registerProvider,
+  getProviders,
+  isOffline,
+  describeProviders
+};
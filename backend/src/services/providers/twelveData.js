@@ -0,0 +1,84 @@
+const instruments = require('../instruments');
+const { getJson, apiError, delay, dayKey } = require('./http');
+
+/**
+ * Twelve Data - quotes and daily history for stocks, ETFs and crypto (no mutual funds)
+ */
+
+const BASE_URL = 'https://api.twelvedata.com';
+
+// Errors come back as 200 with { code, message }; 404 is just an unknown symbol
+function checkError(data) {
+  if (data?.code && data.code !== 404) throw apiError(data.message || `Twelve Data error ${data.code}`, data.code);
+}
+
+async function quote(symbol, { apiKey }) {
+  const data = await getJson(`${BASE_URL}/quote`, { params: { symbol, apikey: apiKey } });
+  checkError(data);
+  if (!data || !data.close || data.code) return null;
+
+  const price = parseFloat(data.close);
+  const prevClose = parseFloat(data.previous_close);
+  const change = price - prevClose;
+
+  return {
+    symbol: data.symbol,
+    name: data.name || symbol,
+    price,
+    previousClose: prevClose,
+    open: parseFloat(data.open),
+    high: parseFloat(data.high),
+    low: parseFloat(data.low),
+    volume: parseInt(data.volume) || null,
+    marketCap: null,
+    changeAmount: change,
+    changePercent: (change / prevClose) * 100
+  };
+}
+
+async function history(symbol, { from, to }, { apiKey }) {
+  await delay(1000); // Rate limit protection
+
+  const data = await getJson(`${BASE_URL}/time_series`, {
+    params: {
+      symbol,
+      interval: '1day',
+      start_date: dayKey(from),
+      end_date: dayKey(new Date(to).getTime() + 24 * 60 * 60 * 1000), // exclusive
+      outputsize: 5000,
+      apikey: apiKey
+    },
+    timeout: 30000
+  });
+  checkError(data);
+  if (!data?.values || data.code) return null;
+
+  return data.values.map(row => ({
+    date: new Date(row.datetime),
+    open: parseFloat(row.open) || 0,
+    high: parseFloat(row.high) || 0,
+    low: parseFloat(row.low) || 0,
+    close: parseFloat(row.close) || 0,
+    adjClose: parseFloat(row.close) || 0,
+    volume: Number(row.volume) || 0
+  })).reverse(); // Twelve Data returns newest first
+}
+
+// Crypto pairs with a slash (BTC/USD)
+function symbolFor(symbol, instrument) {
+  const pair = instruments.cryptoPair(symbol, instrument);
+  return pair ? `${pair.base}/${pair.quote}` : symbol;
+}
+
+module.exports = {
+  name: 'twelvedata',
+  label: 'TwelveData',
+  envPrefix: 'TWELVE_DATA',
+  requiresKey: true,
+  types: ['equity', 'etf', 'crypto'],
+  priority: { quote: 30, history: 10 },
+  budget: [{ limit: 8, interval: 'minute' }, { limit: 800, interval: 'day' }],
+  symbolFor,
+  quote,
+  history
+};
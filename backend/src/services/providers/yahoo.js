@@ -0,0 +1,153 @@
+const instruments = require('../instruments');
+const { delay, randomDelay, getRandomUserAgent } = require('./http');
+
+/**
+ * Yahoo Finance (unofficial, no key) - quotes (batched too), history, symbol
+ * search, profiles, dividends and FX history, with delays to stay under its
+ * rate limiting
+ */
+
+function client() {
+  const yahooFinance = require('yahoo-finance2').default;
+  yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+  return yahooFinance;
+}
+
+function toQuote(data, symbol) {
+  return {
+    symbol: data.symbol,
+    name: data.shortName || data.longName || symbol,
+    price: data.regularMarketPrice,
+    previousClose: data.regularMarketPreviousClose,
+    open: data.regularMarketOpen,
+    high: data.regularMarketDayHigh,
+    low: data.regularMarketDayLow,
+    volume: data.regularMarketVolume,
+    marketCap: data.marketCap,
+    changeAmount: data.regularMarketChange,
+    changePercent: data.regularMarketChangePercent
+  };
+}
+
+async function quote(symbol) {
+  const data = await client().quote(symbol, {}, {
+    headers: { 'User-Agent': getRandomUserAgent() }
+  });
+  return data && data.regularMarketPrice ? toQuote(data, symbol) : null;
+}
+
+async function quotes(symbols) {
+  const rows = await client().quote(symbols, {}, {
+    headers: { 'User-Agent': getRandomUserAgent() }
+  });
+
+  return Object.fromEntries((rows || [])
+    .filter(data => data.regularMarketPrice)
+    .map(data => [data.symbol, toQuote(data, data.symbol)]));
+}
+
+async function history(symbol, { from, to }) {
+  await delay(2000); // Longer delay for Yahoo
+
+  const result = await client().historical(symbol, {
+    period1: from,
+    period2: new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000), // period2 is exclusive
+    interval: '1d'
+  });
+  if (!result || result.length === 0) return null;
+
+  return result.map(row => ({
+    date: new Date(row.date),
+    open: row.open || 0,
+    high: row.high || 0,
+    low: row.low || 0,
+    close: row.close || 0,
+    adjClose: row.adjClose || row.close || 0,
+    volume: Number(row.volume) || 0
+  }));
+}
+
+// Units of the currency per USD, from the USD<CUR>=X pair
+async function fxRates(currency, { from, to }) {
+  const result = await client().historical(`USD${currency}=X`, {
+    period1: from,
+    period2: new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000), // period2 is exclusive
+    interval: '1d'
+  });
+
+  return (result || [])
+    .filter(row => row.close > 0)
+    .map(row => ({ date: row.date, rate: row.close }));
+}
+
+// Only the instrument types the app models; indices, futures and options are dropped
+async function search(query) {
+  const results = await client().search(query);
+
+  return (results?.quotes || [])
+    .map(q => ({
+      symbol: q.symbol,
+      name: q.shortname || q.longname,
+      exchange: q.exchange,
+      type: instruments.YAHOO_QUOTE_TYPES[q.quoteType]
+    }))
+    .filter(q => q.type);
+}
+
+async function profile(symbol) {
+  await randomDelay();
+
+  const summary = await client().quoteSummary(symbol, {
+    modules: ['assetProfile', 'price', 'quoteType']
+  });
+  if (!summary) return null;
+
+  const assetProfile = summary.assetProfile || {};
+  const type = summary.quoteType?.quoteType;
+
+  return {
+    name: summary.price?.longName || summary.price?.shortName,
+    exchange: summary.price?.exchangeName,
+    sector: assetProfile.sector,
+    industry: assetProfile.industry,
+    country: assetProfile.country,
+    description: assetProfile.longBusinessSummary,
+    employees: assetProfile.fullTimeEmployees,
+    website: assetProfile.website,
+    marketCap: summary.price?.marketCap,
+    currency: summary.price?.currency,
+    assetClass: type ? (instruments.YAHOO_QUOTE_TYPES[type] || 'other') : null
+  };
+}
+
+async function dividend(symbol) {
+  await randomDelay();
+
+  const summary = await client().quoteSummary(symbol, { modules: ['summaryDetail'] });
+  const detail = summary?.summaryDetail;
+  if (!detail) return null;
+
+  const rate = detail.dividendRate ?? detail.trailingAnnualDividendRate ?? 0;
+  const yieldRatio = detail.dividendYield ?? detail.trailingAnnualDividendYield ?? 0;
+
+  return { dividend: rate, dividendYield: yieldRatio * 100 };
+}
+
+module.exports = {
+  name: 'yahoo',
+  label: 'Yahoo',
+  envPrefix: 'YAHOO',
+  requiresKey: false,
+  types: ['equity', 'etf', 'fund', 'crypto'],
+  priority: { quote: 40, history: 20, search: 10, profile: 30, dividend: 20, fxRates: 20 },
+  // Unofficial and unpublished; kept well under where throttling has been seen
+  budget: [{ limit: 60, interval: 'minute' }],
+  batchSize: 50,
+  quote,
+  quotes,
+  history,
+  search,
+  profile,
+  dividend,
+  fxRates
+};
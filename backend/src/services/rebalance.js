@@ -0,0 +1,268 @@
+const taxLots = require('./taxLots');
+
+/**
+ * Rebalance Service
+ * Compares live weights with a portfolio's target allocation and proposes
+ * the trades that bring drifted groups back to target
+ */
+
+const TARGET_TYPES = ['symbol', 'sector', 'assetClass'];
+const DEFAULT_TOLERANCE = 5;
+const UNCLASSIFIED = 'Unclassified';
+
+function targetError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TARGETS';
+  return error;
+}
+
+/**
+ * Check and normalize a full set of targets for a portfolio
+ * @param {Array} targets - [{ type, key, targetPercent, tolerance }]
+ */
+function validateTargets(targets) {
+  if (!Array.isArray(targets)) throw targetError('Targets must be an array');
+
+  const types = [...new Set(targets.map(t => t.type))];
+  if (types.length > 1) throw targetError('All targets must use the same type (symbol, sector or assetClass)');
+
+  const normalized = targets.map(t => {
+    if (!TARGET_TYPES.includes(t.type)) throw targetError(`Invalid target type: ${t.type}`);
+
+    const key = String(t.key || '').trim();
+    if (!key) throw targetError('Each target needs a key');
+
+    const targetPercent = parseFloat(t.targetPercent);
+    if (!(targetPercent >= 0 && targetPercent <= 100)) {
+      throw targetError(`Target for ${key} must be between 0 and 100`);
+    }
+
+    const tolerance = t.tolerance === undefined || t.tolerance === null ? DEFAULT_TOLERANCE : parseFloat(t.tolerance);
+    if (!(tolerance >= 0 && tolerance <= 100)) {
+      throw targetError(`Tolerance for ${key} must be between 0 and 100`);
+    }
+
+    return { type: t.type, key: t.type === 'symbol' ? key.toUpperCase() : key, targetPercent, tolerance };
+  });
+
+  const keys = normalized.map(t => t.key.toLowerCase());
+  if (new Set(keys).size !== keys.length) throw targetError('Duplicate target keys');
+
+  const total = normalized.reduce((sum, t) => sum + t.targetPercent, 0);
+  if (total > 100 + 1e-6) throw targetError(`Targets add up to ${total.toFixed(2)}%, more than 100%`);
+
+  return normalized;
+}
+
+function positionKey(position, type) {
+  if (type === 'symbol') return position.symbol;
+  return position[type] || UNCLASSIFIED;
+}
+
+function roundShares(shares, fractional) {
+  return fractional ? Math.floor(shares * 1e4 + 1e-9) / 1e4 : Math.floor(shares + 1e-9);
+}
+
+/**
+ * Choose shares and lots to sell from one position
+ * @returns {{ shares, lots, estimatedGain, constrained }}
+ */
+function planSell(position, wantedShares, { lots, lotMethod, avoidGains, fractional }) {
+  const openLots = lots.filter(l => l.symbol === position.symbol && l.remainingShares > taxLots.SHARE_EPSILON);
+  let shares = wantedShares >= position.shares - taxLots.SHARE_EPSILON
+    ? position.shares
+    : roundShares(wantedShares, fractional);
+  let selection = null;
+  let constrained = false;
+
+  if (avoidGains) {
+    // Only lots at or under water, biggest losses first
+    const lossLots = openLots
+      .filter(l => l.costPerShare >= position.price)
+      .sort((a, b) => b.costPerShare - a.costPerShare);
+    const available = lossLots.reduce((sum, l) => sum + l.remainingShares, 0);
+
+    if (available < shares - taxLots.SHARE_EPSILON) {
+      shares = available >= position.shares - taxLots.SHARE_EPSILON ? available : roundShares(available, fractional);
+      constrained = true;
+    }
+
+    selection = [];
+    let remaining = shares;
+    for (const lot of lossLots) {
+      if (remaining <= taxLots.SHARE_EPSILON) break;
+      const take = Math.min(lot.remainingShares, remaining);
+      selection.push({ lotId: lot.id, shares: take });
+      remaining -= take;
+    }
+  }
+
+  if (shares <= taxLots.SHARE_EPSILON) return { shares: 0, lots: null, estimatedGain: 0, constrained };
+
+  let estimatedGain = null;
+  if (openLots.length > 0) {
+    try {
+      const selections = taxLots.selectLots(openLots, shares, {
+        method: selection ? 'SPECIFIC' : lotMethod,
+        specificLots: selection
+      });
+      estimatedGain = taxLots.summarizeSale(selections, { price: position.price, soldAt: new Date() }).realizedGain;
+    } catch (error) {
+      // Holdings and lots disagree (e.g. ledger not rebuilt yet); leave the gain unknown
+    }
+  }
+
+  return { shares, lots: selection, estimatedGain, constrained };
+}
+
+/**
+ * Build a rebalancing plan
+ * @param {Object} input
+ * @param {Array} input.positions - Valued positions: [{ symbol, shares, price, value, sector, assetClass }]
+ * @param {number} input.cashBalance - Cash available in the portfolio
+ * @param {Array} input.targets - Validated targets (one type)
+ * @param {Array} input.lots - Open tax lots for the portfolio
+ * @param {Object} input.prices - { SYMBOL: price } for targeted symbols not currently held
+ * @param {Object} options
+ * @param {boolean} options.avoidGains - Only sell lots that would not realize a gain
+ * @param {boolean} options.fractional - Allow fractional shares (4 dp) instead of whole shares
+ * @param {string} options.lotMethod - Portfolio lot method used to estimate gains
+ */
+function planRebalance({ positions, cashBalance = 0, targets, lots = [], prices = {} }, options = {}) {
+  const { avoidGains = false, fractional = false, lotMethod = 'FIFO' } = options;
+  if (!targets || targets.length === 0) throw targetError('No target allocation set for this portfolio');
+
+  const type = targets[0].type;
+  const cash = Math.max(0, cashBalance || 0);
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0) + cash;
+  const warnings = [];
+
+  // Groups: every target, plus anything held that no target covers (target 0)
+  const groups = targets.map(t => ({ ...t, untargeted: false, positions: [] }));
+  for (const position of positions) {
+    const key = positionKey(position, type);
+    let group = groups.find(g => g.key.toLowerCase() === key.toLowerCase());
+    if (!group) {
+      group = { type, key, targetPercent: 0, tolerance: DEFAULT_TOLERANCE, untargeted: true, positions: [] };
+      groups.push(group);
+    }
+    group.positions.push(position);
+  }
+
+  for (const group of groups) {
+    group.currentValue = group.positions.reduce((sum, p) => sum + p.value, 0);
+    group.targetValue = (group.targetPercent / 100) * totalValue;
+    group.currentPercent = totalValue > 0 ? (group.currentValue / totalValue) * 100 : 0;
+    group.drift = group.currentPercent - group.targetPercent;
+    group.outOfBand = Math.abs(group.drift) > group.tolerance;
+  }
+
+  const trades = [];
+  const settings = { lots, lotMethod, avoidGains, fractional };
+
+  // Sells first: they fund the buys
+  for (const group of groups.filter(g => g.outOfBand && g.drift > 0)) {
+    const excess = group.currentValue - group.targetValue;
+
+    for (const position of group.positions) {
+      const wanted = (excess * (position.value / group.currentValue)) / position.price;
+      const sell = planSell(position, wanted, settings);
+
+      if (sell.constrained) {
+        warnings.push(`Sell of ${position.symbol} reduced to avoid realizing gains`);
+      }
+      if (sell.shares <= 0) continue;
+
+      trades.push({
+        action: 'sell',
+        symbol: position.symbol,
+        group: group.key,
+        shares: sell.shares,
+        price: position.price,
+        amount: sell.shares * position.price,
+        estimatedGain: sell.estimatedGain,
+        ...(sell.lots && { lots: sell.lots })
+      });
+    }
+  }
+
+  const proceeds = trades.reduce((sum, t) => sum + t.amount, 0);
+  const cashTarget = Math.max(0, 100 - targets.reduce((sum, t) => sum + t.targetPercent, 0));
+  const spendable = Math.max(0, cash + proceeds - (cashTarget / 100) * totalValue);
+
+  const underweight = groups.filter(g => g.outOfBand && g.drift < 0);
+  const deficit = underweight.reduce((sum, g) => sum + (g.targetValue - g.currentValue), 0);
+  const scale = deficit > spendable ? spendable / deficit : 1;
+
+  if (scale < 1) {
+    warnings.push(`Not enough cash to reach every target: $${spendable.toFixed(2)} available for $${deficit.toFixed(2)} of buys`);
+  }
+
+  for (const group of underweight) {
+    const budget = (group.targetValue - group.currentValue) * scale;
+    let candidates = group.positions;
+
+    if (candidates.length === 0 && type === 'symbol' && prices[group.key] > 0) {
+      candidates = [{ symbol: group.key, shares: 0, price: prices[group.key], value: 0 }];
+    }
+    if (candidates.length === 0) {
+      warnings.push(type === 'symbol'
+        ? `No price available for ${group.key}`
+        : `No holdings in ${group.key} to buy; add a position to this group first`);
+      continue;
+    }
+
+    // Spread the buy across the group's holdings by current weight (evenly when none held)
+    const groupValue = candidates.reduce((sum, p) => sum + p.value, 0);
+    for (const position of candidates) {
+      const share = groupValue > 0 ? position.value / groupValue : 1 / candidates.length;
+      const shares = roundShares((budget * share) / position.price, fractional);
+      if (shares <= 0) continue;
+
+      trades.push({
+        action: 'buy',
+        symbol: position.symbol,
+        group: group.key,
+        shares,
+        price: position.price,
+        amount: shares * position.price
+      });
+    }
+  }
+
+  const bought = trades.filter(t => t.action === 'buy').reduce((sum, t) => sum + t.amount, 0);
+
+  return {
+    type,
+    totalValue,
+    cashBalance: cash,
+    cashAfter: cash + proceeds - bought,
+    cashTargetPercent: cashTarget,
+    groups: groups.map(g => {
+      const traded = trades
+        .filter(t => t.group === g.key)
+        .reduce((sum, t) => sum + (t.action === 'buy' ? t.amount : -t.amount), 0);
+
+      return {
+        key: g.key,
+        untargeted: g.untargeted,
+        targetPercent: g.targetPercent,
+        tolerance: g.tolerance,
+        currentValue: g.currentValue,
+        currentPercent: g.currentPercent,
+        drift: g.drift,
+        outOfBand: g.outOfBand,
+        projectedPercent: totalValue > 0 ? ((g.currentValue + traded) / totalValue) * 100 : 0
+      };
+    }),
+    trades,
+    warnings
+  };
+}
+
+module.exports = {
+  TARGET_TYPES,
+  DEFAULT_TOLERANCE,
+  validateTargets,
+  planRebalance
+};
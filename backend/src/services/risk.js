@@ -0,0 +1,238 @@
+const stockData = require('./stockData');
+const performance = require('./performance');
+const benchmarks = require('./benchmarks');
+const fx = require('./fx');
+
+/**
+ * Risk Service
+ * Volatility, Sharpe/Sortino, beta, drawdown, VaR and per-holding risk
+ * contribution from daily returns over trading days
+ */
+
+const TRADING_DAYS = 252;
+const MIN_OBSERVATIONS = 2;
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function covariance(a, b) {
+  if (a.length < MIN_OBSERVATIONS) return null;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, v, i) => sum + (v - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+function returnsFromCloses(closes) {
+  return closes.slice(1).map((close, i) => (closes[i] > 0 && close > 0 ? close / closes[i] - 1 : 0));
+}
+
+/**
+ * Value at risk from the empirical return distribution (positive = loss)
+ */
+function historicalVaR(returns, confidence) {
+  if (returns.length < MIN_OBSERVATIONS) return null;
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.floor((1 - confidence) * sorted.length));
+  return Math.max(0, -sorted[index]);
+}
+
+/**
+ * Largest peak-to-trough decline of a growth series
+ * @param {Array} points - [{ date, level }]
+ */
+function maxDrawdown(points) {
+  let peak = points[0];
+  let worst = { drawdown: 0, peakDate: null, troughDate: null, recoveryDate: null };
+
+  for (const point of points) {
+    if (point.level > peak.level) peak = point;
+    const drawdown = peak.level > 0 ? point.level / peak.level - 1 : 0;
+
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakDate: peak.date, troughDate: point.date, recoveryDate: null, peakLevel: peak.level };
+    }
+  }
+
+  if (worst.troughDate) {
+    const recovery = points.find(p => p.date > worst.troughDate && p.level >= worst.peakLevel);
+    worst.recoveryDate = recovery ? recovery.date : null;
+  }
+
+  return {
+    maxDrawdown: worst.drawdown * 100,
+    peakDate: worst.peakDate,
+    troughDate: worst.troughDate,
+    recoveryDate: worst.recoveryDate
+  };
+}
+
+/**
+ * Summary statistics for a daily return series
+ * @param {Array<number>} returns - Portfolio daily returns
+ * @param {Array<number>} benchmarkReturns - Benchmark daily returns on the same days
+ * @param {number} riskFreeRate - Annual rate as a decimal
+ */
+function riskStatistics(returns, benchmarkReturns, riskFreeRate = 0) {
+  if (returns.length < MIN_OBSERVATIONS) return null;
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS;
+  const excess = returns.map(r => r - dailyRiskFree);
+  const variance = covariance(returns, returns);
+  const volatility = Math.sqrt(variance * TRADING_DAYS);
+  const downside = Math.sqrt(mean(excess.map(r => Math.pow(Math.min(0, r), 2))) * TRADING_DAYS);
+  const growth = returns.reduce((g, r) => g * (1 + r), 1);
+  const annualExcess = mean(excess) * TRADING_DAYS;
+
+  let beta = null;
+  let correlation = null;
+  if (benchmarkReturns && benchmarkReturns.length === returns.length) {
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+    const cov = covariance(returns, benchmarkReturns);
+    beta = benchmarkVariance > 0 ? cov / benchmarkVariance : null;
+    correlation = benchmarkVariance > 0 && variance > 0
+      ? cov / Math.sqrt(variance * benchmarkVariance)
+      : null;
+  }
+
+  return {
+    observations: returns.length,
+    totalReturn: (growth - 1) * 100,
+    annualizedReturn: (Math.pow(growth, TRADING_DAYS / returns.length) - 1) * 100,
+    volatility: volatility * 100,
+    sharpeRatio: volatility > 0 ? annualExcess / volatility : null,
+    sortinoRatio: downside > 0 ? annualExcess / downside : null,
+    beta,
+    correlation
+  };
+}
+
+/**
+ * Split portfolio variance across holdings: contribution_i = w_i * (Σw)_i
+ * @param {Array} holdings - [{ symbol, weight, returns }] with equal-length return arrays
+ */
+function riskContributions(holdings) {
+  const matrix = holdings.map(a => holdings.map(b => covariance(a.returns, b.returns) || 0));
+  const marginal = holdings.map((_, i) =>
+    holdings.reduce((sum, h, j) => sum + matrix[i][j] * h.weight, 0));
+  const variance = holdings.reduce((sum, h, i) => sum + h.weight * marginal[i], 0);
+
+  return holdings.map((h, i) => ({
+    symbol: h.symbol,
+    weight: h.weight * 100,
+    volatility: Math.sqrt(matrix[i][i] * TRADING_DAYS) * 100,
+    marginalContribution: variance > 0 ? (marginal[i] / Math.sqrt(variance)) * Math.sqrt(TRADING_DAYS) * 100 : 0,
+    contribution: variance > 0 ? ((h.weight * marginal[i]) / variance) * 100 : 0
+  }));
+}
+
+async function loadAlignedCloses(symbol, dates) {
+  const history = await stockData.getHistoricalData(symbol);
+  const sorted = [...(history || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+  return { sorted, closes: benchmarks.alignCloses(sorted, dates) };
+}
+
+/**
+ * Risk report for a portfolio
+ * @param {Object} portfolio - Portfolio with holdings
+ * @param {Object} options
+ * @param {number} options.days - Look-back window in calendar days
+ * @param {string} options.benchmark - Benchmark symbol for beta/correlation
+ * @param {number} options.riskFreeRate - Annual rate as a decimal
+ * @param {number} options.confidence - VaR confidence level
+ */
+async function getPortfolioRisk(portfolio, { days = 365, benchmark = 'SPY', riskFreeRate = 0, confidence = 0.95 } = {}) {
+  const missingRates = new Set();
+  const series = await performance.getDailySeries([portfolio.id], { currency: portfolio.currency, missingRates });
+  const inception = series.find(s => s.value > 0)?.date;
+  const windowStart = performance.addDays(performance.dayKey(new Date()), -days);
+  const start = inception && inception > windowStart ? inception : windowStart;
+
+  // Trading days come from the benchmark's price history
+  const benchmarkData = await loadAlignedCloses(benchmark, []);
+  const dates = benchmarkData.sorted
+    .map(h => performance.dayKey(h.date))
+    .filter(date => date >= start);
+
+  const report = {
+    portfolioId: portfolio.id,
+    currency: portfolio.currency,
+    benchmark,
+    riskFreeRate: riskFreeRate * 100,
+    confidence: confidence * 100,
+    startDate: dates[0] || null,
+    endDate: dates[dates.length - 1] || null,
+    statistics: null,
+    drawdown: null,
+    valueAtRisk: null,
+    holdings: [],
+    // Currencies valued 1:1 with USD for lack of rates (see fx.createConverter)
+    missingRates: [...missingRates]
+  };
+
+  if (!inception || dates.length <= MIN_OBSERVATIONS) return report;
+
+  // Portfolio returns between trading days from the time-weighted growth index
+  const index = performance.growthIndex(series);
+  let last = null;
+  const levels = dates.map(date => {
+    if (index[date] !== undefined) last = index[date];
+    return last || 1;
+  });
+  const returns = levels.slice(1).map((level, i) => level / levels[i] - 1);
+  const benchmarkReturns = returnsFromCloses(benchmarks.alignCloses(benchmarkData.sorted, dates));
+
+  report.statistics = riskStatistics(returns, benchmarkReturns, riskFreeRate);
+  report.drawdown = maxDrawdown(dates.map((date, i) => ({ date, level: levels[i] })));
+
+  // Per-holding contribution, weighted by current market value
+  const holdings = portfolio.holdings.filter(h => h.shares > 0);
+  const symbols = holdings.map(h => h.symbol);
+  const quotes = holdings.length > 0 ? await stockData.getQuotes(symbols) : {};
+  const symbolCurrencies = await fx.getSymbolCurrencies(symbols);
+  const converter = await fx.getConverter([portfolio.currency, ...Object.values(symbolCurrencies)], { missingRates });
+  const values = holdings.map(h => (quotes[h.symbol]?.price
+    ? h.shares * converter.convert(quotes[h.symbol].price, symbolCurrencies[h.symbol], portfolio.currency)
+    : h.shares * h.avgCostBasis));
+  const totalValue = values.reduce((sum, v) => sum + v, 0);
+
+  const valueAtRisk = historicalVaR(returns, confidence);
+  report.valueAtRisk = {
+    horizonDays: 1,
+    percent: valueAtRisk * 100,
+    amount: valueAtRisk * totalValue
+  };
+
+  if (totalValue > 0) {
+    const inputs = [];
+    for (let i = 0; i < holdings.length; i++) {
+      const { closes } = await loadAlignedCloses(holdings[i].symbol, dates);
+      inputs.push({
+        symbol: holdings[i].symbol,
+        weight: values[i] / totalValue,
+        returns: returnsFromCloses(closes)
+      });
+    }
+
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+
+    report.holdings = riskContributions(inputs)
+      .map((h, i) => ({
+        ...h,
+        value: values[i],
+        beta: benchmarkVariance > 0 ? covariance(inputs[i].returns, benchmarkReturns) / benchmarkVariance : null
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+  }
+
+  report.missingRates = [...missingRates];
+  return report;
+}
+
+module.exports = {
+  historicalVaR,
+  maxDrawdown,
+  riskStatistics,
+  riskContributions,
+  getPortfolioRisk
+};
@@ -1,325 +1,529 @@
 const { PrismaClient } = require('@prisma/client');
-const axios = require('axios');
+const instruments = require('./instruments');
+const providers = require('./providers');
 
 const prisma = new PrismaClient();
 
-// API Keys (from user's provided keys)
-const API_KEYS = {
-  FMP: 'nKxGNnbkLs6VUjVsbeKTlQF4UPKyvPbG',
-  ALPHA_VANTAGE: 'WTV2HVV9OLJ76NEV',
-  FINNHUB: 'd5aapqpr01qn2tat2j3gd5aapqpr01qn2tat2j40',
-  TWELVE_DATA: '02560afd7d82496aa5f35169b53b41ca'
-};
-
-// User agents rotation to avoid detection
-const USER_AGENTS = [
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-];
-
-const FIVE_YEARS_MS = 5 * 365 * 24 * 60 * 60 * 1000;
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
-// Helper: Random delay to avoid rate limiting
+// Upstream quote requests at once when symbols have to be fetched one by one
+const QUOTE_CONCURRENCY = parseInt(process.env.QUOTE_CONCURRENCY) || 4;
+
+// Helper: Small pause between providers
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-const randomDelay = () => delay(Math.random() * 500 + 200); // 200-700ms random delay
 
-// Helper: Get random user agent
-const getRandomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+// Quote fetches in progress by symbol, so concurrent requests share one upstream call
+const inFlight = new Map();
 
 /**
- * STRATEGY 1: Yahoo Finance with anti-rate-limit measures
+ * Run fn over items with at most `limit` running at once
  */
-async function fetchFromYahoo(symbol) {
-  try {
-    await randomDelay();
-
-    const yahooFinance = require('yahoo-finance2').default;
-    yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
 
-    const quote = await yahooFinance.quote(symbol, {}, {
-      headers: { 'User-Agent': getRandomUserAgent() }
-    });
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-    if (quote && quote.regularMarketPrice) {
-      return {
-        symbol: quote.symbol,
-        name: quote.shortName || quote.longName || symbol,
-        price: quote.regularMarketPrice,
-        previousClose: quote.regularMarketPreviousClose,
-        open: quote.regularMarketOpen,
-        high: quote.regularMarketDayHigh,
-        low: quote.regularMarketDayLow,
-        volume: quote.regularMarketVolume,
-        marketCap: quote.marketCap,
-        changeAmount: quote.regularMarketChange,
-        changePercent: quote.regularMarketChangePercent,
-        source: 'yahoo'
-      };
+/**
+ * One symbol through the single-quote providers, in priority order
+ * @param {Set} tried - Providers that already had a go at it in a batch
+ */
+async function fetchQuote(symbol, instrument, tried = new Set()) {
+  for (const provider of providers.getProviders('quote', instrument.type)) {
+    if (tried.has(provider.name)) continue;
+
+    const result = await provider.call(provider.symbolFor(symbol, instrument));
+    if (result && result.price > 0) {
+      console.log(`[StockData] Got ${symbol} from ${provider.label}: $${result.price}`);
+      return result;
     }
-    return null;
-  } catch (error) {
-    console.log(`[Yahoo] Failed for ${symbol}: ${error.message}`);
-    return null;
+
+    // Small delay between API calls
+    await delay(100);
   }
+
+  return null;
 }
 
 /**
- * STRATEGY 2: Financial Modeling Prep API (FMP)
+ * Fetch quotes for many symbols: batch-capable providers first (one request per
+ * chunk of symbols of a type), then the rest one by one with bounded concurrency
+ * @param {Array<string>} symbols - Upper-case
+ * @param {Object} instrumentsBySymbol - From instruments.getInstruments
+ * @returns {Object} { SYMBOL: provider quote }
  */
-async function fetchFromFMP(symbol) {
-  try {
-    const url = `https://financialmodelingprep.com/api/v3/quote/${symbol}?apikey=${API_KEYS.FMP}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': getRandomUserAgent() },
-      timeout: 10000
-    });
+async function fetchQuotes(symbols, instrumentsBySymbol) {
+  const results = {};
+  const tried = {};
+
+  const byType = {};
+  symbols.forEach(s => {
+    (byType[instrumentsBySymbol[s].type] = byType[instrumentsBySymbol[s].type] || []).push(s);
+  });
+
+  // Types batch in parallel; each type's providers are tried in order
+  await Promise.all(Object.entries(byType).map(async ([type, group]) => {
+    let remaining = group;
+    tried[type] = new Set();
+
+    for (const provider of providers.getProviders('quotes', type)) {
+      if (remaining.length === 0) break;
+      tried[type].add(provider.name);
+
+      const size = provider.batchSize || remaining.length;
+      for (let i = 0; i < remaining.length; i += size) {
+        // Provider spelling -> our symbol
+        const spelled = Object.fromEntries(remaining.slice(i, i + size)
+          .map(s => [provider.symbolFor(s, instrumentsBySymbol[s]), s]));
+
+        const batch = await provider.call(Object.keys(spelled));
+        for (const [providerSymbol, result] of Object.entries(batch || {})) {
+          const symbol = spelled[providerSymbol];
+          if (symbol && result && result.price > 0) results[symbol] = result;
+        }
+      }
 
-    if (response.data && response.data[0]) {
-      const data = response.data[0];
-      return {
-        symbol: data.symbol,
-        name: data.name || symbol,
-        price: data.price,
-        previousClose: data.previousClose,
-        open: data.open,
-        high: data.dayHigh,
-        low: data.dayLow,
-        volume: data.volume,
-        marketCap: data.marketCap,
-        changeAmount: data.change,
-        changePercent: data.changesPercentage,
-        source: 'fmp'
-      };
+      const fetched = remaining.filter(s => results[s]).length;
+      if (fetched > 0) console.log(`[StockData] Got ${fetched} ${type} quotes from ${provider.label} in one batch`);
+      remaining = remaining.filter(s => !results[s]);
     }
-    return null;
-  } catch (error) {
-    console.log(`[FMP] Failed for ${symbol}: ${error.message}`);
-    return null;
-  }
+  }));
+
+  const rest = symbols.filter(s => !results[s]);
+  await mapWithConcurrency(rest, QUOTE_CONCURRENCY, async (symbol) => {
+    const instrument = instrumentsBySymbol[symbol];
+    const result = await fetchQuote(symbol, instrument, tried[instrument.type]);
+    if (result) results[symbol] = result;
+  });
+
+  return results;
+}
+
+async function storeQuote(symbol, result) {
+  const quoteData = {
+    symbol,
+    name: result.name,
+    price: result.price,
+    previousClose: result.previousClose,
+    open: result.open,
+    high: result.high,
+    low: result.low,
+    volume: result.volume ? BigInt(Math.round(result.volume)) : null,
+    marketCap: result.marketCap ? BigInt(Math.round(result.marketCap)) : null,
+    changeAmount: result.changeAmount,
+    changePercent: result.changePercent
+  };
+
+  await prisma.stockQuote.upsert({
+    where: { symbol },
+    update: quoteData,
+    create: quoteData
+  }).catch(e => console.log('[DB] Cache update error:', e.message));
+
+  return quoteData;
 }
 
 /**
- * STRATEGY 3: Finnhub API
+ * Fresh quotes for symbols, joining fetches already in flight for any of them
+ * and starting one shared fetch for the rest
+ * @returns {Object} { SYMBOL: stored quote row, or null when every source failed }
  */
-async function fetchFromFinnhub(symbol) {
-  try {
-    const url = `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${API_KEYS.FINNHUB}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': getRandomUserAgent() },
-      timeout: 10000
-    });
+async function fetchShared(symbols, instrumentsBySymbol) {
+  const own = symbols.filter(s => !inFlight.has(s));
+
+  if (own.length > 0) {
+    console.log(`[StockData] Fetching fresh quotes for ${own.join(', ')}`);
+
+    const work = fetchQuotes(own, instrumentsBySymbol)
+      .then(async (results) => {
+        const stored = await Promise.all(Object.entries(results).map(([s, r]) => storeQuote(s, r)));
+        return Object.fromEntries(stored.map(q => [q.symbol, q]));
+      })
+      .catch((error) => {
+        console.error('[StockData] Quote fetch error:', error.message);
+        return {};
+      });
 
-    if (response.data && response.data.c > 0) {
-      const data = response.data;
-      return {
-        symbol: symbol,
-        name: symbol, // Finnhub quote doesn't return name
-        price: data.c, // current
-        previousClose: data.pc, // previous close
-        open: data.o,
-        high: data.h,
-        low: data.l,
-        volume: null,
-        marketCap: null,
-        changeAmount: data.d, // change
-        changePercent: data.dp, // change percent
-        source: 'finnhub'
-      };
+    for (const symbol of own) {
+      const pending = work.then(results => results[symbol] || null);
+      inFlight.set(symbol, pending);
+      pending.then(() => {
+        if (inFlight.get(symbol) === pending) inFlight.delete(symbol);
+      });
     }
-    return null;
-  } catch (error) {
-    console.log(`[Finnhub] Failed for ${symbol}: ${error.message}`);
-    return null;
   }
+
+  const entries = await Promise.all(symbols.map(async s => [s, await inFlight.get(s)]));
+  return Object.fromEntries(entries);
 }
 
 /**
- * STRATEGY 4: Twelve Data API
+ * Main Quote Function - Quotes for many symbols. Cache hits come from one query;
+ * the rest are fetched from the configured providers that cover each instrument
+ * type (see fetchQuotes), shared with any concurrent request for the same symbol.
+ * Funds are cached for hours (one NAV a day); bonds have no built-in feed and
+ * keep the last price recorded for them. When every source fails the stale
+ * cached quote is returned. Prices come back per unit held (see instruments).
+ * @param {Array<string>} symbols
+ * @returns {Object} { SYMBOL: quote } - symbols with no quote at all are left out
  */
-async function fetchFromTwelveData(symbol) {
-  try {
-    const url = `https://api.twelvedata.com/quote?symbol=${symbol}&apikey=${API_KEYS.TWELVE_DATA}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': getRandomUserAgent() },
-      timeout: 10000
-    });
+async function getQuotes(symbols) {
+  const upperSymbols = [...new Set(symbols.map(s => s.toUpperCase()))];
+  if (upperSymbols.length === 0) return {};
+
+  const [cachedRows, instrumentsBySymbol] = await Promise.all([
+    prisma.stockQuote.findMany({ where: { symbol: { in: upperSymbols } } }),
+    instruments.getInstruments(upperSymbols)
+  ]);
+  const cached = Object.fromEntries(cachedRows.map(q => [q.symbol, q]));
 
-    if (response.data && response.data.close && !response.data.code) {
-      const data = response.data;
-      const price = parseFloat(data.close);
-      const prevClose = parseFloat(data.previous_close);
-      const change = price - prevClose;
-      const changePercent = (change / prevClose) * 100;
-
-      return {
-        symbol: data.symbol,
-        name: data.name || symbol,
-        price: price,
-        previousClose: prevClose,
-        open: parseFloat(data.open),
-        high: parseFloat(data.high),
-        low: parseFloat(data.low),
-        volume: parseInt(data.volume) || null,
-        marketCap: null,
-        changeAmount: change,
-        changePercent: changePercent,
-        source: 'twelvedata'
-      };
+  const results = {};
+  const stale = [];
+
+  for (const symbol of upperSymbols) {
+    const row = cached[symbol];
+    if (row && Date.now() - new Date(row.updatedAt).getTime() < instrumentsBySymbol[symbol].quoteTtlMs) {
+      results[symbol] = instruments.normalizeQuote(row, instrumentsBySymbol[symbol]);
+    } else {
+      stale.push(symbol);
     }
-    return null;
-  } catch (error) {
-    console.log(`[TwelveData] Failed for ${symbol}: ${error.message}`);
-    return null;
   }
-}
 
-/**
- * STRATEGY 5: Alpha Vantage API
- */
-async function fetchFromAlphaVantage(symbol) {
-  try {
-    const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${API_KEYS.ALPHA_VANTAGE}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': getRandomUserAgent() },
-      timeout: 10000
-    });
+  if (stale.length > 0) {
+    const fresh = await fetchShared(stale, instrumentsBySymbol);
 
-    if (response.data && response.data['Global Quote']) {
-      const data = response.data['Global Quote'];
-      return {
-        symbol: data['01. symbol'],
-        name: symbol,
-        price: parseFloat(data['05. price']),
-        previousClose: parseFloat(data['08. previous close']),
-        open: parseFloat(data['02. open']),
-        high: parseFloat(data['03. high']),
-        low: parseFloat(data['04. low']),
-        volume: parseInt(data['06. volume']),
-        marketCap: null,
-        changeAmount: parseFloat(data['09. change']),
-        changePercent: parseFloat(data['10. change percent']?.replace('%', '')),
-        source: 'alphavantage'
-      };
+    for (const symbol of stale) {
+      const quote = fresh[symbol] || cached[symbol];
+      if (!fresh[symbol]) {
+        console.log(quote
+          ? `[StockData] All APIs failed, returning stale cache for ${symbol}`
+          : `[StockData] All sources failed for ${symbol}`);
+      }
+      if (quote) results[symbol] = instruments.normalizeQuote(quote, instrumentsBySymbol[symbol]);
     }
-    return null;
-  } catch (error) {
-    console.log(`[AlphaVantage] Failed for ${symbol}: ${error.message}`);
-    return null;
   }
+
+  return results;
 }
 
 /**
- * Main Quote Function - Tries multiple sources with fallback
+ * Quote for one symbol (see getQuotes)
  */
 async function getQuote(symbol) {
   const upperSymbol = symbol.toUpperCase();
+  const quotes = await getQuotes([upperSymbol]);
+  return quotes[upperSymbol] || null;
+}
 
-  // Check cache first (valid for 30 seconds)
-  const cached = await prisma.stockQuote.findUnique({
-    where: { symbol: upperSymbol }
-  });
+/**
+ * Historical data is kept incrementally: each sync fetches only what is missing
+ * (older days down to the configured depth, days since the last sync, and holes
+ * inside the stored range) and merges it into StockHistory. StockMetadata tracks
+ * the coverage: first and last stored day, how far back a backfill has been
+ * tried (providers may simply have nothing older), the row count and source.
+ */
+const HISTORY_DEPTH_DAYS = parseInt(process.env.HISTORY_DEPTH_DAYS) || 365 * 5;
 
-  if (cached) {
-    const age = Date.now() - new Date(cached.updatedAt).getTime();
-    if (age < 30000) { // 30 seconds cache
-      console.log(`[StockData] Using cached data for ${upperSymbol}`);
-      return cached;
-    }
+// Holes longer than this many calendar days are refetched (long weekends and
+// holidays stay under it); crypto trades daily
+const MAX_HISTORY_GAP_DAYS = { default: 5, crypto: 2 };
+
+// Internal holes are retried at most weekly; providers often have none of the missing days
+const GAP_RECHECK_MS = 7 * ONE_DAY_MS;
+
+// Overlapping closes further apart than this mean the stored series was adjusted
+// differently (a split since the last sync, or another provider's adjustment)
+const OVERLAP_TOLERANCE = 0.02;
+
+const historySyncs = new Map();
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function addDays(day, days) {
+  return dayKey(new Date(`${day}T00:00:00Z`).getTime() + days * ONE_DAY_MS);
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / ONE_DAY_MS);
+}
+
+/**
+ * Date ranges a symbol's stored history is missing. Ranges after, before and
+ * between stored days include the neighbouring stored day, so the merge can
+ * check the new rows against it.
+ * @param {Array<string>} days - Stored days (YYYY-MM-DD), ascending
+ * @param {Object} options
+ * @param {string} options.start - First day wanted
+ * @param {string} options.end - Last day wanted (today)
+ * @param {string|null} options.backfilledTo - Earliest day a backfill has already asked for
+ * @param {number} options.maxGapDays - Longest hole left alone
+ * @param {boolean} options.includeGaps - Look for holes inside the stored range
+ * @returns {Array<{ kind: 'full'|'backfill'|'recent'|'gap', from: string, to: string }>}
+ */
+function findHistoryGaps(days, { start, end, backfilledTo = null, maxGapDays = MAX_HISTORY_GAP_DAYS.default, includeGaps = true }) {
+  if (days.length === 0) return [{ kind: 'full', from: start, to: end }];
+
+  const ranges = [];
+  const first = days[0];
+  const last = days[days.length - 1];
+
+  if (first > start && !(backfilledTo && backfilledTo <= start)) {
+    ranges.push({ kind: 'backfill', from: start, to: first });
   }
 
-  console.log(`[StockData] Fetching fresh quote for ${upperSymbol}`);
-
-  // Try each source in order until one succeeds
-  const sources = [
-    { name: 'FMP', fn: fetchFromFMP },
-    { name: 'Finnhub', fn: fetchFromFinnhub },
-    { name: 'TwelveData', fn: fetchFromTwelveData },
-    { name: 'Yahoo', fn: fetchFromYahoo },
-    { name: 'AlphaVantage', fn: fetchFromAlphaVantage }
-  ];
-
-  for (const source of sources) {
-    try {
-      const result = await source.fn(upperSymbol);
-      if (result && result.price > 0) {
-        console.log(`[StockData] Got ${upperSymbol} from ${source.name}: $${result.price}`);
-
-        // Store in database
-        const quoteData = {
-          symbol: upperSymbol,
-          name: result.name,
-          price: result.price,
-          previousClose: result.previousClose,
-          open: result.open,
-          high: result.high,
-          low: result.low,
-          volume: result.volume ? BigInt(result.volume) : null,
-          marketCap: result.marketCap ? BigInt(result.marketCap) : null,
-          changeAmount: result.changeAmount,
-          changePercent: result.changePercent
-        };
-
-        await prisma.stockQuote.upsert({
-          where: { symbol: upperSymbol },
-          update: quoteData,
-          create: quoteData
-        }).catch(e => console.log('[DB] Cache update error:', e.message));
-
-        return quoteData;
+  if (includeGaps) {
+    for (let i = 1; i < days.length; i++) {
+      if (days[i] >= start && daysBetween(days[i - 1], days[i]) > maxGapDays) {
+        ranges.push({ kind: 'gap', from: days[i - 1], to: days[i] });
       }
-    } catch (error) {
-      console.log(`[StockData] ${source.name} error:`, error.message);
     }
-
-    // Small delay between API calls
-    await delay(100);
   }
 
-  // If all APIs fail, return cached data if available
-  if (cached) {
-    console.log(`[StockData] All APIs failed, returning stale cache for ${upperSymbol}`);
-    return cached;
+  // From the day before the last stored day on: the last day is fetched again as
+  // it may have been stored mid-session, and the one before it is a closed day to
+  // check the new rows against
+  ranges.push({ kind: 'recent', from: days.length > 1 ? days[days.length - 2] : last, to: end });
+
+  return ranges;
+}
+
+/**
+ * Whether fetched rows agree with the stored closes on the days both have
+ * @param {Object} storedCloses - { day: close }
+ * @param {Array} rows - Fetched rows with day keys
+ * @param {string} openDay - Last stored day, left out as its close may be intraday
+ */
+function overlapMatches(storedCloses, rows, openDay = null) {
+  return rows.every(row => {
+    if (row.day === openDay) return true;
+    const stored = storedCloses[row.day];
+    if (stored === undefined || !(stored > 0)) return true;
+    return Math.abs(row.close - stored) / stored <= OVERLAP_TOLERANCE;
+  });
+}
+
+/**
+ * Rows for a range from the first provider that has any, as StockHistory data
+ * @returns {{ provider: string, rows: Array }|null}
+ */
+async function fetchHistoryRange(symbol, instrument, from, to, only = null) {
+  for (const provider of providers.getProviders('history', instrument.type)) {
+    if (only && provider.name !== only) continue;
+    console.log(`[StockData] Trying ${provider.label} for ${symbol} history ${from}..${to}`);
+
+    const rows = await provider.call(provider.symbolFor(symbol, instrument), {
+      from: new Date(`${from}T00:00:00Z`),
+      to: new Date(`${to}T00:00:00Z`)
+    });
+
+    const usable = (rows || [])
+      .map(row => ({ ...row, day: dayKey(row.date) }))
+      .filter(row => row.day >= from && row.day <= to && row.close > 0);
+
+    if (usable.length > 0) {
+      console.log(`[StockData] ${provider.label} returned ${usable.length} records for ${symbol}`);
+      return { provider: provider.name, rows: usable };
+    }
   }
 
-  console.log(`[StockData] All sources failed for ${upperSymbol}`);
   return null;
 }
 
+function toHistoryRow(symbol, row, source) {
+  return {
+    symbol,
+    date: new Date(row.day),
+    open: row.open ?? row.close,
+    high: row.high ?? row.close,
+    low: row.low ?? row.close,
+    close: row.close,
+    adjClose: row.adjClose ?? row.close,
+    volume: BigInt(Math.round(Number(row.volume) || 0)),
+    source
+  };
+}
+
 /**
- * Get multiple quotes at once
+ * Bring a symbol's stored history up to date (see above). Concurrent syncs of
+ * the same symbol share one run when it goes at least as deep; a deeper or
+ * forced sync waits for the running one and then fetches what it left out.
+ * @param {string} symbol - Upper-case
+ * @param {Object} options - { days: depth wanted, force: recheck holes now }
+ * @returns {Promise<{ added: number, updated: number, resynced: boolean }>}
  */
-async function getQuotes(symbols) {
-  const results = {};
+function syncHistory(symbol, options = {}) {
+  const days = Math.max(options.days || 0, HISTORY_DEPTH_DAYS);
+  const force = Boolean(options.force);
+  const current = historySyncs.get(symbol);
+  if (current && current.days >= days && (current.force || !force)) return current.run;
+
+  const run = (current ? current.run : Promise.resolve())
+    .then(() => runHistorySync(symbol, options))
+    .catch((error) => {
+      console.error(`[StockData] History sync failed for ${symbol}:`, error.message);
+      return { added: 0, updated: 0, resynced: false };
+    })
+    .finally(() => {
+      if (historySyncs.get(symbol)?.run === run) historySyncs.delete(symbol);
+    });
+  historySyncs.set(symbol, { days, force, run });
+  return run;
+}
+
+async function runHistorySync(symbol, { days = HISTORY_DEPTH_DAYS, force = false } = {}) {
+  const [instrument, metadata, stored] = await Promise.all([
+    instruments.getInstrument(symbol),
+    prisma.stockMetadata.findUnique({ where: { symbol } }),
+    prisma.stockHistory.findMany({ where: { symbol }, select: { date: true, close: true }, orderBy: { date: 'asc' } })
+  ]);
+
+  const result = { added: 0, updated: 0, resynced: false };
+
+  // Bonds have no price feed; their value comes from prices recorded by hand
+  if (instrument.type === 'bond') return result;
+
+  const end = dayKey(new Date());
+  const start = addDays(end, -Math.max(days, HISTORY_DEPTH_DAYS));
+  const storedCloses = Object.fromEntries(stored.map(h => [dayKey(h.date), h.close]));
+  const storedDays = Object.keys(storedCloses);
+
+  const gapsDue = force || !metadata?.historyGapsCheckedAt ||
+    Date.now() - new Date(metadata.historyGapsCheckedAt).getTime() >= GAP_RECHECK_MS;
+
+  const ranges = findHistoryGaps(storedDays, {
+    start,
+    end,
+    backfilledTo: metadata?.historyBackfilledTo ? dayKey(metadata.historyBackfilledTo) : null,
+    maxGapDays: MAX_HISTORY_GAP_DAYS[instrument.type] || MAX_HISTORY_GAP_DAYS.default,
+    includeGaps: gapsDue
+  });
+
+  let source = metadata?.historySource || null;
+  let backfilledTo = metadata?.historyBackfilledTo || null;
+  let replace = null;
+  const lastDay = storedDays[storedDays.length - 1];
+
+  for (const range of ranges) {
+    const fetched = await fetchHistoryRange(symbol, instrument, range.from, range.to);
+    if (!fetched) continue;
+
+    if (range.kind === 'full' || range.kind === 'backfill') backfilledTo = new Date(start);
+
+    // The new rows disagree with what is stored: refetch the whole depth from
+    // this provider and replace, so the series stays on one adjustment basis
+    if (!overlapMatches(storedCloses, fetched.rows, lastDay)) {
+      console.log(`[StockData] ${symbol} history from ${fetched.provider} does not match stored closes, resyncing`);
+      const full = await fetchHistoryRange(symbol, instrument, start, end, fetched.provider);
+      if (full) {
+        replace = full;
+        backfilledTo = new Date(start);
+      }
+      break;
+    }
 
-  for (const symbol of symbols) {
-    const quote = await getQuote(symbol);
-    if (quote) {
-      results[symbol.toUpperCase()] = quote;
+    source = fetched.provider;
+    const newRows = fetched.rows.filter(row => storedCloses[row.day] === undefined);
+    const refreshed = fetched.rows.find(row => row.day === lastDay && range.kind === 'recent');
+
+    if (newRows.length > 0) {
+      const { count } = await prisma.stockHistory.createMany({
+        data: newRows.map(row => toHistoryRow(symbol, row, fetched.provider)),
+        skipDuplicates: true
+      });
+      result.added += count;
+      newRows.forEach(row => { storedCloses[row.day] = row.close; });
+    }
+
+    if (refreshed) {
+      const row = toHistoryRow(symbol, refreshed, fetched.provider);
+      await prisma.stockHistory.update({
+        where: { symbol_date: { symbol, date: row.date } },
+        data: {
+          open: row.open,
+          high: row.high,
+          low: row.low,
+          close: row.close,
+          adjClose: row.adjClose,
+          volume: row.volume,
+          source: row.source
+        }
+      });
+      result.updated += 1;
     }
-    await delay(50); // Small delay between requests
   }
 
-  return results;
+  if (replace) {
+    await prisma.$transaction([
+      prisma.stockHistory.deleteMany({ where: { symbol } }),
+      prisma.stockHistory.createMany({
+        data: replace.rows.map(row => toHistoryRow(symbol, row, replace.provider)),
+        skipDuplicates: true
+      })
+    ]);
+    source = replace.provider;
+    result.added = replace.rows.length;
+    result.resynced = true;
+  }
+
+  const coverage = await prisma.stockHistory.aggregate({
+    where: { symbol },
+    _min: { date: true },
+    _max: { date: true },
+    _count: true
+  });
+
+  const data = {
+    historyStartDate: coverage._min.date,
+    historyEndDate: coverage._max.date,
+    historyRows: coverage._count,
+    historyBackfilledTo: backfilledTo,
+    historySource: source,
+    lastFetchedAt: new Date(),
+    ...(gapsDue && { historyGapsCheckedAt: new Date() })
+  };
+
+  await prisma.stockMetadata.upsert({
+    where: { symbol },
+    update: data,
+    create: { symbol, ...data }
+  });
+
+  if (result.added > 0) {
+    console.log(`[StockData] ${symbol} history: ${result.added} added, ${result.updated} updated${result.resynced ? ' (resynced)' : ''}`);
+  }
+
+  return result;
 }
 
 /**
- * Get historical data
+ * Get historical data, syncing first when the last sync is over a day old,
+ * forced, or shallower than the days asked for
  */
 async function getHistoricalData(symbol, options = {}) {
-  const { days = 365 * 5, forceRefresh = false } = options;
+  const { days = HISTORY_DEPTH_DAYS, forceRefresh = false } = options;
   const upperSymbol = symbol.toUpperCase();
 
-  // Check if we have recent data
   if (!forceRefresh) {
     const metadata = await prisma.stockMetadata.findUnique({
       where: { symbol: upperSymbol }
     });
 
-    if (metadata?.lastFetchedAt) {
+    const wanted = dayKey(Date.now() - days * ONE_DAY_MS);
+    const deepEnough = [metadata?.historyBackfilledTo, metadata?.historyStartDate]
+      .some(d => d && dayKey(d) <= wanted);
+
+    if (metadata?.lastFetchedAt && deepEnough) {
       const timeSinceLastFetch = Date.now() - new Date(metadata.lastFetchedAt).getTime();
       if (timeSinceLastFetch < ONE_DAY_MS) {
         return getStoredHistoricalData(upperSymbol, days);
@@ -327,11 +531,11 @@ async function getHistoricalData(symbol, options = {}) {
     }
   }
 
-  return fetchAndStoreHistoricalData(upperSymbol);
+  return fetchAndStoreHistoricalData(upperSymbol, { days, force: forceRefresh });
 }
 
-async function getStoredHistoricalData(symbol, days = 365 * 5) {
-  const startDate = new Date(Date.now() - days * ONE_DAY_MS);
+async function getStoredHistoricalData(symbol, days = HISTORY_DEPTH_DAYS) {
+  const startDate = new Date(dayKey(Date.now() - days * ONE_DAY_MS));
 
   const history = await prisma.stockHistory.findMany({
     where: { symbol, date: { gte: startDate } },
@@ -349,156 +553,167 @@ async function getStoredHistoricalData(symbol, days = 365 * 5) {
   }));
 }
 
-async function fetchAndStoreHistoricalData(symbol) {
-  let historyData = null;
-
-  // Strategy 1: Try Twelve Data (has historical endpoint)
-  if (!historyData) {
-    try {
-      console.log(`[StockData] Trying Twelve Data for ${symbol} historical data...`);
-      await delay(1000); // Rate limit protection
-
-      const url = `https://api.twelvedata.com/time_series?symbol=${symbol}&interval=1day&outputsize=365&apikey=${API_KEYS.TWELVE_DATA}`;
-      const response = await axios.get(url, { timeout: 30000 });
-
-      if (response.data && response.data.values && !response.data.code) {
-        historyData = response.data.values.map(row => ({
-          symbol,
-          date: new Date(row.datetime),
-          open: parseFloat(row.open) || 0,
-          high: parseFloat(row.high) || 0,
-          low: parseFloat(row.low) || 0,
-          close: parseFloat(row.close) || 0,
-          adjClose: parseFloat(row.close) || 0,
-          volume: BigInt(row.volume || 0)
-        })).reverse(); // Twelve Data returns newest first
-        console.log(`[StockData] Twelve Data returned ${historyData.length} records for ${symbol}`);
-      }
-    } catch (error) {
-      console.log(`[StockData] Twelve Data historical failed for ${symbol}: ${error.message}`);
-    }
-  }
+/**
+ * Sync a symbol's history, then return what is stored (cached data if the fetch fails)
+ */
+async function fetchAndStoreHistoricalData(symbol, { days = HISTORY_DEPTH_DAYS, force = true } = {}) {
+  const upperSymbol = symbol.toUpperCase();
+  await syncHistory(upperSymbol, { days, force });
+  return getStoredHistoricalData(upperSymbol, days);
+}
 
-  // Strategy 2: Try Yahoo Finance with delay
-  if (!historyData) {
-    try {
-      console.log(`[StockData] Trying Yahoo Finance for ${symbol} historical data...`);
-      await delay(2000); // Longer delay for Yahoo
+async function getStockMetadata(symbol) {
+  const upperSymbol = symbol.toUpperCase();
 
-      const yahooFinance = require('yahoo-finance2').default;
-      yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+  let metadata = await prisma.stockMetadata.findUnique({
+    where: { symbol: upperSymbol }
+  });
 
-      const endDate = new Date();
-      const startDate = new Date(Date.now() - 365 * ONE_DAY_MS); // Just 1 year for now
+  if (metadata?.name && metadata.profileUpdatedAt) return metadata;
 
-      const result = await yahooFinance.historical(symbol, {
-        period1: startDate,
-        period2: endDate,
-        interval: '1d'
-      });
+  metadata = await enrichMetadata(upperSymbol);
+  if (metadata?.name) return metadata;
 
-      if (result && result.length > 0) {
-        historyData = result.map(row => ({
-          symbol,
-          date: new Date(row.date),
-          open: row.open || 0,
-          high: row.high || 0,
-          low: row.low || 0,
-          close: row.close || 0,
-          adjClose: row.adjClose || row.close || 0,
-          volume: BigInt(row.volume || 0)
-        }));
-        console.log(`[StockData] Yahoo returned ${historyData.length} records for ${symbol}`);
-      }
-    } catch (error) {
-      console.log(`[StockData] Yahoo historical failed for ${symbol}: ${error.message}`);
-    }
+  // Get name from quote
+  const quote = await getQuote(upperSymbol);
+  if (quote) {
+    metadata = await prisma.stockMetadata.upsert({
+      where: { symbol: upperSymbol },
+      update: { name: quote.name },
+      create: { symbol: upperSymbol, name: quote.name }
+    });
   }
 
-  // Strategy 3: Try FMP if others fail
-  if (!historyData) {
-    try {
-      console.log(`[StockData] Trying FMP for ${symbol} historical data...`);
-      await delay(1000);
+  return metadata || { symbol: upperSymbol };
+}
+
+/**
+ * Company profile lookups (sector, industry, country, asset class, market cap, trading currency)
+ */
+const PROFILE_MAX_AGE_MS = 30 * ONE_DAY_MS;
+
+/**
+ * Fill StockMetadata profile fields from the providers, first non-empty value wins.
+ * Profiles are refreshed at most every 30 days unless forced.
+ */
+async function enrichMetadata(symbol, { force = false } = {}) {
+  const upperSymbol = symbol.toUpperCase();
 
-      const endDate = new Date();
-      const startDate = new Date(Date.now() - 365 * ONE_DAY_MS);
+  const existing = await prisma.stockMetadata.findUnique({
+    where: { symbol: upperSymbol }
+  });
 
-      const url = `https://financialmodelingprep.com/api/v3/historical-price-full/${symbol}?from=${startDate.toISOString().split('T')[0]}&to=${endDate.toISOString().split('T')[0]}&apikey=${API_KEYS.FMP}`;
+  if (!force && existing?.profileUpdatedAt &&
+      Date.now() - new Date(existing.profileUpdatedAt).getTime() < PROFILE_MAX_AGE_MS) {
+    return existing;
+  }
 
-      const response = await axios.get(url, { timeout: 30000 });
+  // Bonds are described by hand (see the market instruments endpoint)
+  if (existing?.assetClass === 'bond') return existing;
 
-      if (response.data && response.data.historical) {
-        historyData = response.data.historical.map(row => ({
-          symbol,
-          date: new Date(row.date),
-          open: row.open,
-          high: row.high,
-          low: row.low,
-          close: row.close,
-          adjClose: row.adjClose || row.close,
-          volume: BigInt(row.volume || 0)
-        }));
-        console.log(`[StockData] FMP returned ${historyData.length} records for ${symbol}`);
+  const fields = ['name', 'exchange', 'sector', 'industry', 'country', 'description',
+    'employees', 'website', 'logoUrl', 'marketCap', 'currency', 'assetClass'];
+  const required = ['sector', 'industry', 'country', 'marketCap', 'assetClass'];
+  const profile = {};
+
+  const instrument = instruments.resolveInstrument(upperSymbol, existing);
+
+  for (const provider of providers.getProviders('profile')) {
+    const result = await provider.call(provider.symbolFor(upperSymbol, instrument));
+    if (result) {
+      for (const field of fields) {
+        if ((profile[field] === undefined || profile[field] === null || profile[field] === '') &&
+            result[field] !== undefined && result[field] !== null && result[field] !== '') {
+          profile[field] = result[field];
+        }
       }
-    } catch (error) {
-      console.log(`[StockData] FMP historical failed for ${symbol}: ${error.message}`);
     }
-  }
 
-  // Store the data if we got any
-  if (historyData && historyData.length > 0) {
-    try {
-      await prisma.$transaction(async (tx) => {
-        await tx.stockHistory.deleteMany({ where: { symbol } });
-        await tx.stockHistory.createMany({ data: historyData, skipDuplicates: true });
-        await tx.stockMetadata.upsert({
-          where: { symbol },
-          update: {
-            historyStartDate: historyData[historyData.length - 1]?.date,
-            historyEndDate: historyData[0]?.date,
-            lastFetchedAt: new Date()
-          },
-          create: {
-            symbol,
-            historyStartDate: historyData[historyData.length - 1]?.date,
-            historyEndDate: historyData[0]?.date,
-            lastFetchedAt: new Date()
-          }
-        });
-      });
+    // Funds and crypto have no sector or industry to wait for
+    const needed = profile.assetClass && profile.assetClass !== 'equity' ? ['assetClass'] : required;
+    if (needed.every(field => profile[field] !== undefined)) break;
 
-      console.log(`[StockData] Stored ${historyData.length} historical records for ${symbol}`);
-      return historyData.map(h => ({ ...h, volume: Number(h.volume) }));
-    } catch (dbError) {
-      console.error(`[StockData] DB error storing ${symbol}:`, dbError.message);
-    }
+    await delay(100);
   }
 
-  // Return cached if fetch fails
-  return getStoredHistoricalData(symbol);
+  if (Object.keys(profile).length === 0) {
+    console.log(`[StockData] No profile data found for ${upperSymbol}`);
+    return existing || { symbol: upperSymbol };
+  }
+
+  const data = { ...profile, profileUpdatedAt: new Date() };
+  if (data.employees !== undefined) data.employees = parseInt(data.employees) || null;
+  if (data.marketCap !== undefined) data.marketCap = Number(data.marketCap) || null;
+
+  console.log(`[StockData] Enriched metadata for ${upperSymbol}: ${profile.assetClass || 'unknown'} / ${profile.sector || 'no sector'}`);
+
+  return prisma.stockMetadata.upsert({
+    where: { symbol: upperSymbol },
+    update: data,
+    create: { symbol: upperSymbol, ...data }
+  });
 }
 
-async function getStockMetadata(symbol) {
+/**
+ * Annual dividend per share and yield, cached on StockQuote for a week
+ */
+const DIVIDEND_MAX_AGE_MS = 7 * ONE_DAY_MS;
+
+async function getDividendInfo(symbol) {
   const upperSymbol = symbol.toUpperCase();
 
-  let metadata = await prisma.stockMetadata.findUnique({
+  let quote = await prisma.stockQuote.findUnique({
     where: { symbol: upperSymbol }
   });
 
-  if (metadata?.name) return metadata;
+  if (quote?.dividendUpdatedAt &&
+      Date.now() - new Date(quote.dividendUpdatedAt).getTime() < DIVIDEND_MAX_AGE_MS) {
+    return { symbol: upperSymbol, dividend: quote.dividend || 0, dividendYield: quote.dividendYield || 0 };
+  }
+
+  const instrument = await instruments.getInstrument(upperSymbol);
+
+  let info = null;
+  for (const provider of providers.getProviders('dividend', instrument.type)) {
+    info = await provider.call(provider.symbolFor(upperSymbol, instrument));
+    if (info) break;
+    await delay(100);
+  }
+
+  if (!info) {
+    return { symbol: upperSymbol, dividend: quote?.dividend || 0, dividendYield: quote?.dividendYield || 0 };
+  }
+
+  // The quote row holds the cache, so make sure one exists
+  if (!quote) quote = await getQuote(upperSymbol);
 
-  // Get name from quote
-  const quote = await getQuote(upperSymbol);
   if (quote) {
-    metadata = await prisma.stockMetadata.upsert({
+    await prisma.stockQuote.update({
       where: { symbol: upperSymbol },
-      update: { name: quote.name },
-      create: { symbol: upperSymbol, name: quote.name }
-    });
+      data: {
+        dividend: info.dividend,
+        dividendYield: info.dividendYield,
+        dividendUpdatedAt: new Date()
+      }
+    }).catch(e => console.log('[DB] Dividend cache update error:', e.message));
   }
 
-  return metadata || { symbol: upperSymbol };
+  return { symbol: upperSymbol, dividend: info.dividend || 0, dividendYield: info.dividendYield || 0 };
+}
+
+/**
+ * Symbol search across the providers that offer it; the first with matches answers
+ * @param {string} query
+ * @param {Object} options - { type: instrument type to keep, limit }
+ */
+async function searchSymbols(query, { type = null, limit = 10 } = {}) {
+  for (const provider of providers.getProviders('search')) {
+    const results = await provider.call(query);
+    const matches = (results || []).filter(r => r.symbol && (!type || r.type === type));
+    if (matches.length > 0) return matches.slice(0, limit);
+  }
+
+  return [];
 }
 
 async function hasRecentData(symbol) {
@@ -514,8 +729,13 @@ module.exports = {
   getHistoricalData,
   getStoredHistoricalData,
   fetchAndStoreHistoricalData,
+  syncHistory,
+  findHistoryGaps,
   getQuote,
   getQuotes,
   getStockMetadata,
+  enrichMetadata,
+  getDividendInfo,
+  searchSymbols,
   hasRecentData
 };
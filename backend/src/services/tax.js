@@ -0,0 +1,405 @@
+const taxLots = require('./taxLots');
+const { toCsv } = require('./exporter');
+
+/**
+ * Tax Report Service
+ * Annual realized gains from the lots each sale consumed, with wash sale
+ * adjustments across all of a user's portfolios, a Form 8949-style layout and
+ * tax-loss harvesting candidates among the lots still open
+ */
+
+const WASH_SALE_DAYS = 30;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORM_8949_COLUMNS = [
+  '(a) Description of property',
+  '(b) Date acquired',
+  '(c) Date sold or disposed of',
+  '(d) Proceeds',
+  '(e) Cost or other basis',
+  '(f) Code',
+  '(g) Amount of adjustment',
+  '(h) Gain or (loss)'
+];
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function yearRange(year) {
+  return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+}
+
+function emptyTotals() {
+  return { count: 0, proceeds: 0, costBasis: 0, adjustment: 0, gain: 0 };
+}
+
+function addTo(totals, row) {
+  totals.count += 1;
+  totals.proceeds += row.proceeds;
+  totals.costBasis += row.costBasis;
+  totals.adjustment += row.adjustment;
+  totals.gain += row.gain;
+  return totals;
+}
+
+/**
+ * Wash sales: a loss is disallowed when shares of the same symbol are bought
+ * within 30 days before or after the sale, in any portfolio, and are still held
+ * after it. Each bought share replaces at most one sold share; the disallowed
+ * loss moves into the replacement lot's basis and its holding period carries
+ * over with it.
+ * @param {Array} sales - TaxLotSale rows with `lot` and the sell `transaction`, oldest first
+ * @param {Array} buys - Buy transactions around the sales, oldest first
+ * @param {Function} toReport - (amount, portfolioId, date) => amount in the report currency
+ * @returns {Array} One row per lot sale, amounts in the report currency
+ */
+function applyWashSales(sales, buys, toReport) {
+  // Basis each lot started with, so a carried adjustment spreads over what is left of it
+  const lotBasis = {};
+  for (const s of sales) {
+    if (lotBasis[s.lotId] === undefined) lotBasis[s.lotId] = s.lot.remainingShares * s.lot.costPerShare;
+    lotBasis[s.lotId] += s.costBasis;
+  }
+
+  // Sales out of each buy's lot, so shares sold by the time of a loss don't replace it
+  const salesByBuy = {};
+  for (const s of sales) {
+    if (s.lot.transactionId) (salesByBuy[s.lot.transactionId] = salesByBuy[s.lot.transactionId] || []).push(s);
+  }
+  const soldBy = (buyId, soldAt) => (salesByBuy[buyId] || [])
+    .filter(s => new Date(s.soldAt) <= soldAt)
+    .reduce((sum, s) => sum + s.shares, 0);
+
+  const buysBySymbol = {};
+  for (const b of buys) {
+    (buysBySymbol[b.symbol] = buysBySymbol[b.symbol] || []).push(b);
+  }
+
+  const soldBasis = {};
+  const used = {}; // buy id -> shares already standing in for a washed sale
+  const carried = {}; // buy id -> { amount, heldMs } added to the lot it opened
+
+  return sales.map(s => {
+    const portfolioId = s.lot.portfolioId;
+    const symbol = s.transaction?.symbol || s.lot.symbol;
+    const soldAt = new Date(s.soldAt);
+
+    const remaining = lotBasis[s.lotId] - (soldBasis[s.lotId] || 0);
+    soldBasis[s.lotId] = (soldBasis[s.lotId] || 0) + s.costBasis;
+
+    const carry = s.lot.transactionId ? carried[s.lot.transactionId] : null;
+    let basisAdjustment = 0;
+    if (carry && remaining > 0) {
+      basisAdjustment = carry.amount * Math.min(1, s.costBasis / remaining);
+      carry.amount -= basisAdjustment;
+    }
+
+    const proceeds = toReport(s.proceeds, portfolioId, soldAt);
+    const costBasis = toReport(s.costBasis, portfolioId, soldAt) + basisAdjustment;
+    const heldFrom = new Date(new Date(s.acquiredAt).getTime() - (carry ? carry.heldMs : 0));
+
+    const row = {
+      id: s.id,
+      portfolioId,
+      transactionId: s.transactionId,
+      lotId: s.lotId,
+      symbol,
+      shares: s.shares,
+      dateAcquired: s.acquiredAt,
+      dateSold: s.soldAt,
+      term: taxLots.getHoldingPeriod(heldFrom, soldAt),
+      proceeds,
+      costBasis,
+      basisAdjustment,
+      code: null,
+      adjustment: 0,
+      replacements: []
+    };
+
+    const loss = costBasis - proceeds;
+    if (loss > 0) {
+      let matched = 0;
+
+      for (const b of buysBySymbol[symbol] || []) {
+        if (matched >= s.shares - taxLots.SHARE_EPSILON) break;
+        // The buy that opened the lot being sold is not its own replacement
+        if (b.id === s.lot.transactionId) continue;
+        if (Math.abs(new Date(b.executedAt) - soldAt) > WASH_SALE_DAYS * ONE_DAY_MS) continue;
+
+        const available = b.shares - soldBy(b.id, soldAt) - (used[b.id] || 0);
+        if (available <= taxLots.SHARE_EPSILON) continue;
+
+        const shares = Math.min(available, s.shares - matched);
+        used[b.id] = (used[b.id] || 0) + shares;
+        matched += shares;
+        row.replacements.push({ transactionId: b.id, portfolioId: b.portfolioId, executedAt: b.executedAt, shares });
+      }
+
+      if (matched > 0) {
+        const disallowed = loss * Math.min(1, matched / s.shares);
+        const heldMs = soldAt - heldFrom;
+
+        for (const r of row.replacements) {
+          const target = carried[r.transactionId] || (carried[r.transactionId] = { amount: 0, heldMs: 0 });
+          target.amount += disallowed * (r.shares / matched);
+          target.heldMs = Math.max(target.heldMs, heldMs);
+        }
+
+        row.code = 'W';
+        row.adjustment = disallowed;
+      }
+    }
+
+    row.gain = row.proceeds - row.costBasis + row.adjustment;
+    return row;
+  });
+}
+
+/**
+ * Realized gains for one tax year
+ * @param {Object} data
+ * @param {Array} data.sales - Every TaxLotSale of the user's portfolios, with `lot` and `transaction`
+ * @param {Array} data.buys - The user's buy transactions from 30 days before the first sale to 30 after the last
+ * @param {Array} data.cashMergers - merger_cash transactions (cash boot has no lots; its basis is on the entry)
+ * @param {Array} data.portfolios - [{ id, name, currency }]
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {string} options.currency - Currency to report in
+ * @param {Object} options.converter - From fx.createConverter
+ * @param {string} options.portfolioId - Limit the lots listed to one portfolio (wash sales still look at all)
+ */
+function buildGainsReport({ sales, buys, cashMergers = [], portfolios }, { year, currency, converter, portfolioId = null }) {
+  const byId = Object.fromEntries(portfolios.map(p => [p.id, p]));
+  const toReport = (amount, id, date) => converter.convert(amount, byId[id]?.currency || currency, currency, dayKey(date));
+  const { start, end } = yearRange(year);
+  const inYear = (date) => new Date(date) >= start && new Date(date) < end;
+
+  const ordered = [...sales].sort((a, b) => (new Date(a.soldAt) - new Date(b.soldAt)) || (new Date(a.acquiredAt) - new Date(b.acquiredAt)));
+  const orderedBuys = [...buys].sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt));
+
+  const lots = applyWashSales(ordered, orderedBuys, toReport)
+    .concat(cashMergers.map(t => {
+      const proceeds = toReport(t.amount, t.portfolioId, t.executedAt);
+      const costBasis = toReport(t.costBasis || 0, t.portfolioId, t.executedAt);
+      return {
+        id: t.id,
+        portfolioId: t.portfolioId,
+        transactionId: t.id,
+        lotId: null,
+        symbol: t.symbol,
+        shares: null,
+        dateAcquired: null,
+        dateSold: t.executedAt,
+        term: t.holdingPeriod === 'long' ? 'long' : 'short',
+        proceeds,
+        costBasis,
+        basisAdjustment: 0,
+        code: null,
+        adjustment: 0,
+        replacements: [],
+        gain: proceeds - costBasis
+      };
+    }))
+    .filter(row => inYear(row.dateSold) && (!portfolioId || row.portfolioId === portfolioId))
+    .map(row => ({ ...row, portfolioName: byId[row.portfolioId]?.name || null }))
+    .sort((a, b) => new Date(a.dateSold) - new Date(b.dateSold));
+
+  const summary = { short: emptyTotals(), long: emptyTotals(), total: emptyTotals() };
+  const byPortfolio = {};
+
+  for (const row of lots) {
+    addTo(summary[row.term], row);
+    addTo(summary.total, row);
+    addTo(byPortfolio[row.portfolioId] || (byPortfolio[row.portfolioId] = emptyTotals()), row);
+  }
+
+  const washed = lots.filter(row => row.code === 'W');
+
+  return {
+    year,
+    currency,
+    summary: {
+      ...summary,
+      washSales: washed.length,
+      disallowedLoss: washed.reduce((sum, row) => sum + row.adjustment, 0)
+    },
+    byPortfolio: Object.entries(byPortfolio).map(([id, totals]) => ({ portfolioId: id, name: byId[id]?.name || null, ...totals })),
+    lots
+  };
+}
+
+/**
+ * Replacement ideas for a harvested position: other symbols in the same sector,
+ * same asset class first, largest first. Share classes of the same company
+ * (same name) count as substantially identical and are left out.
+ * @param {Object} metadata - StockMetadata of the harvested symbol
+ * @param {Array} candidates - StockMetadata rows to choose from
+ * @param {number} limit
+ */
+function suggestReplacements(metadata, candidates, limit = 3) {
+  if (!metadata?.sector) return [];
+
+  return candidates
+    .filter(c => c.sector === metadata.sector && c.symbol !== metadata.symbol && !(c.name && c.name === metadata.name))
+    .sort((a, b) =>
+      (Number(b.assetClass === metadata.assetClass) - Number(a.assetClass === metadata.assetClass)) ||
+      ((b.marketCap || 0) - (a.marketCap || 0))
+    )
+    .slice(0, limit)
+    .map(c => ({ symbol: c.symbol, name: c.name, sector: c.sector, assetClass: c.assetClass }));
+}
+
+/**
+ * Open lots showing a loss, grouped by position and filtered by a threshold
+ * @param {Array} positions - [{ portfolioId, portfolioName, currency, symbol, price, lots }],
+ *   price per share in the portfolio's currency, lots the open TaxLot rows
+ * @param {Object} options
+ * @param {Array} options.recentBuys - The user's buys of these symbols in the last 30 days, any portfolio
+ * @param {Object} options.metadata - { SYMBOL: StockMetadata }
+ * @param {Array} options.candidates - StockMetadata rows to suggest replacements from
+ * @param {Object} options.rates - { short, long } marginal tax rates in percent
+ * @param {number} options.minLoss - Smallest position loss to list, in the report currency
+ * @param {number} options.minLossPercent - Smallest position loss to list, as a percent of its cost
+ * @param {string} options.currency - Currency to report in
+ * @param {Object} options.converter - From fx.createConverter
+ * @param {Date} options.asOf
+ */
+function findHarvestOpportunities(positions, options) {
+  const {
+    recentBuys = [], metadata = {}, candidates = [], rates, minLoss = 0, minLossPercent = 0,
+    currency, converter, asOf = new Date()
+  } = options;
+  const names = Object.fromEntries(positions.map(p => [p.portfolioId, p.portfolioName]));
+
+  const opportunities = positions.map(position => {
+    const convert = (amount) => converter.convert(amount, position.currency, currency);
+
+    const lots = position.lots
+      .map(lot => {
+        const costBasis = convert(lot.remainingShares * lot.costPerShare);
+        const marketValue = convert(lot.remainingShares * position.price);
+        return {
+          lotId: lot.id,
+          transactionId: lot.transactionId,
+          acquiredAt: lot.acquiredAt,
+          shares: lot.remainingShares,
+          costBasis,
+          marketValue,
+          loss: costBasis - marketValue,
+          term: taxLots.getHoldingPeriod(lot.acquiredAt, asOf)
+        };
+      })
+      .filter(lot => lot.loss > 0);
+
+    const costBasis = lots.reduce((sum, l) => sum + l.costBasis, 0);
+    const loss = lots.reduce((sum, l) => sum + l.loss, 0);
+    const shortTermLoss = lots.filter(l => l.term === 'short').reduce((sum, l) => sum + l.loss, 0);
+    const longTermLoss = loss - shortTermLoss;
+
+    // Selling at a loss is washed by any buy in the 30 days before that isn't itself being sold
+    const selling = new Set(lots.map(l => l.transactionId));
+    const washSaleConflicts = recentBuys
+      .filter(b => b.symbol === position.symbol && !selling.has(b.id))
+      .filter(b => asOf - new Date(b.executedAt) <= WASH_SALE_DAYS * ONE_DAY_MS)
+      .map(b => ({
+        transactionId: b.id,
+        portfolioId: b.portfolioId,
+        portfolioName: names[b.portfolioId] || null,
+        executedAt: b.executedAt,
+        shares: b.shares,
+        clearsOn: dayKey(new Date(new Date(b.executedAt).getTime() + (WASH_SALE_DAYS + 1) * ONE_DAY_MS))
+      }));
+
+    return {
+      portfolioId: position.portfolioId,
+      portfolioName: position.portfolioName,
+      symbol: position.symbol,
+      sector: metadata[position.symbol]?.sector || position.sector || null,
+      shares: lots.reduce((sum, l) => sum + l.shares, 0),
+      currentPrice: position.price,
+      costBasis,
+      marketValue: costBasis - loss,
+      unrealizedLoss: loss,
+      lossPercent: costBasis > 0 ? (loss / costBasis) * 100 : 0,
+      shortTermLoss,
+      longTermLoss,
+      estimatedTaxSavings: shortTermLoss * (rates.short / 100) + longTermLoss * (rates.long / 100),
+      lots,
+      washSaleConflicts,
+      replacements: suggestReplacements(metadata[position.symbol], candidates)
+    };
+  })
+    .filter(o => o.unrealizedLoss > 0 && o.unrealizedLoss >= minLoss && o.lossPercent >= minLossPercent)
+    .sort((a, b) => b.estimatedTaxSavings - a.estimatedTaxSavings);
+
+  return {
+    currency,
+    rates,
+    summary: {
+      count: opportunities.length,
+      unrealizedLoss: opportunities.reduce((sum, o) => sum + o.unrealizedLoss, 0),
+      estimatedTaxSavings: opportunities.reduce((sum, o) => sum + o.estimatedTaxSavings, 0),
+      withWashSaleConflicts: opportunities.filter(o => o.washSaleConflicts.length > 0).length
+    },
+    opportunities
+  };
+}
+
+function formDate(date) {
+  if (!date) return 'VARIOUS';
+  const [y, m, d] = dayKey(date).split('-');
+  return `${m}/${d}/${y}`;
+}
+
+function formAmount(amount) {
+  return (Math.round(amount * 100) / 100).toFixed(2);
+}
+
+function formRow(row) {
+  return {
+    [FORM_8949_COLUMNS[0]]: row.shares !== null ? `${+row.shares.toFixed(6)} sh. ${row.symbol}` : `${row.symbol} (cash in merger)`,
+    [FORM_8949_COLUMNS[1]]: formDate(row.dateAcquired),
+    [FORM_8949_COLUMNS[2]]: formDate(row.dateSold),
+    [FORM_8949_COLUMNS[3]]: formAmount(row.proceeds),
+    [FORM_8949_COLUMNS[4]]: formAmount(row.costBasis),
+    [FORM_8949_COLUMNS[5]]: row.code,
+    [FORM_8949_COLUMNS[6]]: row.adjustment ? formAmount(row.adjustment) : null,
+    [FORM_8949_COLUMNS[7]]: formAmount(row.gain)
+  };
+}
+
+/**
+ * Form 8949 layout: Part I short-term, Part II long-term, each with its totals line
+ * @param {Object} report - From buildGainsReport
+ */
+function gainsToCsv(report) {
+  const parts = [
+    ['short', `Part I - Short-term (held one year or less) - ${report.year} - ${report.currency}`],
+    ['long', `Part II - Long-term (held more than one year) - ${report.year} - ${report.currency}`]
+  ];
+
+  return parts.map(([term, title]) => {
+    const totals = report.summary[term];
+    const rows = report.lots.filter(row => row.term === term).map(formRow);
+
+    rows.push({
+      [FORM_8949_COLUMNS[0]]: 'Totals',
+      [FORM_8949_COLUMNS[3]]: formAmount(totals.proceeds),
+      [FORM_8949_COLUMNS[4]]: formAmount(totals.costBasis),
+      [FORM_8949_COLUMNS[6]]: formAmount(totals.adjustment),
+      [FORM_8949_COLUMNS[7]]: formAmount(totals.gain)
+    });
+
+    return `${title}\r\n${toCsv(rows, FORM_8949_COLUMNS)}`;
+  }).join('\r\n');
+}
+
+module.exports = {
+  WASH_SALE_DAYS,
+  yearRange,
+  buildGainsReport,
+  gainsToCsv,
+  suggestReplacements,
+  findHarvestOpportunities
+};
@@ -0,0 +1,146 @@
+/**
+ * Tax Lot Service
+ * Lot selection and realized gain/loss calculations for sell transactions
+ */
+
+const LOT_METHODS = ['FIFO', 'LIFO', 'HIFO', 'SPECIFIC'];
+
+// Share amounts below this are treated as zero (float rounding); well under
+// the smallest crypto unit (1e-8)
+const SHARE_EPSILON = 1e-9;
+
+function lotError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Short-term vs long-term: a lot is long-term when sold more than one year after it was acquired
+ */
+function getHoldingPeriod(acquiredAt, soldAt) {
+  const anniversary = new Date(acquiredAt);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return new Date(soldAt) > anniversary ? 'long' : 'short';
+}
+
+/**
+ * Order open lots by the disposal method
+ */
+function orderLots(lots, method) {
+  const sorted = [...lots];
+  const byDate = (a, b) => new Date(a.acquiredAt) - new Date(b.acquiredAt);
+
+  switch (method) {
+    case 'LIFO':
+      return sorted.sort((a, b) => byDate(b, a));
+    case 'HIFO':
+      return sorted.sort((a, b) => (b.costPerShare - a.costPerShare) || byDate(a, b));
+    default:
+      return sorted.sort(byDate);
+  }
+}
+
+/**
+ * Pick which lots a sale draws from
+ * @param {Array} lots - Open lots ({ id, remainingShares, costPerShare, acquiredAt })
+ * @param {number} shares - Shares being sold
+ * @param {Object} options
+ * @param {string} options.method - FIFO, LIFO, HIFO or SPECIFIC
+ * @param {Array} options.specificLots - [{ lotId, shares }] for specific identification
+ * @returns {Array} [{ lot, shares }]
+ */
+function selectLots(lots, shares, { method = 'FIFO', specificLots = null } = {}) {
+  const available = lots.reduce((sum, lot) => sum + lot.remainingShares, 0);
+  if (shares > available + SHARE_EPSILON) {
+    throw lotError('INSUFFICIENT_SHARES', `Cannot sell ${shares} shares, only ${available} held`);
+  }
+
+  if (method === 'SPECIFIC') {
+    if (!Array.isArray(specificLots) || specificLots.length === 0) {
+      throw lotError('INVALID_LOT_SELECTION', 'Specific identification requires a list of lots');
+    }
+
+    // The same lot listed twice draws on one pool of shares
+    const requested = new Map();
+    for (const { lotId, shares: lotShares } of specificLots) {
+      if (!(lotShares > 0)) {
+        throw lotError('INVALID_LOT_SELECTION', `Lot ${lotId} needs a positive number of shares`);
+      }
+      requested.set(lotId, (requested.get(lotId) || 0) + lotShares);
+    }
+
+    const selections = [...requested].map(([lotId, lotShares]) => {
+      const lot = lots.find(l => l.id === lotId);
+      if (!lot) {
+        throw lotError('INVALID_LOT_SELECTION', `Lot ${lotId} is not an open lot for this holding`);
+      }
+      if (lotShares > lot.remainingShares + SHARE_EPSILON) {
+        throw lotError('INVALID_LOT_SELECTION', `Lot ${lotId} only has ${lot.remainingShares} shares available, ${lotShares} requested`);
+      }
+      return { lot, shares: Math.min(lotShares, lot.remainingShares) };
+    });
+
+    const selected = selections.reduce((sum, s) => sum + s.shares, 0);
+    if (Math.abs(selected - shares) > SHARE_EPSILON) {
+      throw lotError('INVALID_LOT_SELECTION', `Selected lots cover ${selected} shares, expected ${shares}`);
+    }
+
+    return selections;
+  }
+
+  const selections = [];
+  let remaining = shares;
+
+  for (const lot of orderLots(lots, method)) {
+    if (remaining <= SHARE_EPSILON) break;
+    if (lot.remainingShares <= SHARE_EPSILON) continue;
+
+    const take = Math.min(lot.remainingShares, remaining);
+    selections.push({ lot, shares: take });
+    remaining -= take;
+  }
+
+  return selections;
+}
+
+/**
+ * Compute proceeds, cost and gain for each selected lot. Fees reduce proceeds pro rata.
+ */
+function summarizeSale(selections, { price, fees = 0, soldAt }) {
+  const totalShares = selections.reduce((sum, s) => sum + s.shares, 0);
+
+  const sales = selections.map(({ lot, shares }) => {
+    const proceeds = shares * price - (totalShares > 0 ? fees * (shares / totalShares) : 0);
+    const costBasis = shares * lot.costPerShare;
+
+    return {
+      lotId: lot.id,
+      shares,
+      proceeds,
+      costBasis,
+      realizedGain: proceeds - costBasis,
+      acquiredAt: lot.acquiredAt,
+      holdingPeriod: getHoldingPeriod(lot.acquiredAt, soldAt)
+    };
+  });
+
+  const periods = [...new Set(sales.map(s => s.holdingPeriod))];
+
+  return {
+    sales,
+    proceeds: sales.reduce((sum, s) => sum + s.proceeds, 0),
+    costBasis: sales.reduce((sum, s) => sum + s.costBasis, 0),
+    realizedGain: sales.reduce((sum, s) => sum + s.realizedGain, 0),
+    holdingPeriod: periods.length === 1 ? periods[0] : 'mixed'
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  SHARE_EPSILON,
+  getHoldingPeriod,
+  orderLots,
+  selectLots,
+  summarizeSale
+};
@@ -15,7 +15,7 @@ app.set('views', path.join(__dirname, '../views'));
 
 // Middleware
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, '../public')));
@@ -230,10 +230,13 @@ app.get('/dashboard', requireAuth, getUserInfo, async (req, res) => {
   }
 
   // Get portfolio analytics, transactions, and performance in parallel
-  const [analytics, transactions, performance] = await Promise.all([
+  const [analytics, transactions, performance, returns, allocation, portfolios] = await Promise.all([
     api('GET', '/api/portfolios/summary/all', req.token),
     api('GET', '/api/portfolios/transactions/recent', req.token),
-    api('GET', '/api/portfolios/performance?period=ALL', req.token)
+    api('GET', '/api/portfolios/performance?period=ALL', req.token),
+    api('GET', '/api/portfolios/returns', req.token),
+    api('GET', '/api/portfolios/allocation/all', req.token),
+    api('GET', '/api/portfolios', req.token)
   ]);
 
   console.log('[Dashboard] Analytics:', analytics.success ? 'OK' : 'FAILED: ' + analytics.error);
@@ -257,6 +260,9 @@ app.get('/dashboard', requireAuth, getUserInfo, async (req, res) => {
     },
     transactions: transactions.data || [],
     performance: perfData,
+    returns: returns.success ? returns.data : {},
+    allocation: allocation.success ? allocation.data : null,
+    portfolios: portfolios.success ? portfolios.data : [],
     user: req.user
   });
 });
@@ -345,6 +351,41 @@ app.post('/holdings/add', requireAuth, async (req, res) => {
   });
 });
 
+app.get('/holdings/import', requireAuth, getUserInfo, async (req, res) => {
+  const [portfolios, profiles] = await Promise.all([
+    api('GET', '/api/portfolios', req.token),
+    api('GET', '/api/portfolios/import/profiles', req.token)
+  ]);
+
+  if (!portfolios.success || portfolios.data.length === 0) {
+    return res.redirect('/holdings/add');
+  }
+
+  res.render('pages/holdings-import', {
+    portfolios: portfolios.data,
+    profiles: profiles.data || [],
+    user: req.user
+  });
+});
+
+app.get('/income', requireAuth, getUserInfo, async (req, res) => {
+  const yearAgo = new Date();
+  yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+
+  const [portfolios, report, forecast] = await Promise.all([
+    api('GET', '/api/portfolios', req.token),
+    api('GET', `/api/portfolios/income?from=${yearAgo.toISOString().split('T')[0]}`, req.token),
+    api('GET', '/api/portfolios/income/forecast', req.token)
+  ]);
+
+  res.render('pages/income', {
+    portfolios: portfolios.data || [],
+    report: report.data || { total: 0, reinvested: 0, cash: 0, byMonth: [], bySymbol: [], byPortfolio: [] },
+    forecast: forecast.data || { annualIncome: 0, portfolioYield: 0, yieldOnCost: 0, monthly: [], bySymbol: [] },
+    user: req.user
+  });
+});
+
 app.get('/settings', requireAuth, getUserInfo, async (req, res) => {
   res.render('pages/settings', { user: req.user });
 });